@@ -40,11 +40,24 @@ db.Interest = require("../models/Interest.js")(sequelize, Sequelize)
 db.UserInterest = require("../models/UserInterest.js")(sequelize, Sequelize)
 db.Community = require("../models/Community.js")(sequelize , Sequelize)
 db.CommunityMember = require("../models/CommunityMember.js")(sequelize , Sequelize)
+db.CommunityInvite = require("../models/CommunityInvite.js")(sequelize , Sequelize)
+db.CommunityAuditLog = require("../models/CommunityAuditLog.js")(sequelize , Sequelize)
 db.CommunityInterest = require("../models/CommunityInterest.js")(sequelize , Sequelize)
 db.CommunityPost = require("../models/CommunityPost.js")(sequelize , Sequelize)
 db.EventRegistration = require("../models/EventRegistration.js")(sequelize , Sequelize)
+db.EventReminder = require("../models/EventReminder.js")(sequelize , Sequelize)
+db.EventWaitlistEntry = require("../models/EventWaitlistEntry.js")(sequelize , Sequelize)
 db.PostBookmark = require("../models/PostBookmark.js")(sequelize , Sequelize)
 db.PostLike = require("../models/PostLike.js")(sequelize , Sequelize)
+db.PostComment = require("../models/PostComment.js")(sequelize , Sequelize)
+db.PollVote = require("../models/PollVote.js")(sequelize , Sequelize)
+db.PaymentSession = require("../models/PaymentSession.js")(sequelize , Sequelize)
+db.DataExport = require("../models/DataExport.js")(sequelize , Sequelize)
+db.RotatedRefreshToken = require("../models/RotatedRefreshToken.js")(sequelize , Sequelize)
+db.Report = require("../models/Report.js")(sequelize , Sequelize)
+db.Notification = require("../models/Notification.js")(sequelize , Sequelize)
+db.UserBlock = require("../models/UserBlock.js")(sequelize , Sequelize)
+db.UserFollow = require("../models/UserFollow.js")(sequelize , Sequelize)
 
 
 // User → AuthSession
@@ -110,6 +123,16 @@ db.User.hasMany(db.EventRegistration, {
   as: 'eventRegistrations'
 });
 
+db.User.hasMany(db.PostComment, {
+  foreignKey: 'authorId',
+  as: 'comments'
+});
+
+db.User.hasMany(db.PollVote, {
+  foreignKey: 'userId',
+  as: 'pollVotes'
+});
+
 
 db.Interest.belongsToMany(db.Community, {
   through: db.CommunityInterest,
@@ -169,6 +192,48 @@ db.CommunityMember.belongsTo(db.User, {
   as: 'banner'
 });
 
+// CommunityInvite associations
+db.Community.hasMany(db.CommunityInvite, {
+  foreignKey: 'communityId',
+  as: 'invites'
+});
+
+db.CommunityInvite.belongsTo(db.Community, {
+  foreignKey: 'communityId',
+  as: 'community'
+});
+
+db.CommunityInvite.belongsTo(db.User, {
+  foreignKey: 'invitedBy',
+  as: 'inviter'
+});
+
+db.CommunityInvite.belongsTo(db.User, {
+  foreignKey: { name: 'inviteeId', allowNull: true },
+  as: 'invitee'
+});
+
+// CommunityAuditLog associations
+db.Community.hasMany(db.CommunityAuditLog, {
+  foreignKey: 'communityId',
+  as: 'auditLog'
+});
+
+db.CommunityAuditLog.belongsTo(db.Community, {
+  foreignKey: 'communityId',
+  as: 'community'
+});
+
+db.CommunityAuditLog.belongsTo(db.User, {
+  foreignKey: 'actorId',
+  as: 'actor'
+});
+
+db.CommunityAuditLog.belongsTo(db.User, {
+  foreignKey: { name: 'targetUserId', allowNull: true },
+  as: 'targetUser'
+});
+
 // CommunityPost associations
 db.CommunityPost.belongsTo(db.User, {
   foreignKey: 'authorId',
@@ -200,6 +265,11 @@ db.CommunityPost.hasMany(db.EventRegistration, {
   as: 'eventRegistrations'
 });
 
+db.CommunityPost.hasMany(db.PostComment, {
+  foreignKey: 'postId',
+  as: 'comments'
+});
+
 // PostLike associations
 db.PostLike.belongsTo(db.User, {
   foreignKey: 'userId',
@@ -222,6 +292,43 @@ db.PostBookmark.belongsTo(db.CommunityPost, {
   as: 'post'
 });
 
+// PostComment associations
+db.PostComment.belongsTo(db.User, {
+  foreignKey: 'authorId',
+  as: 'author'
+});
+
+db.PostComment.belongsTo(db.CommunityPost, {
+  foreignKey: 'postId',
+  as: 'post'
+});
+
+db.PostComment.belongsTo(db.PostComment, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
+db.PostComment.hasMany(db.PostComment, {
+  foreignKey: 'parentId',
+  as: 'replies'
+});
+
+// PollVote associations
+db.CommunityPost.hasMany(db.PollVote, {
+  foreignKey: 'postId',
+  as: 'pollVotes'
+});
+
+db.PollVote.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+db.PollVote.belongsTo(db.CommunityPost, {
+  foreignKey: 'postId',
+  as: 'post'
+});
+
 // EventRegistration associations
 db.EventRegistration.belongsTo(db.User, {
   foreignKey: 'userId',
@@ -233,5 +340,147 @@ db.EventRegistration.belongsTo(db.CommunityPost, {
   as: 'post'
 });
 
+// EventWaitlistEntry associations
+db.CommunityPost.hasMany(db.EventWaitlistEntry, {
+  foreignKey: 'postId',
+  as: 'waitlist'
+});
+
+db.EventWaitlistEntry.belongsTo(db.CommunityPost, {
+  foreignKey: 'postId',
+  as: 'post'
+});
+
+db.EventWaitlistEntry.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// EventReminder associations
+db.EventRegistration.hasMany(db.EventReminder, {
+  foreignKey: 'registrationId',
+  as: 'reminders',
+  onDelete: 'CASCADE'
+});
+
+db.EventReminder.belongsTo(db.EventRegistration, {
+  foreignKey: 'registrationId',
+  as: 'registration'
+});
+
+db.EventReminder.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+db.EventReminder.belongsTo(db.CommunityPost, {
+  foreignKey: 'postId',
+  as: 'post'
+});
+
+// PaymentSession associations
+db.User.hasMany(db.PaymentSession, {
+  foreignKey: 'userId',
+  as: 'paymentSessions'
+});
+
+db.PaymentSession.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+db.PaymentSession.belongsTo(db.Community, {
+  foreignKey: { name: 'communityId', allowNull: true },
+  as: 'community'
+});
+
+db.PaymentSession.belongsTo(db.CommunityPost, {
+  foreignKey: { name: 'postId', allowNull: true },
+  as: 'post'
+});
+
+// Report associations
+db.Report.belongsTo(db.User, {
+  foreignKey: 'reporterId',
+  as: 'reporter'
+});
+
+db.Report.belongsTo(db.User, {
+  foreignKey: 'reportedUserId',
+  as: 'reportedUser'
+});
+
+db.Report.belongsTo(db.User, {
+  foreignKey: { name: 'resolvedBy', allowNull: true },
+  as: 'resolver'
+});
+
+// Null for reports about a user made outside any community
+db.Report.belongsTo(db.Community, {
+  foreignKey: { name: 'communityId', allowNull: true },
+  as: 'community'
+});
+
+// Notification associations
+db.User.hasMany(db.Notification, {
+  foreignKey: 'userId',
+  as: 'notifications'
+});
+
+db.Notification.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Null for system notifications
+db.Notification.belongsTo(db.User, {
+  foreignKey: { name: 'actorId', allowNull: true },
+  as: 'actor'
+});
+
+// DataExport associations
+db.User.hasMany(db.DataExport, {
+  foreignKey: 'userId',
+  as: 'dataExports'
+});
+
+db.DataExport.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// RotatedRefreshToken associations
+db.User.hasMany(db.RotatedRefreshToken, {
+  foreignKey: 'userId',
+  as: 'rotatedRefreshTokens'
+});
+
+db.RotatedRefreshToken.belongsTo(db.User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// UserBlock associations
+db.UserBlock.belongsTo(db.User, {
+  foreignKey: 'blockerId',
+  as: 'blocker'
+});
+
+db.UserBlock.belongsTo(db.User, {
+  foreignKey: 'blockedId',
+  as: 'blocked'
+});
+
+// UserFollow associations
+db.UserFollow.belongsTo(db.User, {
+  foreignKey: 'followerId',
+  as: 'follower'
+});
+
+db.UserFollow.belongsTo(db.User, {
+  foreignKey: 'followingId',
+  as: 'following'
+});
+
 
 module.exports = db;
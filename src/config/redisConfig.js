@@ -0,0 +1,16 @@
+require("dotenv").config();
+const logger = require("../utils/logger.js")
+
+// Shared connection options for every ioredis client (rate limiter, pubsub, ...)
+const redisOptions = {
+  port: process.env.REDIS_PORT,
+  host: process.env.REDIS_HOST,
+  username: process.env.REDIS_USERNAME,
+  password: process.env.REDIS_PASSWORD,
+  retryStrategy: (times) => {
+    logger.warn(`Redis reconnect attempt #${times}`);
+    return Math.min(times * 100, 2000); // exponential backoff up to 2s
+  },
+};
+
+module.exports = { redisOptions };
@@ -0,0 +1,36 @@
+const DataLoader = require('dataloader');
+const communityService = require('../services/communityService');
+
+const createCommunityLoaders = () => {
+  // Memoizes the post access check for the request, so a thread checks its post once rather than per comment
+  const visiblePostLoader = new DataLoader(
+    async (keys) => Promise.all(keys.map(({ postId, userId }) =>
+      communityService.getVisiblePost(postId, userId).catch(error => error)
+    )),
+    { cacheKeyFn: ({ postId, userId }) => `${postId}:${userId}` }
+  );
+
+  // First page of replies for all comments resolved in the same tick, grouped by page size
+  const firstRepliesLoader = new DataLoader(async (keys) => {
+    const byLimit = new Map();
+    keys.forEach(({ parentId, limit }) => {
+      if (!byLimit.has(limit)) byLimit.set(limit, []);
+      byLimit.get(limit).push(parentId);
+    });
+
+    const connections = new Map();
+    for (const [limit, parentIds] of byLimit) {
+      const pages = await communityService.getFirstReplies(parentIds, limit);
+      parentIds.forEach((parentId, index) => connections.set(`${parentId}:${limit}`, pages[index]));
+    }
+
+    return keys.map(({ parentId, limit }) => connections.get(`${parentId}:${limit}`));
+  }, { cacheKeyFn: ({ parentId, limit }) => `${parentId}:${limit}` });
+
+  return {
+    visiblePostLoader,
+    firstRepliesLoader
+  };
+};
+
+module.exports = createCommunityLoaders;
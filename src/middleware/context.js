@@ -69,6 +69,7 @@ const createContext = async ({ req, res }) => {
   return {
     user: session?.user || phoneVerificationUser,
     deviceId: session?.deviceId,
+    sessionId: session?.id,
     ipAddress,
     userAgent,
     req,
@@ -22,6 +22,11 @@ module.exports = (sequelize, Sequelize) => {
           type: Sequelize.DATE,
           allowNull: false,
         },
+        // Shared by every refresh token rotated from the same login
+        familyId: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+        },
         // Device information
         deviceId: {
           type: Sequelize.STRING(255),
@@ -69,6 +74,9 @@ module.exports = (sequelize, Sequelize) => {
           },
           {
             fields: ['refreshTokenHash']
+          },
+          {
+            fields: ['familyId']
           }
         ]
       });
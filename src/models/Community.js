@@ -1,3 +1,10 @@
+const { syncSearchVector } = require('../utils/fullTextSearch');
+
+const SEARCH_FIELDS = [
+    { column: 'name', weight: 'A' },
+    { column: 'description', weight: 'B' }
+];
+
 module.exports = (sequelize, Sequelize) => {
     const Community = sequelize.define('Community', {
         id: {
@@ -86,9 +93,29 @@ module.exports = (sequelize, Sequelize) => {
         lastActivityAt: {
             type: Sequelize.DATE,
             defaultValue: Sequelize.NOW
+        },
+        // Archived communities are read-only and hidden from discovery
+        isArchived: {
+            type: Sequelize.BOOLEAN,
+            defaultValue: false
+        },
+        archivedAt: {
+            type: Sequelize.DATE
+        },
+        // Maintained by a database trigger from SEARCH_FIELDS, never written by the app
+        searchVector: {
+            type: Sequelize.TSVECTOR
         }
     }, {
         timestamps: true,
+        defaultScope: {
+            attributes: { exclude: ['searchVector'] }
+        },
+        hooks: {
+            afterSync: async () => {
+                await syncSearchVector(sequelize, { table: 'Communities', name: 'communities_search_vector', fields: SEARCH_FIELDS });
+            }
+        },
         indexes: [
             {
                 name: 'idx_community_location_gin',
@@ -106,6 +133,14 @@ module.exports = (sequelize, Sequelize) => {
             },
             {
                 fields: ['lastActivityAt']
+            },
+            {
+                fields: ['isArchived']
+            },
+            {
+                name: 'idx_community_search_gin',
+                using: 'gin',
+                fields: ['searchVector']
             }
         ]
     });
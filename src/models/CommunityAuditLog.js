@@ -0,0 +1,62 @@
+const IMMUTABLE_ERROR = 'Community audit log entries are immutable';
+
+module.exports = (sequelize, Sequelize) => {
+    const CommunityAuditLog = sequelize.define('CommunityAuditLog', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        action: {
+            type: Sequelize.ENUM(
+                'MEMBER_APPROVED',
+                'MEMBER_REJECTED',
+                'MEMBER_BANNED',
+                'MEMBER_UNBANNED',
+                'ROLE_ASSIGNED',
+                'ROLE_REMOVED',
+                'POST_APPROVED',
+                'POST_REJECTED',
+                'POST_REMOVED',
+                'COMMENT_REMOVED',
+                'INVITE_REVOKED'
+            ),
+            allowNull: false
+        },
+        targetType: {
+            type: Sequelize.ENUM('MEMBER', 'POST', 'COMMENT', 'INVITE'),
+            allowNull: false
+        },
+        targetId: {
+            type: Sequelize.UUID
+        },
+        reason: {
+            type: Sequelize.TEXT
+        },
+        // Role/status of the target before and after the action, null when the row didn't exist
+        before: {
+            type: Sequelize.JSONB
+        },
+        after: {
+            type: Sequelize.JSONB
+        }
+    }, {
+        timestamps: true,
+        updatedAt: false,
+        indexes: [
+            {
+                fields: ['communityId', 'createdAt']
+            },
+            {
+                fields: ['communityId', 'targetUserId']
+            }
+        ],
+        hooks: {
+            beforeUpdate() { throw new Error(IMMUTABLE_ERROR); },
+            beforeBulkUpdate() { throw new Error(IMMUTABLE_ERROR); },
+            beforeDestroy() { throw new Error(IMMUTABLE_ERROR); },
+            beforeBulkDestroy() { throw new Error(IMMUTABLE_ERROR); }
+        }
+    });
+    return CommunityAuditLog
+};
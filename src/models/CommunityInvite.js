@@ -0,0 +1,43 @@
+module.exports = (sequelize, Sequelize) => {
+    const CommunityInvite = sequelize.define('CommunityInvite', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        // LINK invites are shared by code, DIRECT invites are addressed to one existing user
+        type: {
+            type: Sequelize.ENUM('LINK', 'DIRECT'),
+            allowNull: false
+        },
+        code: {
+            type: Sequelize.STRING(32),
+            unique: true
+        },
+        // Null means unlimited; direct invites are single-use
+        maxUses: {
+            type: Sequelize.INTEGER
+        },
+        usesCount: {
+            type: Sequelize.INTEGER,
+            defaultValue: 0
+        },
+        expiresAt: {
+            type: Sequelize.DATE
+        },
+        revokedAt: {
+            type: Sequelize.DATE
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['communityId', 'createdAt']
+            },
+            {
+                fields: ['inviteeId', 'communityId']
+            }
+        ]
+    });
+    return CommunityInvite
+};
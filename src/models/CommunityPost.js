@@ -1,3 +1,13 @@
+const { syncSearchVector } = require('../utils/fullTextSearch');
+
+// eventDetails fields that end up in calendar entries
+const CALENDAR_FIELDS = ['startDate', 'endDate', 'location', 'onlineLink', 'agenda', 'recurrence'];
+const SEARCH_FIELDS = [
+    { column: 'title', weight: 'A' },
+    { column: 'tags', weight: 'B', array: true },
+    { column: 'content', weight: 'C' }
+];
+
 module.exports = (sequelize, Sequelize) => {
     const CommunityPost = sequelize.define('CommunityPost', {
         id: {
@@ -83,6 +93,11 @@ module.exports = (sequelize, Sequelize) => {
             type: Sequelize.JSONB,
             defaultValue: {}
         },
+        // Poll options and settings as JSONB, votes live in PollVote
+        pollDetails: {
+            type: Sequelize.JSONB,
+            defaultValue: {}
+        },
         tags: {
             type: Sequelize.ARRAY(Sequelize.STRING),
             defaultValue: []
@@ -101,12 +116,48 @@ module.exports = (sequelize, Sequelize) => {
         approvedAt: {
             type: Sequelize.DATE
         },
+        // Set when a moderator turns a pending post down; editing the post sends it back to the queue
+        rejectedAt: {
+            type: Sequelize.DATE
+        },
+        rejectionReason: {
+            type: Sequelize.TEXT
+        },
         isArchived: {
             type: Sequelize.BOOLEAN,
             defaultValue: false
+        },
+        // iCalendar SEQUENCE of the event; bumped whenever a change has to reach subscribed calendars
+        calendarSequence: {
+            type: Sequelize.INTEGER,
+            defaultValue: 0
+        },
+        // Maintained by a database trigger from SEARCH_FIELDS, never written by the app
+        searchVector: {
+            type: Sequelize.TSVECTOR
         }
     }, {
         timestamps: true,
+        defaultScope: {
+            attributes: { exclude: ['searchVector'] }
+        },
+        hooks: {
+            afterSync: async () => {
+                await syncSearchVector(sequelize, { table: 'CommunityPosts', name: 'community_posts_search_vector', fields: SEARCH_FIELDS });
+            },
+            beforeUpdate: (post) => {
+                if (post.type !== 'EVENT') return;
+
+                const before = post.previous('eventDetails') || {};
+                const after = post.eventDetails || {};
+                const eventChanged = post.changed('eventDetails') &&
+                    CALENDAR_FIELDS.some((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+                if (eventChanged || post.changed('title') || post.changed('isArchived')) {
+                    post.calendarSequence = (post.calendarSequence || 0) + 1;
+                }
+            }
+        },
         indexes: [
             {
                 fields: ['communityId', 'createdAt']
@@ -114,6 +165,9 @@ module.exports = (sequelize, Sequelize) => {
             {
                 fields: ['authorId']
             },
+            {
+                fields: ['communityId', 'isApproved']
+            },
             {
                 fields: ['type']
             },
@@ -124,6 +178,11 @@ module.exports = (sequelize, Sequelize) => {
                 name: 'idx_community_post_tags_gin',
                 using: 'gin',
                 fields: ['tags']
+            },
+            {
+                name: 'idx_community_post_search_gin',
+                using: 'gin',
+                fields: ['searchVector']
             }
         ]
     });
@@ -0,0 +1,38 @@
+module.exports = (sequelize, Sequelize) => {
+    const DataExport = sequelize.define('DataExport', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        status: {
+            type: Sequelize.ENUM('PENDING', 'COMPLETED', 'FAILED', 'EXPIRED'),
+            defaultValue: 'PENDING'
+        },
+        // Key of the archive under the private storage prefix, never exposed as a public URL
+        objectKey: {
+            type: Sequelize.STRING
+        },
+        // End of the download window; the archive is deleted afterwards
+        expiresAt: {
+            type: Sequelize.DATE
+        },
+        completedAt: {
+            type: Sequelize.DATE
+        },
+        failureReason: {
+            type: Sequelize.TEXT
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['userId', 'createdAt']
+            },
+            {
+                fields: ['status', 'expiresAt']
+            }
+        ]
+    });
+    return DataExport
+};
@@ -42,16 +42,38 @@ module.exports = (sequelize, Sequelize) => {
         },
         checkInAt: {
             type: Sequelize.DATE
+        },
+        // Set when registering for a single date of a recurring event; null covers the whole event
+        occurrenceStart: {
+            type: Sequelize.DATE,
+            allowNull: true
         }
     }, {
         timestamps: true,
+        hooks: {
+            // sync({ alter }) adds indexes but never drops them; the old one-registration-per-event
+            // index would block registering for several dates of a recurring event
+            afterSync: async () => {
+                await sequelize.query('DROP INDEX IF EXISTS "event_registrations_user_id_post_id"');
+            }
+        },
         indexes: [
             {
+                name: 'event_registrations_whole_event',
+                unique: true,
+                fields: ['userId', 'postId'],
+                where: { occurrenceStart: null }
+            },
+            {
+                name: 'event_registrations_occurrence',
                 unique: true,
-                fields: ['userId', 'postId']
+                fields: ['userId', 'postId', 'occurrenceStart']
             },
             {
                 fields: ['postId']
+            },
+            {
+                fields: ['ticketCode']
             }
         ]
     });
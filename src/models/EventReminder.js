@@ -0,0 +1,49 @@
+module.exports = (sequelize, Sequelize) => {
+    const EventReminder = sequelize.define('EventReminder', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        // How long before the event starts the reminder goes out
+        offsetMinutes: {
+            type: Sequelize.INTEGER,
+            allowNull: false
+        },
+        // The start time this reminder was scheduled for; a moved event gets a new set of reminders
+        eventStartsAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        sendAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        // SENDING: claimed by a run and being delivered since claimedAt
+        status: {
+            type: Sequelize.ENUM('PENDING', 'SENDING', 'SENT', 'SKIPPED'),
+            defaultValue: 'PENDING'
+        },
+        claimedAt: {
+            type: Sequelize.DATE
+        },
+        sentAt: {
+            type: Sequelize.DATE
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['registrationId', 'offsetMinutes', 'eventStartsAt']
+            },
+            {
+                fields: ['status', 'sendAt']
+            },
+            {
+                fields: ['postId']
+            }
+        ]
+    });
+    return EventReminder
+};
@@ -0,0 +1,40 @@
+module.exports = (sequelize, Sequelize) => {
+    const EventWaitlistEntry = sequelize.define('EventWaitlistEntry', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        // OFFERED: a spot is held for the user until offerExpiresAt (paid events only)
+        status: {
+            type: Sequelize.ENUM('WAITING', 'OFFERED', 'CLAIMED', 'EXPIRED', 'LEFT', 'REMOVED'),
+            defaultValue: 'WAITING'
+        },
+        // Place in line; reset when a user who left or let an offer lapse joins again
+        joinedAt: {
+            type: Sequelize.DATE,
+            defaultValue: Sequelize.NOW
+        },
+        offeredAt: {
+            type: Sequelize.DATE
+        },
+        offerExpiresAt: {
+            type: Sequelize.DATE
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['postId', 'userId']
+            },
+            {
+                fields: ['postId', 'status', 'joinedAt']
+            },
+            {
+                fields: ['status', 'offerExpiresAt']
+            }
+        ]
+    });
+    return EventWaitlistEntry
+};
@@ -0,0 +1,61 @@
+module.exports = (sequelize, Sequelize) => {
+    const Notification = sequelize.define('Notification', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        type: {
+            type: Sequelize.ENUM(
+                'MEMBERSHIP_REQUEST',
+                'MEMBERSHIP_APPROVED',
+                'MEMBER_BANNED',
+                'ROLE_CHANGED',
+                'COMMUNITY_INVITE',
+                'POST_PENDING_APPROVAL',
+                'POST_APPROVED',
+                'POST_REJECTED',
+                'POST_LIKED',
+                'POST_COMMENTED',
+                'COMMENT_REPLIED',
+                'EVENT_REGISTRATION',
+                'EVENT_REMINDER',
+                'WAITLIST_PROMOTED',
+                'WAITLIST_OFFER',
+                'EVENT_CANCELLED',
+                'NEW_FOLLOWER',
+                'FOLLOW_REQUEST',
+                'FOLLOW_REQUEST_ACCEPTED',
+                'FOLLOWED_USER_EVENT',
+                'NEW_DEVICE_SIGN_IN'
+            ),
+            allowNull: false
+        },
+        title: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        body: {
+            type: Sequelize.TEXT
+        },
+        // Ids the client needs to open the notification (communityId, postId, commentId, ...)
+        data: {
+            type: Sequelize.JSONB,
+            defaultValue: {}
+        },
+        readAt: {
+            type: Sequelize.DATE
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['userId', 'createdAt']
+            },
+            {
+                fields: ['userId', 'readAt']
+            }
+        ]
+    });
+    return Notification
+};
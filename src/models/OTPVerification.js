@@ -23,7 +23,7 @@ module.exports = (sequelize, Sequelize) => {
           allowNull: true, // Made nullable since we're using Kaleyra verification
         },
         otpType: {
-          type: Sequelize.ENUM('PHONE_AUTH','POST_GOOGLE_VERIFY','EMAIL_VERIFY'),
+          type: Sequelize.ENUM('PHONE_AUTH','POST_GOOGLE_VERIFY','EMAIL_VERIFY','ACCOUNT_RESTORE'),
           allowNull: false,
         },
         // Kaleyra specific fields
@@ -0,0 +1,88 @@
+module.exports = (sequelize, Sequelize) => {
+    const PaymentSession = sequelize.define('PaymentSession', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        // Checkout session id issued by the payment provider
+        sessionId: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        provider: {
+            type: Sequelize.STRING(50),
+            allowNull: false
+        },
+        purpose: {
+            type: Sequelize.ENUM('COMMUNITY_JOIN', 'EVENT_TICKET'),
+            allowNull: false
+        },
+        status: {
+            // REFUND_REQUIRED: the provider captured money we couldn't turn into access and the
+            // refund hasn't gone through yet; the refund job retries these until they are REFUNDED
+            type: Sequelize.ENUM('CREATED', 'PROCESSING', 'COMPLETED', 'FAILED', 'EXPIRED', 'REFUND_REQUIRED', 'REFUNDED'),
+            defaultValue: 'CREATED'
+        },
+        amount: {
+            type: Sequelize.DECIMAL(10, 2),
+            allowNull: false
+        },
+        currency: {
+            type: Sequelize.STRING(3),
+            defaultValue: 'USD'
+        },
+        checkoutUrl: {
+            type: Sequelize.TEXT
+        },
+        gatewayPaymentId: {
+            type: Sequelize.STRING
+        },
+        // Tickets for a single date of a recurring event
+        occurrenceStart: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        // Invite link code given at checkout for a community join, redeemed when the payment completes
+        inviteCode: {
+            type: Sequelize.STRING(32),
+            allowNull: true
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        completedAt: {
+            type: Sequelize.DATE
+        },
+        // Set when the provider took the payment but it could not be fulfilled (e.g. event sold out)
+        failureReason: {
+            type: Sequelize.STRING
+        },
+        refundId: {
+            type: Sequelize.STRING
+        },
+        refundedAt: {
+            type: Sequelize.DATE
+        },
+        webhookReceived: {
+            type: Sequelize.BOOLEAN,
+            defaultValue: false
+        },
+        webhookData: {
+            type: Sequelize.JSONB
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['userId', 'purpose', 'status']
+            },
+            {
+                fields: ['status', 'expiresAt']
+            }
+        ]
+    });
+    return PaymentSession
+};
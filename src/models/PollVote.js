@@ -0,0 +1,29 @@
+module.exports = (sequelize, Sequelize) => {
+    const PollVote = sequelize.define('PollVote', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        // Id of an option in the post's pollDetails.options
+        optionId: {
+            type: Sequelize.STRING(64),
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['postId', 'userId', 'optionId']
+            },
+            {
+                fields: ['postId', 'optionId']
+            },
+            {
+                fields: ['userId']
+            }
+        ]
+    });
+    return PollVote
+};
@@ -0,0 +1,39 @@
+module.exports = (sequelize, Sequelize) => {
+    const PostComment = sequelize.define('PostComment', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        // Nullable so a deleted comment can stay in its thread as a placeholder
+        content: {
+            type: Sequelize.TEXT
+        },
+        repliesCount: {
+            type: Sequelize.INTEGER,
+            defaultValue: 0
+        },
+        isEdited: {
+            type: Sequelize.BOOLEAN,
+            defaultValue: false
+        },
+        editedAt: {
+            type: Sequelize.DATE
+        },
+        isDeleted: {
+            type: Sequelize.BOOLEAN,
+            defaultValue: false
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['postId', 'parentId', 'createdAt']
+            },
+            {
+                fields: ['authorId']
+            }
+        ]
+    });
+    return PostComment
+};
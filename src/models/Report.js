@@ -0,0 +1,55 @@
+module.exports = (sequelize, Sequelize) => {
+    const Report = sequelize.define('Report', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        targetType: {
+            type: Sequelize.ENUM('POST', 'COMMENT', 'USER'),
+            allowNull: false
+        },
+        // Id of the reported post, comment or user, depending on targetType
+        targetId: {
+            type: Sequelize.UUID,
+            allowNull: false
+        },
+        reason: {
+            type: Sequelize.ENUM('SPAM', 'HARASSMENT', 'HATE_SPEECH', 'VIOLENCE', 'NUDITY', 'SCAM', 'MISINFORMATION', 'IMPERSONATION', 'OTHER'),
+            allowNull: false
+        },
+        details: {
+            type: Sequelize.TEXT
+        },
+        status: {
+            type: Sequelize.ENUM('OPEN', 'RESOLVED'),
+            defaultValue: 'OPEN'
+        },
+        resolution: {
+            type: Sequelize.ENUM('DISMISSED', 'CONTENT_REMOVED', 'USER_BANNED')
+        },
+        resolutionNote: {
+            type: Sequelize.TEXT
+        },
+        resolvedAt: {
+            type: Sequelize.DATE
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['communityId', 'status', 'createdAt']
+            },
+            {
+                fields: ['status', 'createdAt']
+            },
+            {
+                fields: ['targetType', 'targetId', 'status']
+            },
+            {
+                fields: ['reporterId']
+            }
+        ]
+    });
+    return Report
+};
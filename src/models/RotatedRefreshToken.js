@@ -0,0 +1,37 @@
+module.exports = (sequelize, Sequelize) => {
+    // Refresh tokens that have already been exchanged. Seeing one again means it was copied.
+    const RotatedRefreshToken = sequelize.define('RotatedRefreshToken', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tokenHash: {
+          type: Sequelize.STRING(256),
+          allowNull: false,
+          unique: true
+        },
+        // Every token issued from the same login shares the session's familyId
+        familyId: {
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        // The token's own expiry; after that it fails verification anyway and the row can go
+        expiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      }, {
+        timestamps: true,
+        indexes: [
+          {
+            fields: ['familyId']
+          },
+          {
+            fields: ['expiresAt']
+          }
+        ]
+      });
+
+    return RotatedRefreshToken;
+};
@@ -84,6 +84,20 @@ module.exports = (sequelize, Sequelize) => {
           type: Sequelize.INTEGER,
           defaultValue: 0
         },
+        // Accepted follows only; pending requests are not counted
+        followersCount: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        followingCount: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        // New followers of a private profile have to be accepted first
+        isPrivateProfile: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false
+        },
         // Notification settings
         pushNotificationsEnabled: {
           type: Sequelize.BOOLEAN,
@@ -107,6 +121,15 @@ module.exports = (sequelize, Sequelize) => {
         },
         deletedAt: {
           type: Sequelize.DATE,
+        },
+        // Set once the deletion grace period has ended and PII has been scrubbed
+        anonymizedAt: {
+          type: Sequelize.DATE,
+        },
+        // Secret part of the user's subscribable calendar feed URL
+        calendarToken: {
+          type: Sequelize.STRING(64),
+          unique: true,
         }
       }, {
         indexes: [
@@ -142,7 +165,7 @@ module.exports = (sequelize, Sequelize) => {
       };
     
       User.prototype.getPublicProfile = function() {
-        const publicFields = ['id', 'name', 'bio', 'profileImageUrl', 'isPhoneVerified', 'isEmailVerified', 'followersCount', 'followingCount', 'createdAt', 'role'];
+        const publicFields = ['id', 'name', 'bio', 'profileImageUrl', 'isPhoneVerified', 'isEmailVerified', 'followersCount', 'followingCount', 'isPrivateProfile', 'createdAt', 'role'];
         const profile = {};
         publicFields.forEach(field => {
           profile[field] = this[field];
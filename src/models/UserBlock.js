@@ -0,0 +1,22 @@
+module.exports = (sequelize, Sequelize) => {
+    // blockerId has blocked blockedId; blocked users no longer find the blocker in search or profiles
+    const UserBlock = sequelize.define('UserBlock', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['blockerId', 'blockedId']
+            },
+            {
+                fields: ['blockedId']
+            }
+        ]
+    });
+    return UserBlock
+};
@@ -0,0 +1,32 @@
+module.exports = (sequelize, Sequelize) => {
+    const UserFollow = sequelize.define('UserFollow', {
+        id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+        },
+        // PENDING: a request to follow a private profile, waiting for its owner to accept it
+        status: {
+            type: Sequelize.ENUM('PENDING', 'ACCEPTED'),
+            defaultValue: 'ACCEPTED'
+        },
+        acceptedAt: {
+            type: Sequelize.DATE
+        }
+    }, {
+        timestamps: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['followerId', 'followingId']
+            },
+            {
+                fields: ['followingId', 'status', 'acceptedAt']
+            },
+            {
+                fields: ['followerId', 'status', 'acceptedAt']
+            }
+        ]
+    });
+    return UserFollow
+};
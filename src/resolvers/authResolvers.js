@@ -6,8 +6,11 @@ const sequelize = db.sequelize
 const User = db.User
 const AuthSession = db.AuthSession
 const OTPVerification = db.OtpVerification
+const RotatedRefreshToken = db.RotatedRefreshToken
 const { requireAuth } = require("../middleware/auth")
 const smsService = require('../services/kaleraSmsService');
+const accountService = require('../services/accountService');
+const authService = require('../services/authService');
 const logger = require('../utils/logger');
 const { OAuth2Client } = require('google-auth-library');
 const { Op } = require('sequelize');
@@ -87,6 +90,10 @@ const authResolvers = {
         });
       } else if (user && type === "PHONE_AUTH") {
         checkUserActiveOrThrow(user);
+      } else if (type === "ACCOUNT_RESTORE" && !accountService.isRestorable(user)) {
+        throw new GraphQLError('No account pending deletion is registered with this phone number', {
+          extensions: { code: 'ACCOUNT_NOT_RESTORABLE' }
+        });
       }
     
       // 2. Rate limiting: max 5 OTPs per hour per phone+type
@@ -181,84 +188,8 @@ const authResolvers = {
     
       const transaction = await sequelize.transaction();
       try {
-        // 1. Find latest, unexpired, unverified OTP
-        const otpRecord = await OTPVerification.findOne({
-          where: {
-            phoneNumber,
-            countryCode,
-            otpType: type,
-            isVerified: false,
-            provider: 'KALEYRA',
-            expiresAt: { [Op.gt]: new Date() }
-          },
-          order: [['createdAt', 'DESC']],
-          lock: transaction.LOCK.UPDATE,
-          transaction
-        });
-    
-        if (!otpRecord || !otpRecord.verifyId) {
-          logger.warn('No valid OTP record found', { phoneNumber, countryCode, type });
-          throw new GraphQLError('Invalid or expired OTP session', {
-            extensions: { code: 'INVALID_OTP_SESSION' }
-          });
-        }
-    
-        // 2. Attempt limit
-        if (otpRecord.verificationAttempts >= otpRecord.maxAttempts) {
-          logger.warn('Local OTP verification attempts exceeded', { phoneNumber });
-          throw new GraphQLError('Maximum verification attempts exceeded', {
-            extensions: { code: 'OTP_ATTEMPTS_EXCEEDED' }
-          });
-        }
-    
-        // 3. Verify OTP with Kaleyra
-        let kaleyraVerifyResult;
-        try {
-          kaleyraVerifyResult = await smsService.verifyOTP(otpRecord.verifyId, otp);
-        } catch (kaleyraError) {
-          await otpRecord.increment('verificationAttempts', { transaction });
-          throw kaleyraError;
-        }
-    
-        // 4. Increment attempt counter
-        await otpRecord.increment('verificationAttempts', { transaction });
-    
-        if (!kaleyraVerifyResult.success || !kaleyraVerifyResult.isValid) {
-          await otpRecord.update({
-            providerStatus: kaleyraVerifyResult.status || 'failed',
-            providerResponse: {
-              ...otpRecord.providerResponse,
-              lastVerifyAttempt: {
-                result: kaleyraVerifyResult,
-                attemptedAt: new Date()
-              }
-            }
-          }, { transaction });
-    
-          logger.warn('OTP verification failed with Kaleyra', {
-            phoneNumber,
-            verifyId: otpRecord.verifyId,
-            status: kaleyraVerifyResult.status
-          });
-    
-          throw new GraphQLError(kaleyraVerifyResult.message || 'Invalid OTP', {
-            extensions: { code: 'INVALID_OTP' }
-          });
-        }
-    
-        // 5. Mark as verified
-        await otpRecord.update({
-          isVerified: true,
-          verifiedAt: new Date(),
-          providerStatus: kaleyraVerifyResult.status || 'approved',
-          providerResponse: {
-            ...otpRecord.providerResponse,
-            verificationResult: {
-              result: kaleyraVerifyResult,
-              verifiedAt: new Date()
-            }
-          }
-        }, { transaction });
+        // 1-5. Check the OTP with Kaleyra and mark it verified
+        const otpRecord = await verifyOtpRecord({ phoneNumber, countryCode, otp, type }, transaction);
     
         // 6. User creation/login logic
         let user = await User.findOne({
@@ -283,7 +214,7 @@ const authResolvers = {
         }
     
         // 7. Generate tokens
-        const { accessToken, refreshToken } = await generateTokens(
+        const { accessToken, refreshToken, expiresAt } = await generateTokens(
           user.id,
           deviceInfo,
           user.role,
@@ -305,7 +236,7 @@ const authResolvers = {
           message: isNewUser ? 'Account created successfully' : 'Login successful',
           user,
           isNewUser,
-          authTokens: { accessToken, refreshToken }
+          authTokens: { accessToken, refreshToken, expiresAt }
         };
     
       } catch (error) {
@@ -316,12 +247,96 @@ const authResolvers = {
       }
     },
 
-    refreshToken: async (_, { refreshToken }, context) => {
+    revokeSession: requireAuth(async (_, { sessionId }, { user }) => {
+      try {
+        const revokedCount = await authService.revokeSessions({ id: sessionId, userId: user.id });
+        if (revokedCount === 0) {
+          throw new GraphQLError('No active session found', {
+            extensions: { code: 'SESSION_NOT_FOUND' }
+          });
+        }
+
+        logger.info('Session revoked', { userId: user.id, sessionId });
+        return { success: true, message: 'Session revoked' };
+      } catch (error) {
+        logger.error('Session revoke failed', { userId: user.id, sessionId, error: error.message });
+        if (error instanceof GraphQLError) throw error;
+        throw new GraphQLError('Failed to revoke session', { extensions: { code: 'REVOKE_SESSION_FAILED' } });
+      }
+    }),
+
+    revokeOtherSessions: requireAuth(async (_, __, { user, sessionId }) => {
+      try {
+        const revokedCount = await authService.revokeSessions({ userId: user.id, id: { [Op.ne]: sessionId } });
+
+        logger.info('Other sessions revoked', { userId: user.id, revokedCount });
+        return {
+          success: true,
+          message: revokedCount > 0 ? 'Signed out of all other sessions' : 'No other active sessions',
+          revokedCount
+        };
+      } catch (error) {
+        logger.error('Revoking other sessions failed', { userId: user.id, error: error.message });
+        throw new GraphQLError('Failed to revoke sessions', { extensions: { code: 'REVOKE_SESSIONS_FAILED' } });
+      }
+    }),
+
+    restoreAccount: async (_, { input }, { ipAddress, userAgent }) => {
+      const { phoneNumber, countryCode, otp, deviceInfo } = input;
+      logger.info('Restoring account via Kaleyra OTP', { phoneNumber, countryCode });
+
+      const transaction = await sequelize.transaction();
+      try {
+        await verifyOtpRecord({ phoneNumber, countryCode, otp, type: 'ACCOUNT_RESTORE' }, transaction);
+
+        const user = await User.findOne({
+          where: { phoneNumber, countryCode },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        if (!accountService.isRestorable(user)) {
+          throw new GraphQLError('No account pending deletion is registered with this phone number', {
+            extensions: { code: 'ACCOUNT_NOT_RESTORABLE' }
+          });
+        }
+
+        await accountService.restoreAccount(user, transaction);
+
+        const { accessToken, refreshToken, expiresAt } = await generateTokens(
+          user.id,
+          deviceInfo,
+          user.role,
+          transaction,
+          ipAddress,
+          userAgent
+        );
+
+        await transaction.commit();
+
+        return {
+          success: true,
+          message: 'Account restored successfully',
+          user,
+          isNewUser: false,
+          authTokens: { accessToken, refreshToken, expiresAt }
+        };
+      } catch (error) {
+        await transaction.rollback();
+        logger.error('Account restore failed', { phoneNumber, error: error.message });
+        if (error instanceof GraphQLError) throw error;
+        throw new GraphQLError('Failed to restore account', { extensions: { code: 'RESTORE_ACCOUNT_FAILED' } });
+      }
+    },
+
+    // Rotates the session's token pair in place. The old refresh token is remembered, so
+    // presenting it again is treated as theft and every session in its family is revoked.
+    refreshToken: async (_, { refreshToken }, { ipAddress, userAgent }) => {
       logger.info('Refreshing token');
       const transaction = await sequelize.transaction();
+      let reusedToken = null;
       try {
         const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-        const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
+        const refreshTokenHash = hashToken(refreshToken);
 
         const session = await AuthSession.findOne({
           where: {
@@ -329,15 +344,19 @@ const authResolvers = {
             isActive: true,
             refreshExpiresAt: { [Op.gt]: new Date() }
           },
+          lock: transaction.LOCK.UPDATE,
           transaction
         });
 
         if (!session) {
+          reusedToken = await RotatedRefreshToken.findOne({ where: { tokenHash: refreshTokenHash }, transaction });
+          if (reusedToken) {
+            throw new GraphQLError('Refresh token has already been used', { extensions: { code: 'REFRESH_TOKEN_REUSED' } });
+          }
           logger.warn('Invalid or expired refresh token session', { userId: decoded.userId });
           throw new GraphQLError('Invalid refresh token', { extensions: { code: 'UNAUTHENTICATED' } });
         }
 
-        // Optionally: You can include `User` if needed and check if user isActive
         const user = await User.findOne({ where: { id: session.userId }, transaction });
         if (!user) {
           logger.warn('Refresh attempt for deactivated user', { userId: session.userId });
@@ -345,25 +364,26 @@ const authResolvers = {
         }
         checkUserActiveOrThrow(user);
 
-        const { accessToken, refreshToken: newRefreshToken, expiresAt } = await generateTokens(
-          user.id,
-          {
-            deviceId: session.deviceId,
-            deviceType: session.deviceType,
-            deviceName: session.deviceName,
-            appVersion: session.appVersion,
-            osVersion: session.osVersion,
-            fcmToken: session.fcmToken
-          },
-          user.role,
-          transaction,
-          context.ipAddress,
-          context.userAgent
-        );
+        // Sessions created before token families existed start one on their first rotation
+        const familyId = session.familyId || crypto.randomUUID();
+
+        await RotatedRefreshToken.create({
+          tokenHash: refreshTokenHash,
+          familyId,
+          userId: user.id,
+          expiresAt: new Date(decoded.exp * 1000)
+        }, { transaction });
+
+        const tokens = signTokens(user.id, session.deviceId, user.role);
 
         await session.update({
-          accessTokenHash: crypto.createHash('sha256').update(accessToken).digest('hex'),
-          refreshTokenHash: crypto.createHash('sha256').update(newRefreshToken).digest('hex'),
+          familyId,
+          accessTokenHash: tokens.accessTokenHash,
+          refreshTokenHash: tokens.refreshTokenHash,
+          tokenExpiresAt: tokens.tokenExpiresAt,
+          refreshExpiresAt: tokens.refreshExpiresAt,
+          ipAddress,
+          userAgent,
           lastUsedAt: new Date()
         }, { transaction });
 
@@ -374,15 +394,18 @@ const authResolvers = {
         return {
           success: true,
           authTokens: {
-            accessToken,
-            refreshToken: newRefreshToken,
-            expiresAt
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresAt: tokens.tokenExpiresAt
           },
           message: 'Token refreshed successfully'
         };
 
       } catch (error) {
         await transaction.rollback();
+        if (reusedToken) {
+          await authService.revokeTokenFamily(reusedToken, { ipAddress, userAgent });
+        }
         logger.error('Refresh token failed', { error: error });
         if (error instanceof GraphQLError) throw error
         throw new GraphQLError('Invalid refresh token', { extensions: { code: 'UNAUTHENTICATED' } });
@@ -742,24 +765,129 @@ const authResolvers = {
   }
 };
 
-async function generateTokens(userId, deviceInfo, role, transaction, ipAddress, userAgent) {
+// Steps shared by every flow that consumes a Kaleyra OTP; throws on an invalid or exhausted OTP
+async function verifyOtpRecord({ phoneNumber, countryCode, otp, type }, transaction) {
+  // 1. Find latest, unexpired, unverified OTP
+  const otpRecord = await OTPVerification.findOne({
+    where: {
+      phoneNumber,
+      countryCode,
+      otpType: type,
+      isVerified: false,
+      provider: 'KALEYRA',
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    order: [['createdAt', 'DESC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!otpRecord || !otpRecord.verifyId) {
+    logger.warn('No valid OTP record found', { phoneNumber, countryCode, type });
+    throw new GraphQLError('Invalid or expired OTP session', {
+      extensions: { code: 'INVALID_OTP_SESSION' }
+    });
+  }
+
+  // 2. Attempt limit
+  if (otpRecord.verificationAttempts >= otpRecord.maxAttempts) {
+    logger.warn('Local OTP verification attempts exceeded', { phoneNumber });
+    throw new GraphQLError('Maximum verification attempts exceeded', {
+      extensions: { code: 'OTP_ATTEMPTS_EXCEEDED' }
+    });
+  }
+
+  // 3. Verify OTP with Kaleyra
+  let kaleyraVerifyResult;
+  try {
+    kaleyraVerifyResult = await smsService.verifyOTP(otpRecord.verifyId, otp);
+  } catch (kaleyraError) {
+    await otpRecord.increment('verificationAttempts', { transaction });
+    throw kaleyraError;
+  }
+
+  // 4. Increment attempt counter
+  await otpRecord.increment('verificationAttempts', { transaction });
+
+  if (!kaleyraVerifyResult.success || !kaleyraVerifyResult.isValid) {
+    await otpRecord.update({
+      providerStatus: kaleyraVerifyResult.status || 'failed',
+      providerResponse: {
+        ...otpRecord.providerResponse,
+        lastVerifyAttempt: {
+          result: kaleyraVerifyResult,
+          attemptedAt: new Date()
+        }
+      }
+    }, { transaction });
+
+    logger.warn('OTP verification failed with Kaleyra', {
+      phoneNumber,
+      verifyId: otpRecord.verifyId,
+      status: kaleyraVerifyResult.status
+    });
+
+    throw new GraphQLError(kaleyraVerifyResult.message || 'Invalid OTP', {
+      extensions: { code: 'INVALID_OTP' }
+    });
+  }
+
+  // 5. Mark as verified
+  await otpRecord.update({
+    isVerified: true,
+    verifiedAt: new Date(),
+    providerStatus: kaleyraVerifyResult.status || 'approved',
+    providerResponse: {
+      ...otpRecord.providerResponse,
+      verificationResult: {
+        result: kaleyraVerifyResult,
+        verifiedAt: new Date()
+      }
+    }
+  }, { transaction });
+
+  return otpRecord;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Session expiry is read back from the signed tokens, so ACCESS_TOKEN_EXPIRE and
+// REFRESH_TOKEN_EXPIRE are the only settings that decide how long tokens last
+function signTokens(userId, deviceId, role) {
+  // jti keeps tokens signed within the same second from colliding
   const accessToken = jwt.sign(
-    { userId, deviceId: deviceInfo.deviceId, role },
+    { userId, deviceId, role, jti: crypto.randomUUID() },
     process.env.ACCESS_TOKEN_SECRET,
     { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '1h' }
   );
 
   const refreshToken = jwt.sign(
-    { userId, deviceId: deviceInfo.deviceId, role },
+    { userId, deviceId, role, jti: crypto.randomUUID() },
     process.env.REFRESH_TOKEN_SECRET,
     { expiresIn: process.env.REFRESH_TOKEN_EXPIRE || '30d' }
   );
 
-  const accessTokenHash = crypto.createHash('sha256').update(accessToken).digest('hex');
-  const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
+  return {
+    accessToken,
+    refreshToken,
+    accessTokenHash: hashToken(accessToken),
+    refreshTokenHash: hashToken(refreshToken),
+    tokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    refreshExpiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+  };
+}
+
+async function generateTokens(userId, deviceInfo, role, transaction, ipAddress, userAgent) {
+  const {
+    accessToken,
+    refreshToken,
+    accessTokenHash,
+    refreshTokenHash,
+    tokenExpiresAt,
+    refreshExpiresAt
+  } = signTokens(userId, deviceInfo.deviceId, role);
 
-  const tokenExpiresAt = new Date(Date.now() + 5 * 60 * 60 * 1000);
-  const refreshExpiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  const newDevice = await authService.isNewDevice(userId, deviceInfo.deviceId, transaction);
 
   await AuthSession.destroy({
     where: { userId, deviceId: deviceInfo.deviceId },
@@ -784,16 +912,34 @@ async function generateTokens(userId, deviceInfo, role, transaction, ipAddress,
 
   logger.info('Auth session created', { userId, deviceId: deviceInfo.deviceId });
 
+  if (newDevice) {
+    const signedInAt = new Date();
+    // Not awaited, so a slow mail server doesn't hold up the login response
+    transaction.afterCommit(() => {
+      authService.sendNewDeviceAlert(userId, {
+        deviceName: formatDeviceName(deviceInfo.deviceType, deviceInfo.deviceName, userAgent),
+        ipAddress,
+        signedInAt
+      });
+    });
+  }
+
   return { accessToken, refreshToken, expiresAt: tokenExpiresAt };
 }
 
 function checkUserActiveOrThrow(user) {
   if (!user.isActive && user.deletedAt) {
     throw new GraphQLError(
-      'Account is scheduled for deletion. Please contact support to restore.',
+      'Account is scheduled for deletion. Verify your phone number to restore it.',
       { extensions: { code: 'ACCOUNT_SCHEDULED_FOR_DELETION', deletedAt: user.deletedAt } }
     );
   }
+  if (!user.isActive && user.isSuspended) {
+    throw new GraphQLError(
+      'Account has been suspended. Please contact support.',
+      { extensions: { code: 'ACCOUNT_SUSPENDED' } }
+    );
+  }
   if (!user.isActive) {
     throw new GraphQLError(
       'Account is deactivated. Please contact support.',
@@ -0,0 +1,18 @@
+const calendarService = require('../services/calendarService');
+const { requireAuth } = require('../middleware/auth');
+
+const calendarResolvers = {
+  Query: {
+    myCalendarFeedUrl: requireAuth(async (_, __, context) => {
+      return await calendarService.getFeedUrl(context.user.id);
+    })
+  },
+
+  Mutation: {
+    resetCalendarFeedUrl: requireAuth(async (_, __, context) => {
+      return await calendarService.resetFeedUrl(context.user.id);
+    })
+  }
+};
+
+module.exports = calendarResolvers;
@@ -1,10 +1,13 @@
 const { requireAuth } = require("../middleware/auth");
 const communityService = require("../services/communityService")
+const calendarService = require("../services/calendarService")
+const { publishPostCreated, publishPostUpdated, publishPostLiked, publishMemberJoined } = require("./subscriptionResolvers")
+const db = require("../config/dbConfig")
 const { GraphQLError } = require('graphql');
 
 const resolvers = {
     Query: {
-      discoverCommunities: async (parent, args, context) => {
+      discoverCommunities: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { first, after, filters } = args;
         
@@ -14,9 +17,9 @@ const resolvers = {
           cursor: after,
           filters: filters || {}
         });
-      },
+      }),
   
-      searchCommunities: async (parent, args, context) => {
+      searchCommunities: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { query, first, after, filters } = args;
         
@@ -27,7 +30,7 @@ const resolvers = {
           cursor: after,
           filters: filters || {}
         });
-      },
+      }),
   
       myJoinedCommunities: async (parent, args, context) => {
         const { user } = context;
@@ -88,7 +91,64 @@ const resolvers = {
         });
       },
   
-      communityWall: async (parent, args, context) => {
+      communityInvites: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { communityId, first, after } = args;
+
+        await communityService.checkAdminAccess(communityId, user.id);
+
+        return await communityService.getCommunityInvites({
+          communityId,
+          limit: first,
+          cursor: after
+        });
+      }),
+
+      myCommunityInvites: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        return await communityService.getMyInvites(user.id);
+      }),
+
+      communityInvite: requireAuth(async (parent, args) => {
+        return await communityService.getInviteByCode(args.code);
+      }),
+
+      communityAuditLog: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { communityId, first, after, action, targetUserId } = args;
+
+        await communityService.checkAdminAccess(communityId, user.id);
+
+        return await communityService.getAuditLog({
+          communityId,
+          limit: first,
+          cursor: after,
+          action,
+          targetUserId
+        });
+      }),
+
+      pendingPosts: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { communityId, first, after } = args;
+
+        await communityService.checkModeratorAccess(communityId, user.id);
+
+        return await communityService.getPendingPosts({
+          communityId,
+          limit: first,
+          cursor: after
+        });
+      }),
+
+      eventCheckInStats: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId, occurrenceDate } = args;
+
+        return await communityService.getEventCheckInStats(postId, user.id, occurrenceDate);
+      }),
+
+      communityWall: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { communityId, first, after, postType } = args;
         
@@ -102,9 +162,35 @@ const resolvers = {
           cursor: after,
           postType
         });
-      },
+      }),
+
+      searchPosts: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { query, communityId, postType, first, after } = args;
+
+        return await communityService.searchPosts({
+          userId: user.id,
+          query,
+          communityId,
+          postType,
+          limit: first,
+          cursor: after
+        });
+      }),
+
+      postComments: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId, first, after } = args;
+
+        return await communityService.getPostComments({
+          postId,
+          userId: user.id,
+          limit: first,
+          cursor: after
+        });
+      }),
   
-      trendingCommunities: async (parent, args, context) => {
+      trendingCommunities: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { first, timeframe } = args;
         
@@ -113,9 +199,9 @@ const resolvers = {
           limit: first,
           timeframe
         });
-      },
+      }),
   
-      recommendedCommunities: async (parent, args, context) => {
+      recommendedCommunities: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { first } = args;
         
@@ -123,7 +209,7 @@ const resolvers = {
           userId: user.id,
           limit: first
         });
-      }
+      })
     },
   
     Mutation: {
@@ -222,12 +308,14 @@ const resolvers = {
         return await communityService.deleteCommunity(id);
       },
   
-      joinCommunity: async (parent, args, context) => {
+      joinCommunity: requireAuth(async (parent, args, context) => {
         const { user } = context;
-        const { communityId } = args;
+        const { communityId, inviteCode } = args;
         
-        return await communityService.joinCommunity(communityId, user.id);
-      },
+        const membership = await communityService.joinCommunity(communityId, user.id, inviteCode);
+        if (membership.status === 'APPROVED') publishMemberJoined(membership);
+        return true;
+      }),
   
       leaveCommunity: async (parent, args, context) => {
         const { user } = context;
@@ -236,69 +324,265 @@ const resolvers = {
         return await communityService.leaveCommunity(communityId, user.id);
       },
   
-      approveMemberRequest: async (parent, args, context) => {
+      approveMemberRequest: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { communityId, userId } = args;
         
         // Check if user is owner/admin
         await communityService.checkAdminAccess(communityId, user.id);
         
-        return await communityService.approveMemberRequest(communityId, userId);
-      },
+        const membership = await communityService.approveMemberRequest(communityId, userId, user.id);
+        publishMemberJoined(membership);
+        return true;
+      }),
   
-      rejectMemberRequest: async (parent, args, context) => {
+      rejectMemberRequest: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { communityId, userId } = args;
         
         // Check if user is owner/admin
         await communityService.checkAdminAccess(communityId, user.id);
         
-        return await communityService.rejectMemberRequest(communityId, userId);
-      },
+        return await communityService.rejectMemberRequest(communityId, userId, user.id);
+      }),
   
-      assignMemberRole: async (parent, args, context) => {
+      createCommunityInviteLink: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { communityId, input } = args;
+
+        return await communityService.createInviteLink(communityId, user.id, input || {});
+      }),
+
+      inviteToCommunity: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { communityId, input } = args;
+
+        return await communityService.inviteUser(communityId, user.id, input);
+      }),
+
+      revokeCommunityInvite: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { inviteId } = args;
+
+        return await communityService.revokeInvite(inviteId, user.id);
+      }),
+
+      assignMemberRole: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { communityId, userId, role } = args;
         
         // Check if user is owner (only owners can assign roles)
         await communityService.checkOwnerAccess(communityId, user.id);
         
-        return await communityService.assignMemberRole(communityId, userId, role);
-      },
+        return await communityService.assignMemberRole(communityId, userId, role, user.id);
+      }),
+
+      removeMemberRole: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { communityId, userId } = args;
+
+        await communityService.checkOwnerAccess(communityId, user.id);
+
+        return await communityService.removeMemberRole(communityId, userId, user.id);
+      }),
   
-      banMember: async (parent, args, context) => {
+      banMember: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { communityId, userId, reason } = args;
         
         // Check if user is owner/admin
         await communityService.checkAdminAccess(communityId, user.id);
         
-        return await communityService.banMember(communityId, userId, reason);
-      },
+        return await communityService.banMember(communityId, userId, reason, user.id);
+      }),
+
+      unbanMember: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { communityId, userId } = args;
+
+        await communityService.checkAdminAccess(communityId, user.id);
+
+        return await communityService.unbanMember(communityId, userId, user.id);
+      }),
   
-      createCommunityPost: async (parent, args, context) => {
+      createCommunityPost: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { input } = args;
         
         // Check if user can post in community
         await communityService.checkPostAccess(input.communityId, user.id);
         
-        return await communityService.createCommunityPost({
+        const post = await communityService.createCommunityPost({
           ...input,
           authorId: user.id
         });
-      },
-  
-      registerForEvent: async (parent, args, context) => {
+        // Posts waiting for approval reach the wall when a moderator approves them
+        if (post.isApproved) publishPostCreated(post);
+        return post;
+      }),
+
+      approvePost: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId } = args;
+
+        const post = await communityService.approvePost(postId, user.id);
+        publishPostCreated(post);
+        return post;
+      }),
+
+      rejectPost: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId, reason } = args;
+
+        return await communityService.rejectPost(postId, user.id, reason);
+      }),
+
+      updateCommunityPost: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { id, input } = args;
+
+        const post = await communityService.updateCommunityPost(id, input, user.id);
+        publishPostUpdated(post);
+        return post;
+      }),
+
+      likeCommunityPost: requireAuth(async (parent, args, context) => {
         const { user } = context;
         const { postId } = args;
+
+        const { post, liked } = await communityService.likeCommunityPost(postId, user.id);
+        if (liked) publishPostLiked(post, user.id);
+        return true;
+      }),
+
+      unlikeCommunityPost: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId } = args;
+
+        return await communityService.unlikeCommunityPost(postId, user.id);
+      }),
+
+      // Subscribers to the wall get the post again so they can refetch live results
+      votePoll: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId, optionIds } = args;
+
+        const post = await communityService.votePoll(postId, optionIds, user.id);
+        publishPostUpdated(post);
+        return post;
+      }),
+
+      retractVote: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId } = args;
+
+        const post = await communityService.retractVote(postId, user.id);
+        publishPostUpdated(post);
+        return post;
+      }),
+  
+      registerForEvent: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId, occurrenceDate } = args;
         
-        return await communityService.registerForEvent(postId, user.id);
-      }
+        return await communityService.registerForEvent(postId, user.id, occurrenceDate);
+      }),
+
+      unregisterFromEvent: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId, occurrenceDate } = args;
+
+        return await communityService.unregisterFromEvent(postId, user.id, occurrenceDate);
+      }),
+
+      updateEventOccurrence: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId, occurrenceDate, scope, input } = args;
+
+        const post = await communityService.updateEventOccurrence(postId, occurrenceDate, scope, input, user.id);
+        publishPostUpdated(post);
+        return post;
+      }),
+
+      cancelEventOccurrence: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId, occurrenceDate } = args;
+
+        const post = await communityService.cancelEventOccurrence(postId, occurrenceDate, user.id);
+        publishPostUpdated(post);
+        return post;
+      }),
+
+      joinEventWaitlist: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId } = args;
+
+        return await communityService.joinEventWaitlist(postId, user.id);
+      }),
+
+      leaveEventWaitlist: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { postId } = args;
+
+        return await communityService.leaveEventWaitlist(postId, user.id);
+      }),
+
+      checkInAttendee: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { ticketCode } = args;
+
+        return await communityService.checkInAttendee(ticketCode, user.id);
+      }),
+
+      addComment: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { input } = args;
+
+        return await communityService.addComment({
+          ...input,
+          userId: user.id
+        });
+      }),
+
+      editComment: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { id, content } = args;
+
+        return await communityService.editComment(id, content, user.id);
+      }),
+
+      deleteComment: requireAuth(async (parent, args, context) => {
+        const { user } = context;
+        const { id } = args;
+
+        return await communityService.deleteComment(id, user.id);
+      })
     },
   
     // Field Resolvers
     Community: {
+      owner: async (parent, args, context) => {
+        if (parent.owner) return parent.owner;
+        return await context.loaders.userLoader.load(parent.ownerId);
+      },
+
+      interests: async (parent) => {
+        if (parent.interests) return parent.interests;
+        return await parent.getInterests({ joinTableAttributes: [] });
+      },
+
+      admins: async (parent) => {
+        return await communityService.getCommunityStaff(parent.id, 'ADMIN');
+      },
+
+      moderators: async (parent) => {
+        return await communityService.getCommunityStaff(parent.id, 'MODERATOR');
+      },
+
+      location: (parent) => {
+        return parent.location?.latitude != null ? parent.location : null;
+      },
+
       membershipStatus: async (parent, args, context) => {
         const { user } = context;
         return await communityService.getMembershipStatus(parent.id, user.id);
@@ -330,22 +614,196 @@ const resolvers = {
       }
     },
   
+    CommunityAuditEntry: {
+      actor: async (parent, args, context) => {
+        return await context.loaders.userLoader.load(parent.actorId);
+      },
+
+      targetUser: async (parent, args, context) => {
+        if (!parent.targetUserId) return null;
+        return await context.loaders.userLoader.load(parent.targetUserId);
+      }
+    },
+
+    CommunityInvite: {
+      community: async (parent) => {
+        if (parent.community) return parent.community;
+        return await db.Community.findByPk(parent.communityId);
+      },
+
+      inviter: async (parent, args, context) => {
+        if (!parent.invitedBy) return null;
+        return await context.loaders.userLoader.load(parent.invitedBy);
+      },
+
+      invitee: async (parent, args, context) => {
+        if (!parent.inviteeId) return null;
+        return await context.loaders.userLoader.load(parent.inviteeId);
+      }
+    },
+
+    CommunityMember: {
+      user: async (parent, args, context) => {
+        if (parent.user) return parent.user;
+        return await context.loaders.userLoader.load(parent.userId);
+      },
+
+      community: async (parent) => {
+        if (parent.community) return parent.community;
+        return await db.Community.findByPk(parent.communityId);
+      }
+    },
+  
     CommunityPost: {
+      author: async (parent, args, context) => {
+        if (parent.author) return parent.author;
+        return await context.loaders.userLoader.load(parent.authorId);
+      },
+
+      community: async (parent) => {
+        if (parent.community) return parent.community;
+        return await db.Community.findByPk(parent.communityId);
+      },
+
       isLiked: async (parent, args, context) => {
         const { user } = context;
-        return await postService.isLikedByUser(parent.id, user.id);
+        return await communityService.isLikedByUser(parent.id, user.id);
       },
   
       isBookmarked: async (parent, args, context) => {
         const { user } = context;
-        return await postService.isBookmarkedByUser(parent.id, user.id);
+        return await communityService.isBookmarkedByUser(parent.id, user.id);
+      },
+
+      // EventDetails is stored as JSONB on the post, so carry the post id down for isRegistered
+      eventDetails: (parent) => {
+        if (parent.type !== 'EVENT' || !parent.eventDetails) return null;
+        return { ...parent.eventDetails, postId: parent.id };
+      },
+
+      approvalStatus: (parent) => communityService.getPostApprovalStatus(parent),
+
+      pollDetails: (parent) => {
+        if (parent.type !== 'POLL' || !parent.pollDetails) return null;
+        return { ...parent.pollDetails, postId: parent.id };
+      },
+
+      pollResults: async (parent, args, context) => {
+        if (parent.type !== 'POLL') return null;
+        const { user } = context;
+        return await communityService.getPollResults(parent, user.id);
       }
     },
   
+    PostComment: {
+      author: async (parent, args, context) => {
+        if (parent.isDeleted) return null;
+        if (parent.author) return parent.author;
+        return await context.loaders.userLoader.load(parent.authorId);
+      },
+
+      replies: async (parent, args, context) => {
+        const { user } = context;
+        const { first, after } = args;
+
+        await context.loaders.visiblePostLoader.load({ postId: parent.postId, userId: user.id });
+
+        if (after) {
+          return await communityService.listComments({
+            postId: parent.postId,
+            parentId: parent.id,
+            limit: first,
+            cursor: after
+          });
+        }
+        return await context.loaders.firstRepliesLoader.load({ parentId: parent.id, limit: first });
+      }
+    },
+
     EventDetails: {
+      registrationCount: (parent) => parent.registrationCount || 0,
+
+      isRegistered: async (parent, args, context) => {
+        const { user } = context;
+        return await communityService.isRegisteredForEvent(parent.postId, user.id);
+      },
+
+      myTicketCode: async (parent, args, context) => {
+        const { user } = context;
+        return await communityService.getMyTicketCode(parent.postId, user.id);
+      },
+
+      calendarUrl: async (parent, args, context) => {
+        const { user } = context;
+        const post = await db.CommunityPost.findByPk(parent.postId, { attributes: ['id', 'communityId', 'isPaid'] });
+        return await calendarService.getEventUrl(post, user.id);
+      },
+
+      waitlistCount: async (parent) => {
+        return await communityService.getWaitlistCount(parent.postId);
+      },
+
+      myWaitlistEntry: async (parent, args, context) => {
+        const { user } = context;
+        return await communityService.getMyWaitlistEntry(parent.postId, user.id);
+      },
+
+      occurrences: (parent, args) => {
+        return communityService.getEventOccurrences(parent, args);
+      }
+    },
+
+    EventOccurrence: {
+      registrationCount: async (parent) => {
+        return await communityService.getOccurrenceRegistrationCount(parent.postId, parent.occurrenceStart);
+      },
+
       isRegistered: async (parent, args, context) => {
         const { user } = context;
-        return await eventService.isRegistered(parent.postId, user.id);
+        return !!(await communityService.getOccurrenceRegistration(parent.postId, parent.occurrenceStart, user.id));
+      },
+
+      myTicketCode: async (parent, args, context) => {
+        const { user } = context;
+        const registration = await communityService.getOccurrenceRegistration(parent.postId, parent.occurrenceStart, user.id);
+        return registration?.paymentStatus === 'COMPLETED' ? registration.ticketCode : null;
+      }
+    },
+
+    EventWaitlistEntry: {
+      position: async (parent) => {
+        return await communityService.getWaitlistPosition(parent);
+      },
+
+      event: async (parent) => {
+        return await db.CommunityPost.findByPk(parent.postId);
+      }
+    },
+
+    EventRegistration: {
+      attendee: async (parent, args, context) => {
+        return await context.loaders.userLoader.load(parent.userId);
+      },
+
+      event: async (parent) => {
+        return await db.CommunityPost.findByPk(parent.postId);
+      }
+    },
+
+    PollDetails: {
+      isClosed: (parent) => communityService.isPollClosed(parent),
+
+      myVotes: async (parent, args, context) => {
+        const { user } = context;
+        return await communityService.getMyPollVotes(parent.postId, user.id);
+      }
+    },
+
+    PollOptionResult: {
+      voters: async (parent, args) => {
+        if (parent.isAnonymous) return [];
+        const limit = Math.min(Math.max(args.first, 0), 50);
+        return await communityService.getPollVoters(parent.postId, parent.option.id, limit);
       }
     }
   
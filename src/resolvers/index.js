@@ -3,22 +3,50 @@ const interestResolvers = require('./interestResolvers');
 const authResolvers = require('./authResolvers');
 const subscriptionResolvers = require('./subscriptionResolvers');
 const communityResolvers = require("./communityResolver")
+const paymentResolvers = require('./paymentResolvers');
+const reportResolvers = require('./reportResolvers');
+const notificationResolvers = require('./notificationResolvers');
+const calendarResolvers = require('./calendarResolvers');
 
 module.exports = {
   Query: {
     ...userResolvers.Query,
     ...interestResolvers.Query,
     ...authResolvers.Query,
-    ...communityResolvers.Query
+    ...communityResolvers.Query,
+    ...paymentResolvers.Query,
+    ...reportResolvers.Query,
+    ...notificationResolvers.Query,
+    ...calendarResolvers.Query
   },
   Mutation: {
     ...userResolvers.Mutation,
     ...authResolvers.Mutation,
     ...interestResolvers.Mutation,
-    ...communityResolvers.Mutation
+    ...communityResolvers.Mutation,
+    ...paymentResolvers.Mutation,
+    ...reportResolvers.Mutation,
+    ...notificationResolvers.Mutation,
+    ...calendarResolvers.Mutation
   },
   Subscription: {
     ...subscriptionResolvers.Subscription
   },
   User: userResolvers.User,
+  PublicUserProfile: userResolvers.PublicUserProfile,
+  Community: communityResolvers.Community,
+  CommunityMember: communityResolvers.CommunityMember,
+  CommunityInvite: communityResolvers.CommunityInvite,
+  CommunityAuditEntry: communityResolvers.CommunityAuditEntry,
+  CommunityPost: communityResolvers.CommunityPost,
+  PostComment: communityResolvers.PostComment,
+  EventDetails: communityResolvers.EventDetails,
+  EventOccurrence: communityResolvers.EventOccurrence,
+  EventRegistration: communityResolvers.EventRegistration,
+  EventWaitlistEntry: communityResolvers.EventWaitlistEntry,
+  PollDetails: communityResolvers.PollDetails,
+  PollOptionResult: communityResolvers.PollOptionResult,
+  PaymentSession: paymentResolvers.PaymentSession,
+  Report: reportResolvers.Report,
+  Notification: notificationResolvers.Notification,
 }; 
\ No newline at end of file
@@ -0,0 +1,55 @@
+const db = require('../config/dbConfig');
+const notificationService = require('../services/notificationService');
+const { requireAuth } = require('../middleware/auth');
+
+const notificationResolvers = {
+  Query: {
+    notifications: requireAuth(async (_, { first, after, unreadOnly }, context) => {
+      return await notificationService.getNotifications({
+        userId: context.user.id,
+        limit: first,
+        cursor: after,
+        unreadOnly
+      });
+    }),
+
+    unreadNotificationCount: requireAuth(async (_, __, context) => {
+      return await notificationService.getUnreadCount(context.user.id);
+    })
+  },
+
+  Mutation: {
+    markNotificationsRead: requireAuth(async (_, { ids }, context) => {
+      return await notificationService.markRead(context.user.id, ids);
+    }),
+
+    markAllNotificationsRead: requireAuth(async (_, __, context) => {
+      return await notificationService.markAllRead(context.user.id);
+    })
+  },
+
+  Notification: {
+    actor: async (parent, args, context) => {
+      if (!parent.actorId) return null;
+      return await context.loaders.userLoader.load(parent.actorId);
+    },
+
+    community: async (parent) => {
+      if (!parent.data?.communityId) return null;
+      return await db.Community.findByPk(parent.data.communityId);
+    },
+
+    post: async (parent) => {
+      if (!parent.data?.postId) return null;
+      return await db.CommunityPost.findByPk(parent.data.postId);
+    },
+
+    commentId: (parent) => parent.data?.commentId || null,
+
+    ticketCode: (parent) => parent.data?.ticketCode || null,
+
+    isRead: (parent) => !!parent.readAt
+  }
+};
+
+module.exports = notificationResolvers;
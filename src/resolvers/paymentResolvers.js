@@ -0,0 +1,37 @@
+const db = require('../config/dbConfig');
+const paymentService = require('../services/paymentService');
+const { requireAuth } = require('../middleware/auth');
+
+const paymentResolvers = {
+  Query: {
+    paymentSession: requireAuth(async (_, { id }, context) => {
+      return await paymentService.getSession(id, context.user.id);
+    })
+  },
+
+  Mutation: {
+    startCommunityCheckout: requireAuth(async (_, { communityId, inviteCode }, context) => {
+      return await paymentService.createCommunityCheckout(communityId, context.user.id, inviteCode);
+    }),
+
+    startEventCheckout: requireAuth(async (_, { postId, occurrenceDate }, context) => {
+      return await paymentService.createEventCheckout(postId, context.user.id, occurrenceDate);
+    })
+  },
+
+  PaymentSession: {
+    amount: (parent) => Number(parent.amount),
+
+    community: async (parent) => {
+      if (!parent.communityId) return null;
+      return await db.Community.findByPk(parent.communityId);
+    },
+
+    post: async (parent) => {
+      if (!parent.postId) return null;
+      return await db.CommunityPost.findByPk(parent.postId);
+    }
+  }
+};
+
+module.exports = paymentResolvers;
@@ -0,0 +1,59 @@
+const db = require('../config/dbConfig');
+const reportService = require('../services/reportService');
+const communityService = require('../services/communityService');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+const reportResolvers = {
+  Query: {
+    communityReports: requireAuth(async (_, { communityId, status, first, after }, context) => {
+      await communityService.checkModeratorAccess(communityId, context.user.id);
+      return await reportService.getCommunityReports({ communityId, status, limit: first, cursor: after });
+    }),
+
+    platformReports: requireRole(['ADMIN', 'MODERATOR'])(async (_, { status, first, after }) => {
+      return await reportService.getPlatformReports({ status, limit: first, cursor: after });
+    })
+  },
+
+  Mutation: {
+    reportContent: requireAuth(async (_, { input }, context) => {
+      return await reportService.reportContent(context.user.id, input);
+    }),
+
+    resolveReport: requireAuth(async (_, { reportId, input }, context) => {
+      return await reportService.resolveReport(reportId, context.user, input);
+    })
+  },
+
+  Report: {
+    reporter: async (parent, args, context) => {
+      return await context.loaders.userLoader.load(parent.reporterId);
+    },
+
+    reportedUser: async (parent, args, context) => {
+      return await context.loaders.userLoader.load(parent.reportedUserId);
+    },
+
+    resolvedBy: async (parent, args, context) => {
+      if (!parent.resolvedBy) return null;
+      return await context.loaders.userLoader.load(parent.resolvedBy);
+    },
+
+    community: async (parent) => {
+      if (!parent.communityId) return null;
+      return await db.Community.findByPk(parent.communityId);
+    },
+
+    post: async (parent) => {
+      if (parent.targetType !== 'POST') return null;
+      return await db.CommunityPost.findByPk(parent.targetId);
+    },
+
+    comment: async (parent) => {
+      if (parent.targetType !== 'COMMENT') return null;
+      return await db.PostComment.findByPk(parent.targetId);
+    }
+  }
+};
+
+module.exports = reportResolvers;
@@ -1,63 +1,124 @@
-const { EventEmitter } = require('events');
-
-// In-memory event bus for demo (replace with Redis or other pubsub for production)
-const pubsub = new EventEmitter();
+const db = require('../config/dbConfig');
+const { requireAuth } = require('../middleware/auth');
+const communityService = require('../services/communityService');
+const notificationService = require('../services/notificationService');
+const pubsub = require('../services/pubSubService');
+const logger = require('../utils/logger');
 
 const USER_STATUS_UPDATES = 'USER_STATUS_UPDATES';
 const PROFILE_UPDATES = 'PROFILE_UPDATES';
+const POST_CREATED = 'POST_CREATED';
+const POST_UPDATED = 'POST_UPDATED';
+const POST_LIKED = 'POST_LIKED';
+const MEMBER_JOINED = 'MEMBER_JOINED';
+
+// Skips payloads the subscriber shouldn't see while delegating cleanup to the pubsub iterator
+const withFilter = (iterator, filter) => ({
+  async next() {
+    while (true) {
+      const result = await iterator.next();
+      if (result.done || await filter(result.value)) return result;
+    }
+  },
+  return() {
+    return iterator.return();
+  },
+  throw(error) {
+    return iterator.throw(error);
+  },
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+});
+
+// Community channels are only open to approved members
+const subscribeToCommunity = (channel, filter) => requireAuth(async (_, { communityId }, context) => {
+  await communityService.checkMembershipAccess(communityId, context.user.id);
+  const iterator = pubsub.asyncIterator(`${channel}:${communityId}`);
+  return filter ? withFilter(iterator, (payload) => filter(payload, context)) : iterator;
+});
+
+// Paid posts are delivered only to subscribers who could see them on the wall
+const canViewPost = (post, context) => communityService.canViewPost(post, context.user.id);
+
+// Like payloads only carry the post id, so the post is loaded to run the same check
+const canViewLikedPost = async ({ postId }, context) => {
+  const post = await db.CommunityPost.findByPk(postId, {
+    attributes: ['id', 'communityId', 'authorId', 'isApproved', 'isPaid', 'isArchived']
+  });
+  return !!post && !post.isArchived && communityService.canViewPost(post, context.user.id);
+};
+
+// Payloads are plain objects so they survive the Redis round trip; field resolvers load associations
+const toPayload = (record) => (typeof record.get === 'function' ? record.get({ plain: true }) : record);
+
+// Mutations have already committed by the time they publish, so a pubsub outage is only logged
+const publish = (channel, payload) => {
+  pubsub.publish(channel, payload).catch((error) => {
+    logger.error('Failed to publish subscription event', { channel, error: error.message });
+  });
+};
 
 const subscriptionResolvers = {
   Subscription: {
     userStatusUpdates: {
       // args: { userId }
-      subscribe: async (_, { userId }) => {
-        // Async iterator for user status updates
-        const iterator = pubsub.asyncIterator
-          ? pubsub.asyncIterator([`${USER_STATUS_UPDATES}:${userId}`])
-          : async function* () {
-              // Polyfill for asyncIterator if not present
-              const handler = (payload) => iterator.push(payload);
-              pubsub.on(`${USER_STATUS_UPDATES}:${userId}`, handler);
-              try {
-                while (true) {
-                  yield await new Promise((resolve) => iterator.push = resolve);
-                }
-              } finally {
-                pubsub.off(`${USER_STATUS_UPDATES}:${userId}`, handler);
-              }
-            }();
-        return iterator;
-      },
+      subscribe: async (_, { userId }) => pubsub.asyncIterator(`${USER_STATUS_UPDATES}:${userId}`),
       resolve: (payload) => payload,
     },
     profileUpdates: {
-      subscribe: async () => {
-        const iterator = pubsub.asyncIterator
-          ? pubsub.asyncIterator([PROFILE_UPDATES])
-          : async function* () {
-              const handler = (payload) => iterator.push(payload);
-              pubsub.on(PROFILE_UPDATES, handler);
-              try {
-                while (true) {
-                  yield await new Promise((resolve) => iterator.push = resolve);
-                }
-              } finally {
-                pubsub.off(PROFILE_UPDATES, handler);
-              }
-            }();
-        return iterator;
-      },
+      subscribe: async () => pubsub.asyncIterator(PROFILE_UPDATES),
+      resolve: (payload) => payload,
+    },
+    postCreated: {
+      subscribe: subscribeToCommunity(POST_CREATED, canViewPost),
+      resolve: (payload) => payload,
+    },
+    postUpdated: {
+      subscribe: subscribeToCommunity(POST_UPDATED, canViewPost),
+      resolve: (payload) => payload,
+    },
+    postLiked: {
+      subscribe: subscribeToCommunity(POST_LIKED, canViewLikedPost),
+      resolve: (payload) => payload,
+    },
+    memberJoined: {
+      subscribe: subscribeToCommunity(MEMBER_JOINED),
+      resolve: (payload) => payload,
+    },
+    // Each user only ever listens on their own channel
+    notificationReceived: {
+      subscribe: requireAuth(async (_, __, context) => pubsub.asyncIterator(notificationService.channel(context.user.id))),
       resolve: (payload) => payload,
     },
   },
 };
 
-// Helper functions to publish events (for testing/demo)
+// Helper functions to publish events
 subscriptionResolvers.publishUserStatusUpdate = (userId, status) => {
-  pubsub.emit(`${USER_STATUS_UPDATES}:${userId}`, status);
+  publish(`${USER_STATUS_UPDATES}:${userId}`, status);
 };
 subscriptionResolvers.publishProfileUpdate = (profileUpdate) => {
-  pubsub.emit(PROFILE_UPDATES, profileUpdate);
+  publish(PROFILE_UPDATES, profileUpdate);
+};
+subscriptionResolvers.publishPostCreated = (post) => {
+  const { author, community, ...payload } = toPayload(post);
+  publish(`${POST_CREATED}:${payload.communityId}`, payload);
+};
+subscriptionResolvers.publishPostUpdated = (post) => {
+  const { author, community, ...payload } = toPayload(post);
+  publish(`${POST_UPDATED}:${payload.communityId}`, payload);
+};
+subscriptionResolvers.publishPostLiked = (post, userId) => {
+  publish(`${POST_LIKED}:${post.communityId}`, {
+    postId: post.id,
+    communityId: post.communityId,
+    userId,
+    likesCount: post.likesCount
+  });
+};
+subscriptionResolvers.publishMemberJoined = (membership) => {
+  publish(`${MEMBER_JOINED}:${membership.communityId}`, toPayload(membership));
 };
 
-module.exports = subscriptionResolvers; 
\ No newline at end of file
+module.exports = subscriptionResolvers;
@@ -12,6 +12,8 @@ const crypto = require("crypto")
 const { Op } = require("sequelize")
 const { sendEmailOTP, verifyEmailOTP } = require('../services/emailVerificationService');
 const smsService = require('../services/kaleraSmsService');
+const dataExportService = require('../services/dataExportService');
+const userService = require('../services/userService');
 
 
 function hashOTP(otp, salt = null) {
@@ -48,6 +50,26 @@ const userResolvers = {
           extensions: { code: 'CURRENT_USER_FAILED' }
         });
       }
+    }),
+
+    searchUsers: requireAuth(async (_, { query, filters, limit, offset }, { user }) => {
+      return await userService.searchUsers(user.id, { query, filters: filters || {}, limit, offset });
+    }),
+
+    userProfile: requireAuth(async (_, { id }, { user }) => {
+      return await userService.getUserProfile(user.id, id);
+    }),
+
+    followers: requireAuth(async (_, { userId, first, after }, { user }) => {
+      return await userService.getFollowers(user.id, userId, { limit: first, cursor: after });
+    }),
+
+    following: requireAuth(async (_, { userId, first, after }, { user }) => {
+      return await userService.getFollowing(user.id, userId, { limit: first, cursor: after });
+    }),
+
+    followRequests: requireAuth(async (_, { first, after }, { user }) => {
+      return await userService.getFollowRequests(user.id, { limit: first, cursor: after });
     })
   },
 
@@ -455,47 +477,6 @@ const userResolvers = {
       
       const transaction = await sequelize.transaction();
       
-      try {
-        // 1. Find latest, unexpired, unverified OTP
-        const otpRecord = await db.OtpVerification.findOne({
-          where: {
-            phoneNumber,
-            countryCode,
-            otpType: "PHONE_AUTH",
-            isVerified: false,
-            provider: 'KALEYRA',
-          },
-          order: [['createdAt', 'DESC']],
-          lock: transaction.LOCK.UPDATE,
-          transaction
-        });
-    
-        if (!otpRecord || !otpRecord.verifyId) {
-          logger.warn('No valid OTP record found', { phoneNumber, countryCode, type });
-          throw new GraphQLError('No pending verification found for this PHONE', {
-            extensions: { code: 'INVALID_OTP_SESSION' }
-          });
-        }
-
-        if (otpRecord.expiresAt < new Date()) {
-          throw new GraphQLError('OTP has expired', {
-            extensions: { code: 'OTP_EXPIRED' }
-          });
-        }
-    
-        // 2. Attempt limit
-        if ((otpRecord.verificationAttempts + 1) >= otpRecord.maxAttempts) {
-          logger.warn('Local OTP verification attempts exceeded', { phoneNumber });
-          throw new GraphQLError('Maximum verification attempts exceeded', {
-            extensions: { code: 'OTP_ATTEMPTS_EXCEEDED' }
-          });
-        }
-
-         // 3. Verify OTP with KaleyraverifyAndUpdatePhone: requireAuth(async (_, { phoneNumber, countryCode, otp }, { user }) => {
-      logger.info('Starting phone verification and update', { userId: user.id, phoneNumber , countryCode });
-      
-      const transaction = await sequelize.transaction();
-      
       try {
         // 1. Find latest, unexpired, unverified OTP
         const otpRecord = await db.OtpVerification.findOne({
@@ -543,87 +524,6 @@ const userResolvers = {
 
          console.log("KaleraResult", kaleyraVerifyResult)
         
-        if (!kaleyraVerifyResult.success || !kaleyraVerifyResult.isValid) {
-          // Increment attempts
-          await db.OtpVerification.update({
-            providerStatus: kaleyraVerifyResult.status || 'failed',
-            providerResponse: {
-              ...otpRecord.providerResponse,
-              lastVerifyAttempt: {
-                result: kaleyraVerifyResult,
-                attemptedAt: new Date()
-              }
-            },
-            verificationAttempts: otpRecord.verificationAttempts + 1
-          }, { transaction });
-
-          logger.warn('OTP verification failed with Kaleyra', {
-            phoneNumber,
-            status: kaleyraVerifyResult.status
-          });
-          
-          throw new GraphQLError(kaleyraVerifyResult.message || 'Invalid OTP', {
-            extensions: { code: 'INVALID_OTP' }
-          });
-        }
-
-        // Update user phone
-        const existingUser = await UserModel.findByPk(user.id, { transaction });
-        await existingUser.update({
-          phoneNumber: otpRecord.phoneNumber,
-          countryCode: otpRecord.countryCode,
-          isPhoneVerified: true
-        }, { transaction });
-
-        // Mark OTP as verified
-        await db.OtpVerification.update({
-          isVerified: true,
-          verifiedAt: new Date(),
-          providerResponse: kaleyraVerifyResult.status || 'approved',
-          providerResponse: {
-            ...otpRecord.providerResponse,
-            verificationResult: {
-              result: kaleyraVerifyResult,
-              verifiedAt: new Date()
-            }
-          }
-        }, { transaction });
-
-        await transaction.commit();
-
-        logger.info('Phone updated successfully', {
-          userId: user.id,
-          newPhone: otpRecord.phoneNumber,
-          countryCode: otpRecord.countryCode
-        });
-
-        return {
-          success: true,
-          user: existingUser,
-          message: 'Phone number updated successfully'
-        };
-      } catch (error) {
-        await transaction.rollback();
-        logger.error('Error in phone verification and update', {
-          userId: user.id,
-          error: error.message
-        });
-        if (error instanceof GraphQLError) throw error;
-        throw new GraphQLError('Failed to verify and update phone', {
-          extensions: { code: 'INTERNAL_SERVER_ERROR' }
-        });
-      }
-    })
-         let kaleyraVerifyResult;
-         try {
-           kaleyraVerifyResult = await smsService.verifyOTP(otpRecord.verifyId, otp);
-         } catch (kaleyraError) {
-           await otpRecord.increment('verificationAttempts', { transaction });
-           throw kaleyraError;
-         }
-
-         console.log("KaleraResult", kaleyraVerifyResult)
-        
         if (!kaleyraVerifyResult.success || !kaleyraVerifyResult.isValid) {
           // Increment attempts
           await otpRecord.update({
@@ -1165,6 +1065,51 @@ const userResolvers = {
         });
       }
     }),
+
+    requestDataExport: requireAuth(async (_, __, { user }) => {
+      logger.info('Data export requested', { userId: user.id });
+      const dataExport = await dataExportService.requestExport(user.id);
+
+      return {
+        success: true,
+        message: 'Your data export has been emailed to you',
+        expiresAt: dataExport.expiresAt
+      };
+    }),
+
+    blockUser: requireAuth(async (_, { userId }, { user }) => {
+      return await userService.blockUser(user.id, userId);
+    }),
+
+    unblockUser: requireAuth(async (_, { userId }, { user }) => {
+      return await userService.unblockUser(user.id, userId);
+    }),
+
+    followUser: requireAuth(async (_, { userId }, { user }) => {
+      return await userService.followUser(user.id, userId);
+    }),
+
+    unfollowUser: requireAuth(async (_, { userId }, { user }) => {
+      return await userService.unfollowUser(user.id, userId);
+    }),
+
+    acceptFollowRequest: requireAuth(async (_, { userId }, { user }) => {
+      return await userService.acceptFollowRequest(user.id, userId);
+    }),
+
+    declineFollowRequest: requireAuth(async (_, { userId }, { user }) => {
+      return await userService.declineFollowRequest(user.id, userId);
+    }),
+
+    updateProfilePrivacy: requireAuth(async (_, { isPrivateProfile }, { user }) => {
+      const updatedUser = await userService.updateProfilePrivacy(user.id, isPrivateProfile);
+
+      return {
+        success: true,
+        user: updatedUser,
+        message: isPrivateProfile ? 'Your profile is now private' : 'Your profile is now public'
+      };
+    }),
   },
 
   User: {
@@ -1183,6 +1128,21 @@ const userResolvers = {
       });
       return userWithInterests.interests;
     }
+  },
+
+  PublicUserProfile: {
+    interests: async (profile) => {
+      const user = await UserModel.findByPk(profile.id, {
+        attributes: ['id'],
+        include: [{ model: InterestModel, as: 'interests', through: { attributes: [] } }]
+      });
+      return user?.interests || [];
+    },
+
+    followStatus: async (profile, _, { user }) => {
+      if (!user) return 'NOT_FOLLOWING';
+      return await userService.getFollowStatus(user.id, profile.id);
+    }
   }
 }
 
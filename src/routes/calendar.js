@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const calendarService = require('../services/calendarService');
+const logger = require('../utils/logger');
+
+// Calendar apps poll these URLs on their own schedule and can't send auth headers,
+// so access is granted by the secret token in the URL
+const sendCalendar = (res, ics, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${filename ? 'attachment' : 'inline'}; filename="${filename || 'calendar.ics'}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(ics);
+};
+
+const handle = (load, filename) => async (req, res) => {
+  try {
+    const ics = await load(req);
+    if (!ics) return res.status(404).send('Calendar not found');
+    sendCalendar(res, ics, filename && filename(req));
+  } catch (err) {
+    logger.error('Failed to build calendar', { path: req.path, message: err.message, stack: err.stack });
+    res.status(500).send('Failed to build calendar');
+  }
+};
+
+// Events the token's owner is registered for
+router.get('/feed/:token.ics', handle((req) => calendarService.getUserFeed(req.params.token)));
+
+// Events of a public community
+router.get('/communities/:communityId.ics', handle((req) => calendarService.getCommunityFeed(req.params.communityId)));
+
+// A single event; private and paid events need the ?token= from the event's calendarUrl
+router.get('/events/:postId.ics', handle(
+  (req) => calendarService.getEventFile(req.params.postId, req.query.token),
+  (req) => `event-${req.params.postId}.ics`
+));
+
+module.exports = router;
@@ -4,6 +4,7 @@ const router = express.Router();
 const mailerService = require('../services/mailerService');
 const fileUploadService = require('../services/fileUploadService');
 const rateLimitService = require('../services/rateLimitService');
+const jobScheduler = require('../services/jobScheduler');
 const { checkDatabaseHealth } = require('../config/dbEnv'); // Adjust if renamed
 const db = require('../config/dbConfig'); // Sequelize instance
 const { checkSystemHealth, checkDiskHealth } = require('../utils/systemHealth');
@@ -17,6 +18,7 @@ router.get('/readiness', async (req, res) => {
     mailerService.healthCheck?.(),
     fileUploadService.healthCheck?.(),
     rateLimitService.healthCheck?.(),
+    jobScheduler.healthCheck(),
     checkDatabaseHealth(db.sequelize),
     checkSystemHealth(),
     checkDiskHealth()
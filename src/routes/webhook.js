@@ -1,50 +1,34 @@
-// const express = require('express');
-// const router = express.Router();
-// const db = require('../models');
-// const stripe = require('stripe')
-// const logger = require('../utils/logger');
-
-// router.post('/webhook/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-//   const sig = req.headers['stripe-signature'];
-//   let event;
-
-//   try {
-//     event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-//   } catch (err) {
-//     logger.error('Stripe webhook signature verification failed', { err });
-//     return res.status(400).send(`Webhook Error: ${err.message}`);
-//   }
-
-//   if (event.type === 'checkout.session.completed') {
-//     const session = event.data.object;
-//     const gatewayPaymentId = session.payment_intent;
-
-//     const paymentSession = await db.PaymentSession.findOne({ where: { sessionId: session.id } });
-//     if (!paymentSession) return res.status(404).send('Session not found');
-
-//     await paymentSession.update({
-//       status: 'COMPLETED',
-//       gatewayPaymentId,
-//       webhookReceived: true,
-//       webhookData: session
-//     });
-
-//     const userCommunity = await db.UserCommunity.create({
-//       userId: paymentSession.userId,
-//       communityId: paymentSession.communityId,
-//       role: 'MEMBER',
-//       status: 'ACTIVE',
-//       joinedAt: new Date(),
-//       joinMethod: 'DIRECT',
-//       paymentStatus: 'COMPLETED',
-//       paymentSessionId: session.id,
-//       transactionId: gatewayPaymentId,
-//       amountPaid: paymentSession.amount
-//     });
-
-//     await paymentSession.update({ userCommunityId: userCommunity.id });
-//     await db.Community.increment('membersCount', { by: 1, where: { id: paymentSession.communityId } });
-//   }
-
-//   res.status(200).json({ received: true });
-// });
\ No newline at end of file
+const express = require('express');
+const router = express.Router();
+const paymentService = require('../services/paymentService');
+const { publishMemberJoined } = require('../resolvers/subscriptionResolvers');
+const logger = require('../utils/logger');
+
+// Signature verification needs the untouched body, so this router is mounted before express.json()
+router.post('/payments', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
+
+  try {
+    event = paymentService.verifyWebhook(req.body, req.headers);
+  } catch (err) {
+    logger.error('Payment webhook signature verification failed', { message: err.message });
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    const result = await paymentService.processWebhookEvent(event);
+    if (result.notFound) return res.status(404).send('Session not found');
+
+    if (result.membership?.status === 'APPROVED') {
+      publishMemberJoined(result.membership);
+    }
+
+    res.status(200).json({ received: true });
+  } catch (err) {
+    // A non-2xx response makes the provider retry the delivery
+    logger.error('Payment webhook processing failed', { eventId: event.id, message: err.message, stack: err.stack });
+    res.status(500).json({ received: false });
+  }
+});
+
+module.exports = router;
@@ -8,14 +8,18 @@ const { ApolloServer } = require('@apollo/server');
 const { ApolloServerPluginDrainHttpServer } = require('@apollo/server/plugin/drainHttpServer');
 const { expressMiddleware } = require('@apollo/server/express4');
 const { makeExecutableSchema } = require('@graphql-tools/schema');
-// const { WebSocketServer } = require('ws');
-// const { useServer } = require('graphql-ws/lib/use/ws');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/use/ws');
 const logger = require('./utils/logger');
 const typeDefs = require('./schemas');
 const resolvers = require('./resolvers');
 const createContext = require('./middleware/context');
 const createUserLoaders = require('./loaders/userLoaders');
-// const authService = require('./services/authService');
+const createCommunityLoaders = require('./loaders/communityLoaders');
+const authService = require('./services/authService');
+const pubsub = require('./services/pubSubService');
+const jobScheduler = require('./services/jobScheduler');
+const registerScheduledJobs = require('./utils/scheduledJobs');
 const db = require('./config/dbConfig');
 const { GraphQLError } = require('graphql');
 const { ApolloServerErrorCode } = require('@apollo/server/errors');
@@ -38,6 +42,7 @@ process.on('unhandledRejection', (err) => {
 
 const schema = makeExecutableSchema({ typeDefs, resolvers });
 let httpServerGlobal = null;
+let apolloServerGlobal = null;
 let isShuttingDown = false;
 
 async function startServer() {
@@ -46,6 +51,11 @@ async function startServer() {
   const { default: graphqlUploadExpress } = await import('graphql-upload/graphqlUploadExpress.mjs');
 
   const app = express();
+
+  // Payment provider webhooks read the raw body, so they are mounted ahead of the JSON parser
+  const webhookRouter = require('./routes/webhook');
+  app.use('/webhook', webhookRouter);
+
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
   app.use(express.static("public"));
@@ -58,27 +68,57 @@ async function startServer() {
   const healthRouter = require('./routes/health');
   app.use('/health', healthRouter);
 
+  // Subscribable iCalendar feeds
+  const calendarRouter = require('./routes/calendar');
+  app.use('/calendar', calendarRouter);
+
   const httpServer = http.createServer(app);
   httpServerGlobal = httpServer;
 
   // --------- Subscriptions Setup  --------- //
-  /*
   // WebSocket server for subscriptions
   const wsServer = new WebSocketServer({ server: httpServer, path: '/subscriptions' });
 
+  // Open sockets per session, so revoking a session also ends its live subscriptions
+  const socketsBySession = new Map();
+  await authService.onSessionsRevoked((sessionIds) => {
+    sessionIds.forEach((sessionId) => {
+      socketsBySession.get(sessionId)?.forEach((socket) => socket.close(4403, 'Session revoked'));
+    });
+  });
+
   // Save the returned server's cleanup for shutdown
   const serverCleanup = useServer({
     schema,
-    context: async (ctx) => {
+    // Connections without a valid session are refused during connection_init
+    onConnect: async (ctx) => {
       const token = ctx.connectionParams?.authorization?.replace('Bearer ', '');
-      const user = token ? await authService.validateToken(token) : null;
-      return { user, loaders: createUserLoaders() };
+      const session = token ? await authService.validateToken(token) : null;
+      if (!session) {
+        logger.warn('WebSocket connection rejected: invalid or missing token');
+        return false;
+      }
+      ctx.extra.session = session;
+      if (!socketsBySession.has(session.id)) socketsBySession.set(session.id, new Set());
+      socketsBySession.get(session.id).add(ctx.extra.socket);
+      logger.info('WebSocket connection established', { userId: session.user.id });
     },
-    onConnect: async () => logger.info('WebSocket connection established'),
-    onDisconnect: async () => logger.info('WebSocket disconnected')
+    context: async (ctx) => ({
+      user: ctx.extra.session.user,
+      deviceId: ctx.extra.session.deviceId,
+      sessionId: ctx.extra.session.id,
+      loaders: { ...createUserLoaders(), ...createCommunityLoaders() }
+    }),
+    onDisconnect: async (ctx) => logger.info('WebSocket disconnected', { userId: ctx.extra.session?.user?.id }),
+    onClose: async (ctx) => {
+      const session = ctx.extra.session;
+      if (!session) return;
+      const sockets = socketsBySession.get(session.id);
+      sockets?.delete(ctx.extra.socket);
+      if (sockets?.size === 0) socketsBySession.delete(session.id);
+    }
   }, wsServer);
   // ------- End Subscriptions Setup ------------
-  */
 
   const server = new ApolloServer({
     schema,
@@ -110,20 +150,21 @@ async function startServer() {
     plugins: [
       ApolloServerPluginDrainHttpServer({ httpServer }),
       // --- Subscription Shutdown Plugin ------
-      // {
-      //   async serverWillStart() {
-      //     return {
-      //       async drainServer() {
-      //         await serverCleanup.dispose();
-      //       },
-      //     };
-      //   },
-      // },
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              await serverCleanup.dispose();
+            },
+          };
+        },
+      },
       // --- End subscriptions shutdown plugin -----
     ],
   });
 
   await server.start();
+  apolloServerGlobal = server;
 
   app.use(
     '/graphql',
@@ -134,7 +175,7 @@ async function startServer() {
     expressMiddleware(server, {
       context: async ({ req, res }) => {
         const context = await createContext({ req, res });
-        context.loaders = createUserLoaders();
+        context.loaders = { ...createUserLoaders(), ...createCommunityLoaders() };
         return context;
       },
     })
@@ -143,8 +184,14 @@ async function startServer() {
   const PORT = process.env.PORT || 4000;
   httpServer.listen(PORT, () => {
     logger.info(`🚀 Server ready at http://localhost:${PORT}/graphql`);
-    logger.info(`🚀 Subscriptions ready at ws://localhost:${PORT}/subscriptions)`);
+    logger.info(`🚀 Subscriptions ready at ws://localhost:${PORT}/subscriptions`);
   });
+
+  // Housekeeping jobs; set JOBS_ENABLED=false on instances that shouldn't take part
+  if (process.env.JOBS_ENABLED !== 'false') {
+    registerScheduledJobs();
+    jobScheduler.start();
+  }
 }
 
 // Graceful shutdown
@@ -154,7 +201,11 @@ const shutdown = async () => {
   logger.info('🔻 Gracefully shutting down...');
 
   try {
-    if (httpServerGlobal) await new Promise((resolve) => httpServerGlobal.close(resolve));
+    // Stopping Apollo runs the drain plugins, closing open sockets and the HTTP server
+    if (apolloServerGlobal) await apolloServerGlobal.stop();
+    else if (httpServerGlobal) await new Promise((resolve) => httpServerGlobal.close(resolve));
+    await pubsub.close();
+    await jobScheduler.stop();
     await db.sequelize.close();
     logger.info('✅ Shutdown complete');
     process.exit(0);
@@ -0,0 +1,264 @@
+const { Op } = require('sequelize');
+const db = require('../config/dbConfig');
+const logger = require('../utils/logger');
+const fileUploadService = require('./fileUploadService');
+
+const sequelize = db.sequelize;
+const User = db.User;
+const Community = db.Community;
+const CommunityMember = db.CommunityMember;
+
+const PURGE_BATCH_SIZE = 50;
+const ANONYMIZED_NAME = 'Deleted User';
+// Ownership passes to the most senior approved member, longest-standing first
+const SUCCESSOR_ROLES = ['ADMIN', 'MODERATOR', 'MEMBER'];
+
+class AccountService {
+  // Only accounts still inside their deletion grace period can be restored
+  isRestorable(user) {
+    return Boolean(user && !user.isActive && !user.anonymizedAt && user.deletedAt && user.deletedAt > new Date());
+  }
+
+  async restoreAccount(user, transaction) {
+    await user.update({
+      isActive: true,
+      deletedAt: null,
+      suspensionReason: null
+    }, { transaction });
+
+    logger.info('Account restored during deletion grace period', { userId: user.id });
+    return user;
+  }
+
+  // deleteAccount stores the end of the grace period in deletedAt
+  async purgeExpiredAccounts() {
+    const users = await User.findAll({
+      where: { isActive: false, anonymizedAt: null, deletedAt: { [Op.lt]: new Date() } },
+      order: [['deletedAt', 'ASC']],
+      limit: PURGE_BATCH_SIZE
+    });
+
+    let purged = 0;
+    const failed = [];
+
+    for (const user of users) {
+      try {
+        await this.purgeAccount(user);
+        purged += 1;
+      } catch (error) {
+        logger.error('Failed to purge account', { userId: user.id, error: error.message });
+        failed.push(user.id);
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`Purged ${purged} accounts, failed to purge ${failed.length}: ${failed.join(', ')}`);
+    }
+
+    return { purged };
+  }
+
+  // The User row is kept (posts, comments and payments still reference it) but stripped of PII,
+  // and every relation that exposes the person rather than their content is removed
+  async purgeAccount(user) {
+    const profileImageUrl = user.profileImageUrl;
+    const { phoneNumber, countryCode } = user;
+    const where = { userId: user.id };
+    const exports = await db.DataExport.findAll({
+      where: { ...where, objectKey: { [Op.ne]: null } },
+      attributes: ['objectKey']
+    });
+
+    const transaction = await sequelize.transaction();
+    try {
+      await this.handOverOwnedCommunities(user.id, transaction);
+      await this.removeMemberships(user.id, transaction);
+      await this.removePostReactions(user.id, transaction);
+      await this.removeInterests(user.id, transaction);
+      await this.removeFollows(user.id, transaction);
+
+      await db.CommunityInvite.destroy({ where: { inviteeId: user.id }, transaction });
+      await db.CommunityInvite.update(
+        { revokedAt: new Date() },
+        { where: { invitedBy: user.id, revokedAt: null }, transaction }
+      );
+      await db.Notification.destroy({ where, transaction });
+      await db.EventReminder.destroy({ where: { ...where, status: ['PENDING', 'SENDING'] }, transaction });
+      await db.EventWaitlistEntry.destroy({ where, transaction });
+      await db.UserBlock.destroy({
+        where: { [Op.or]: [{ blockerId: user.id }, { blockedId: user.id }] },
+        transaction
+      });
+      await db.DataExport.destroy({ where, transaction });
+      await db.RotatedRefreshToken.destroy({ where, transaction });
+      await db.AuthSession.destroy({ where, transaction });
+      await db.OtpVerification.destroy({ where, transaction });
+      if (phoneNumber) {
+        await db.OtpVerification.destroy({ where: { phoneNumber, countryCode }, transaction });
+      }
+
+      await user.update({
+        name: ANONYMIZED_NAME,
+        phoneNumber: null,
+        countryCode: null,
+        email: null,
+        googleId: null,
+        bio: null,
+        location: {},
+        profileImageUrl: null,
+        isPhoneVerified: false,
+        isEmailVerified: false,
+        suspensionReason: null,
+        calendarToken: null,
+        ownedCommunitiesCount: 0,
+        joinedCommunitiesCount: 0,
+        followersCount: 0,
+        followingCount: 0,
+        anonymizedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+      logger.info('Account anonymized after deletion grace period', { userId: user.id });
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // A leftover object in storage is not worth failing the purge over
+    for (const { objectKey } of exports) {
+      try {
+        await fileUploadService.deletePrivateFile(objectKey);
+      } catch (error) {
+        logger.warn('Failed to delete data export of purged account', { userId: user.id, objectKey, error: error.message });
+      }
+    }
+
+    if (profileImageUrl) {
+      try {
+        await fileUploadService.deleteFile(profileImageUrl);
+      } catch (error) {
+        logger.warn('Failed to delete profile image of purged account', {
+          userId: user.id,
+          profileImageUrl,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  async handOverOwnedCommunities(userId, transaction) {
+    const communities = await Community.findAll({
+      where: { ownerId: userId, isArchived: false },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    for (const community of communities) {
+      const successor = await CommunityMember.findOne({
+        where: {
+          communityId: community.id,
+          userId: { [Op.ne]: userId },
+          status: 'APPROVED',
+          role: { [Op.in]: SUCCESSOR_ROLES }
+        },
+        order: [
+          [sequelize.literal(`CASE "role" ${SUCCESSOR_ROLES.map((role, i) => `WHEN '${role}' THEN ${i}`).join(' ')} END`), 'ASC'],
+          ['joinedAt', 'ASC']
+        ],
+        transaction
+      });
+
+      if (successor) {
+        await successor.update({ role: 'OWNER' }, { transaction });
+        await community.update({ ownerId: successor.userId }, { transaction });
+        await User.increment('ownedCommunitiesCount', { where: { id: successor.userId }, transaction });
+        logger.info('Community ownership transferred from purged account', {
+          communityId: community.id,
+          fromUserId: userId,
+          toUserId: successor.userId
+        });
+      } else {
+        await community.update({ isArchived: true, archivedAt: new Date() }, { transaction });
+        logger.info('Community archived, purged owner had no successor', { communityId: community.id, userId });
+      }
+    }
+  }
+
+  async removeMemberships(userId, transaction) {
+    const memberships = await CommunityMember.findAll({
+      where: { userId, status: 'APPROVED' },
+      attributes: ['communityId'],
+      transaction
+    });
+    const communityIds = memberships.map((membership) => membership.communityId);
+
+    if (communityIds.length > 0) {
+      await Community.decrement('memberCount', {
+        where: { id: { [Op.in]: communityIds }, memberCount: { [Op.gt]: 0 } },
+        transaction
+      });
+    }
+
+    await CommunityMember.destroy({ where: { userId }, transaction });
+  }
+
+  async removePostReactions(userId, transaction) {
+    const likes = await db.PostLike.findAll({ where: { userId }, attributes: ['postId'], transaction });
+    const postIds = likes.map((like) => like.postId);
+
+    if (postIds.length > 0) {
+      await db.CommunityPost.decrement('likesCount', {
+        where: { id: { [Op.in]: postIds }, likesCount: { [Op.gt]: 0 } },
+        transaction
+      });
+    }
+
+    await db.PostLike.destroy({ where: { userId }, transaction });
+    await db.PostBookmark.destroy({ where: { userId }, transaction });
+    await db.PollVote.destroy({ where: { userId }, transaction });
+  }
+
+  async removeInterests(userId, transaction) {
+    const interests = await db.UserInterest.findAll({ where: { userId }, attributes: ['interestId'], transaction });
+    const interestIds = interests.map((interest) => interest.interestId);
+
+    if (interestIds.length > 0) {
+      await db.Interest.decrement('followersCount', {
+        where: { id: { [Op.in]: interestIds }, followersCount: { [Op.gt]: 0 } },
+        transaction
+      });
+    }
+
+    await db.UserInterest.destroy({ where: { userId }, transaction });
+  }
+
+  async removeFollows(userId, transaction) {
+    const follows = await db.UserFollow.findAll({
+      where: { status: 'ACCEPTED', [Op.or]: [{ followerId: userId }, { followingId: userId }] },
+      attributes: ['followerId', 'followingId'],
+      transaction
+    });
+    const followedIds = follows.filter((follow) => follow.followerId === userId).map((follow) => follow.followingId);
+    const followerIds = follows.filter((follow) => follow.followingId === userId).map((follow) => follow.followerId);
+
+    if (followedIds.length > 0) {
+      await User.decrement('followersCount', {
+        where: { id: { [Op.in]: followedIds }, followersCount: { [Op.gt]: 0 } },
+        transaction
+      });
+    }
+    if (followerIds.length > 0) {
+      await User.decrement('followingCount', {
+        where: { id: { [Op.in]: followerIds }, followingCount: { [Op.gt]: 0 } },
+        transaction
+      });
+    }
+
+    await db.UserFollow.destroy({
+      where: { [Op.or]: [{ followerId: userId }, { followingId: userId }] },
+      transaction
+    });
+  }
+}
+
+module.exports = new AccountService();
@@ -6,6 +6,12 @@ const AuthSession = db.AuthSession
 const User = db.User
 const { Op } = require("sequelize")
 const { GraphQLError } = require('graphql');
+const pubsub = require('./pubSubService');
+const mailerService = require('./mailerService');
+const notificationService = require('./notificationService');
+const escapeHtml = require('../utils/escapeHtml');
+
+const SESSIONS_REVOKED = 'SESSIONS_REVOKED';
 
 class AuthService {
   /**
@@ -50,6 +56,89 @@ class AuthService {
       return null;
     }
   }
+
+  /**
+   * Deactivates the matching active sessions. Access tokens are checked against their session on every
+   * request, so they stop working immediately; open subscription sockets are closed by the server on
+   * the SESSIONS_REVOKED event.
+   */
+  async revokeSessions(where) {
+    const sessions = await AuthSession.findAll({
+      where: { ...where, isActive: true },
+      attributes: ['id']
+    });
+    const sessionIds = sessions.map((session) => session.id);
+    if (sessionIds.length === 0) return 0;
+
+    await AuthSession.update({ isActive: false }, { where: { id: { [Op.in]: sessionIds } } });
+    logger.info('AuthService: Sessions revoked', { sessionIds });
+
+    pubsub.publish(SESSIONS_REVOKED, { sessionIds }).catch((error) => {
+      logger.error('AuthService: Failed to publish session revocation', { error: error.message });
+    });
+    return sessionIds.length;
+  }
+
+  // Whoever holds the family's current refresh token may be the attacker, so none of its sessions survive
+  async revokeTokenFamily({ familyId, userId }, { ipAddress, userAgent }) {
+    const revokedCount = await this.revokeSessions({ familyId });
+    logger.warn('Security event: refresh token reuse detected, token family revoked', {
+      event: 'REFRESH_TOKEN_REUSE',
+      userId,
+      familyId,
+      revokedCount,
+      ipAddress,
+      userAgent
+    });
+    return revokedCount;
+  }
+
+  onSessionsRevoked(handler) {
+    return pubsub.subscribe(SESSIONS_REVOKED, ({ sessionIds }) => handler(sessionIds));
+  }
+
+  /**
+   * A device is new when the user has signed in before, but never from this deviceId.
+   * Must run before the login replaces the device's previous session.
+   */
+  async isNewDevice(userId, deviceId, transaction) {
+    const sessions = await AuthSession.findAll({
+      where: { userId },
+      attributes: ['deviceId'],
+      transaction
+    });
+    return sessions.length > 0 && !sessions.some((session) => session.deviceId === deviceId);
+  }
+
+  // Security alerts go out regardless of the user's email and category preferences; push still
+  // follows the global switch
+  async sendNewDeviceAlert(userId, { deviceName, ipAddress, signedInAt }) {
+    const when = signedInAt.toUTCString();
+    const where = ipAddress ? ` from IP address ${ipAddress}` : '';
+
+    await notificationService.notify(userId, {
+      type: 'NEW_DEVICE_SIGN_IN',
+      title: 'New sign-in to your account',
+      body: `Signed in on ${deviceName}${where} at ${when}. If this wasn't you, revoke the session from Active sessions.`,
+      data: { deviceName, signedInAt: signedInAt.toISOString() }
+    });
+
+    try {
+      const user = await User.findByPk(userId, { attributes: ['id', 'email', 'isEmailVerified'] });
+      if (!user?.email || !user.isEmailVerified) return;
+
+      const htmlWhere = ipAddress ? ` from IP address ${escapeHtml(ipAddress)}` : '';
+      await mailerService.sendEmail({
+        to: user.email,
+        subject: 'New sign-in to your Xplore account',
+        text: `Your account was signed in on ${deviceName}${where} at ${when}. If this wasn't you, revoke the session from Active sessions in the app and secure your account.`,
+        html: `<p>Your account was signed in on <b>${escapeHtml(deviceName)}</b>${htmlWhere} at ${when}.</p><p>If this wasn't you, revoke the session from Active sessions in the app and secure your account.</p>`
+      });
+      logger.info('AuthService: New device alert sent', { userId });
+    } catch (error) {
+      logger.error('AuthService: Failed to send new device alert', { userId, error: error.message });
+    }
+  }
 }
 
 module.exports = new AuthService();
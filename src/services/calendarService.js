@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../config/dbConfig');
+const communityService = require('./communityService');
+const recurrence = require('../utils/recurrence');
+const timeZones = require('../utils/timeZones');
+
+const User = db.User;
+const Community = db.Community;
+const CommunityPost = db.CommunityPost;
+const EventRegistration = db.EventRegistration;
+
+const PRODUCT_ID = '-//Xplore//Xplore Pulse//EN';
+const UID_DOMAIN = 'xplore.app';
+// Feeds leave out events that ended long ago, so they don't grow forever
+const FEED_HISTORY_DAYS = 30;
+const FEED_MAX_EVENTS = 500;
+const DEFAULT_DURATION = 'PT1H';
+const MAX_LINE_OCTETS = 75;
+// VTIMEZONEs list offset changes this far ahead; calendars use their own zone data for later dates
+const TIME_ZONE_YEARS_AHEAD = 5;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class CalendarService {
+  getBaseUrl() {
+    return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/$/, '');
+  }
+
+  // Tokens are created on first use and only change when the user resets them
+  async ensureCalendarToken(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'calendarToken'] });
+    if (user.calendarToken) return user.calendarToken;
+
+    return this.resetCalendarToken(userId);
+  }
+
+  async resetCalendarToken(userId) {
+    const calendarToken = crypto.randomBytes(24).toString('base64url');
+    await User.update({ calendarToken }, { where: { id: userId } });
+    return calendarToken;
+  }
+
+  async getFeedUrl(userId) {
+    const token = await this.ensureCalendarToken(userId);
+    return `${this.getBaseUrl()}/calendar/feed/${token}.ics`;
+  }
+
+  async resetFeedUrl(userId) {
+    const token = await this.resetCalendarToken(userId);
+    return `${this.getBaseUrl()}/calendar/feed/${token}.ics`;
+  }
+
+  // Public community events can be downloaded by anyone; everything else carries an event token
+  async getEventUrl(post, userId) {
+    const community = await Community.findByPk(post.communityId, { attributes: ['isPrivate'] });
+    const url = `${this.getBaseUrl()}/calendar/events/${post.id}.ics`;
+    if (!community?.isPrivate && !post.isPaid) return url;
+
+    const calendarToken = await this.ensureCalendarToken(userId);
+    return `${url}?token=${this.signEventToken(post.id, userId, calendarToken)}`;
+  }
+
+  // "<userId>.<HMAC of the post id keyed with the user's calendar token>": a shared event link
+  // opens only that event, never the user's feed, and resetting the feed URL revokes it too
+  signEventToken(postId, userId, calendarToken) {
+    const signature = crypto.createHmac('sha256', calendarToken).update(`event:${postId}`).digest('base64url');
+    return `${userId}.${signature}`;
+  }
+
+  async findUserByToken(token) {
+    if (!token) return null;
+    return User.findOne({
+      where: { calendarToken: token, isActive: true },
+      attributes: ['id', 'name']
+    });
+  }
+
+  async findUserByEventToken(postId, token) {
+    const [userId] = typeof token === 'string' ? token.split('.') : [];
+    if (!UUID_PATTERN.test(userId || '')) return null;
+
+    const user = await User.findOne({
+      where: { id: userId, isActive: true },
+      attributes: ['id', 'name', 'calendarToken']
+    });
+    if (!user?.calendarToken) return null;
+
+    const expected = Buffer.from(this.signEventToken(postId, user.id, user.calendarToken));
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received) ? user : null;
+  }
+
+  // Returns null when the token is unknown
+  async getUserFeed(token) {
+    const user = await this.findUserByToken(token);
+    if (!user) return null;
+
+    const registrations = await EventRegistration.findAll({
+      where: { userId: user.id, paymentStatus: 'COMPLETED' },
+      attributes: ['postId', 'occurrenceStart']
+    });
+    const posts = await this.findEvents({ id: { [Op.in]: registrations.map((registration) => registration.postId) } });
+
+    // People registered for single dates of a recurring event only get those dates
+    const dates = new Map();
+    for (const { postId, occurrenceStart } of registrations) {
+      if (dates.get(postId) === null) continue;
+      dates.set(postId, occurrenceStart ? [...(dates.get(postId) || []), occurrenceStart] : null);
+    }
+
+    return this.buildCalendar('My Xplore events', posts, dates);
+  }
+
+  // Returns null for private, archived or unknown communities
+  async getCommunityFeed(communityId) {
+    if (!UUID_PATTERN.test(communityId || '')) return null;
+
+    const community = await Community.findOne({
+      where: { id: communityId, isPrivate: false, isArchived: false },
+      attributes: ['id', 'name']
+    });
+    if (!community) return null;
+
+    const posts = await this.findEvents({ communityId, isApproved: true, isPaid: false });
+    return this.buildCalendar(community.name, posts);
+  }
+
+  // Returns null when the event doesn't exist or the caller can't see it
+  async getEventFile(postId, token) {
+    if (!UUID_PATTERN.test(postId || '')) return null;
+
+    const post = await CommunityPost.findByPk(postId, {
+      include: [{ model: Community, as: 'community', attributes: ['id', 'name', 'isPrivate', 'isArchived'] }]
+    });
+    if (!post || post.type !== 'EVENT' || !post.isApproved) return null;
+
+    const user = await this.findUserByEventToken(post.id, token);
+    if (user) {
+      try {
+        await communityService.getVisiblePost(postId, user.id);
+      } catch (error) {
+        return null;
+      }
+    } else if (post.community.isPrivate || post.isPaid || post.isArchived) {
+      return null;
+    }
+
+    return this.buildCalendar(post.title, [post]);
+  }
+
+  // Archived events stay in feeds as cancellations, so subscribed calendars drop them.
+  // Recurring events are always included, their rule decides which dates calendars show.
+  // Past the cap the events that start furthest in the past are the ones left out.
+  async findEvents(where) {
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const startDate = db.sequelize.literal(`("CommunityPost"."eventDetails"->>'startDate')::timestamptz`);
+    return CommunityPost.findAll({
+      where: {
+        ...where,
+        type: 'EVENT',
+        [Op.or]: [
+          db.sequelize.where(startDate, Op.gte, since),
+          { 'eventDetails.recurrence.frequency': { [Op.ne]: null } }
+        ]
+      },
+      include: [{ model: Community, as: 'community', attributes: ['id', 'name', 'isArchived'] }],
+      order: [[startDate, 'DESC'], ['createdAt', 'DESC']],
+      limit: FEED_MAX_EVENTS
+    });
+  }
+
+  // `dates` optionally limits recurring events (by post id) to some of their dates
+  buildCalendar(name, posts, dates = new Map()) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      ...this.buildTimeZones(posts.filter((post) => !dates.get(post.id))),
+      ...posts.flatMap((post) => (dates.get(post.id) ? this.buildOccurrenceEvents(post, dates.get(post.id)) : this.buildEvent(post))),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map((line) => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // The UID never changes for a post, so calendars update the entry in place as SEQUENCE goes up.
+  // Recurring events carry their rule, skipped dates as EXDATE and dates edited on their own as
+  // extra VEVENTs with the same UID and a RECURRENCE-ID.
+  buildEvent(post) {
+    const details = post.eventDetails || {};
+    const startsAt = new Date(details.startDate);
+    if (Number.isNaN(startsAt.getTime())) return [];
+
+    const uid = `event-${post.id}@${UID_DOMAIN}`;
+    if (!recurrence.isRecurring(details)) {
+      return this.buildEventLines(post, details, { uid, startsAt });
+    }
+
+    const rule = details.recurrence;
+    const timeZone = rule.timezone;
+    const overridden = Object.keys(rule.overrides || {})
+      .map((key) => recurrence.findOccurrence(details, key))
+      .filter((occurrence) => occurrence?.isModified);
+
+    return [
+      ...this.buildEventLines(post, details, {
+        uid,
+        startsAt,
+        timeZone,
+        extra: [
+          `RRULE:${recurrence.toRRule(rule, (date) => this.formatDate(date))}`,
+          ...(rule.exceptions || []).map((key) => this.formatDateProperty('EXDATE', key, timeZone))
+        ]
+      }),
+      ...overridden.flatMap((occurrence) => this.buildEventLines(post, occurrence, {
+        uid,
+        startsAt: occurrence.startDate,
+        timeZone,
+        extra: [this.formatDateProperty('RECURRENCE-ID', occurrence.occurrenceStart, timeZone)]
+      }))
+    ];
+  }
+
+  // Single dates of a recurring event, as events of their own
+  buildOccurrenceEvents(post, occurrenceStarts) {
+    return occurrenceStarts
+      .map((occurrenceStart) => recurrence.findOccurrence(post.eventDetails || {}, occurrenceStart))
+      .filter(Boolean)
+      .flatMap((occurrence) => this.buildEventLines(post, occurrence, {
+        uid: `event-${post.id}-${this.formatDate(occurrence.occurrenceStart)}@${UID_DOMAIN}`,
+        startsAt: occurrence.startDate
+      }));
+  }
+
+  // `details` holds the dates, place and agenda: the event's own or those of one of its dates
+  buildEventLines(post, details, { uid, startsAt, timeZone = null, extra = [] }) {
+    const endsAt = details.endDate ? new Date(details.endDate) : null;
+    const cancelled = post.isArchived || post.community?.isArchived;
+    const location = this.formatLocation(details);
+    const description = [details.agenda || post.content, details.onlineLink].filter(Boolean).join('\n\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `SEQUENCE:${post.calendarSequence || 0}`,
+      `DTSTAMP:${this.formatDate(post.updatedAt || new Date())}`,
+      this.formatDateProperty('DTSTART', startsAt, timeZone),
+      endsAt && !Number.isNaN(endsAt.getTime()) ? this.formatDateProperty('DTEND', endsAt, timeZone) : `DURATION:${DEFAULT_DURATION}`,
+      ...extra,
+      `SUMMARY:${this.escapeText(post.title)}`,
+      description && `DESCRIPTION:${this.escapeText(description)}`,
+      location && `LOCATION:${this.escapeText(location)}`,
+      details.location?.latitude != null && details.location?.longitude != null &&
+        `GEO:${details.location.latitude};${details.location.longitude}`,
+      details.onlineLink && `URL:${this.stripControlCharacters(details.onlineLink)}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT'
+    ].filter(Boolean);
+  }
+
+  // One VTIMEZONE (RFC 5545 3.6.5) per zone recurring events are expanded in, with its offset changes
+  // from the year the earliest of them starts
+  buildTimeZones(posts) {
+    const firstStarts = new Map();
+    for (const post of posts) {
+      const details = post.eventDetails || {};
+      const timeZone = details.recurrence?.timezone;
+      const startsAt = new Date(details.startDate);
+      if (!recurrence.isRecurring(details) || timeZones.isUtc(timeZone) || Number.isNaN(startsAt.getTime())) continue;
+      if (!firstStarts.has(timeZone) || startsAt < firstStarts.get(timeZone)) firstStarts.set(timeZone, startsAt);
+    }
+
+    const until = Date.UTC(new Date().getUTCFullYear() + TIME_ZONE_YEARS_AHEAD, 0, 1);
+    return [...firstStarts].flatMap(([timeZone, startsAt]) =>
+      this.buildTimeZone(timeZone, Date.UTC(startsAt.getUTCFullYear(), 0, 1), until));
+  }
+
+  // Each observance starts on the wall clock of the offset it replaces
+  buildTimeZone(timeZone, from, to) {
+    const transitions = timeZones.findTransitions(timeZone, from, to);
+    const initialOffset = timeZones.getOffset(from, timeZone);
+    const observance = (type, startsAt, offsetFrom, offsetTo) => [
+      `BEGIN:${type}`,
+      `DTSTART:${this.formatLocalDate(new Date(startsAt + offsetFrom))}`,
+      `TZOFFSETFROM:${this.formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${this.formatOffset(offsetTo)}`,
+      `END:${type}`
+    ];
+    const typeOf = ({ offsetFrom, offsetTo }) => (offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD');
+
+    return [
+      'BEGIN:VTIMEZONE',
+      `TZID:${timeZone}`,
+      ...observance(transitions[0]?.offsetTo < initialOffset ? 'DAYLIGHT' : 'STANDARD', from, initialOffset, initialOffset),
+      ...transitions.flatMap((transition) =>
+        observance(typeOf(transition), transition.at.getTime(), transition.offsetFrom, transition.offsetTo)),
+      'END:VTIMEZONE'
+    ];
+  }
+
+  formatLocation({ location, onlineLink }) {
+    const address = location
+      ? [location.address, location.city, location.state, location.zipCode, location.country].filter(Boolean).join(', ')
+      : '';
+    return address || onlineLink || '';
+  }
+
+  formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Floating form of a wall clock date (see utils/timeZones), for TZID dates and VTIMEZONE observances
+  formatLocalDate(wallClock) {
+    return this.formatDate(wallClock).replace('Z', '');
+  }
+
+  // Dates of events repeating in a time zone are local times with a TZID, everything else is in UTC
+  formatDateProperty(name, date, timeZone = null) {
+    if (timeZones.isUtc(timeZone)) return `${name}:${this.formatDate(date)}`;
+    return `${name};TZID=${timeZone}:${this.formatLocalDate(timeZones.toWallClock(date, timeZone))}`;
+  }
+
+  // e.g. +0100, -0330
+  formatOffset(offset) {
+    const minutes = Math.abs(offset) / 60000;
+    const pad = (value) => String(Math.floor(value)).padStart(2, '0');
+    return `${offset < 0 ? '-' : '+'}${pad(minutes / 60)}${pad(minutes % 60)}`;
+  }
+
+  // RFC 5545 3.3.11
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // URL values are not TEXT and can't be escaped; a line break in one would start a new property
+  stripControlCharacters(value) {
+    return String(value).replace(/[\u0000-\u001f\u007f]/g, '');
+  }
+
+  // RFC 5545 3.1: lines longer than 75 octets continue on the next line after a single space,
+  // without splitting a multi-byte character
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new CalendarService();
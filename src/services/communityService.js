@@ -1,15 +1,48 @@
 const db = require("../config/dbConfig")
+const sequelize = db.sequelize
 const Community = db.Community
 const CommunityMember = db.CommunityMember
+const CommunityInvite = db.CommunityInvite
+const CommunityAuditLog = db.CommunityAuditLog
 const CommunityPost = db.CommunityPost
 const PostLike = db.PostLike
 const PostBookmark = db.PostBookmark
+const PostComment = db.PostComment
 const CommunityInterest = db.CommunityInterest
 const EventRegistration = db.EventRegistration
+const EventWaitlistEntry = db.EventWaitlistEntry
+const PollVote = db.PollVote
 const User = db.User
 const Interest = db.Interest
+const UserInterest = db.UserInterest
 const { Op } = require("sequelize")
 const { GraphQLError } = require('graphql');
+const paginate = require("../utils/paginate")
+const { signTicketCode, verifyTicketCode, isLegacyTicketCode } = require('../utils/ticketCodes');
+const recurrence = require('../utils/recurrence');
+const { normalizeTimeZone } = require('../utils/timeZones');
+const { SEARCH_CONFIG, MAX_QUERY_LENGTH, toTsQuery, rankOf, headlineOf } = require('../utils/fullTextSearch');
+const notificationService = require('./notificationService');
+const userService = require('./userService');
+const eventReminderService = require('./eventReminderService');
+const crypto = require('crypto');
+// paymentService requires this module, so it is loaded on first use rather than at the top
+const getPaymentService = () => require('./paymentService');
+
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 10;
+const INVITE_MAX_USES_LIMIT = 1000;
+// How long a promoted user has to pay for a spot on a paid event before it moves down the line
+const WAITLIST_CLAIM_MINUTES = parseInt(process.env.EVENT_WAITLIST_CLAIM_MINUTES, 10) || 60;
+const RECURRENCE_MAX_INTERVAL = 99;
+const RECURRENCE_MAX_COUNT = 500;
+const RECURRENCE_MAX_EXCEPTIONS = 100;
+const MAX_OCCURRENCES_PER_QUERY = 100;
+// Tickets for recurring events are checked in per date: a scan counts for a date when it
+// happens within this many hours of the date's start
+const CHECK_IN_WINDOW_HOURS = 12;
+const COMMENT_ORDER = [['createdAt', 'ASC'], ['id', 'ASC']];
+const ONLINE_LINK_MAX_LENGTH = 2048;
 
 
 
@@ -105,108 +138,59 @@ const communityService = {
     },
 
     async discoverCommunities({ userId, limit, cursor, filters }) {
-      try {
-        const user = await User.findById(userId).populate('interests location');
-        
-        let query = Community.find();
-        
-        // Apply filters
-        if (filters.interests && filters.interests.length > 0) {
-          query = query.where('interests').in(filters.interests);
-        }
-        
-        // Location-based filtering
-        if (filters.location && filters.radius) {
-          const radiusInRadians = filters.radius / 6371; // Earth radius in km
-          query = query.where('location').near({
-            center: [filters.location.longitude, filters.location.latitude],
-            maxDistance: radiusInRadians,
-            spherical: true
-          });
-        }
-        
-        // Other filters
-        if (filters.isPaid !== undefined) {
-          query = query.where('isPaid').equals(filters.isPaid);
-        }
-        
-        if (filters.isPrivate !== undefined) {
-          query = query.where('isPrivate').equals(filters.isPrivate);
-        }
-        
-        if (filters.memberCountMin) {
-          query = query.where('memberCount').gte(filters.memberCountMin);
+        try {
+            const conditions = await this.buildCommunityFilterConditions(userId, filters);
+            let order;
+
+            switch (filters.sortBy) {
+                case 'MEMBER_COUNT': {
+                    const direction = filters.sortOrder === 'ASC' ? 'ASC' : 'DESC';
+                    order = [['memberCount', direction], ['id', direction]];
+                    break;
+                }
+                case 'ACTIVITY':
+                    order = [['lastActivityAt', 'DESC'], ['id', 'DESC']];
+                    break;
+                case 'RELEVANCE': {
+                    // Restrict to communities sharing at least one of the user's interests
+                    if (!filters.interests || filters.interests.length === 0) {
+                        const userInterests = await UserInterest.findAll({
+                            where: { userId },
+                            attributes: ['interestId'],
+                            raw: true
+                        });
+                        const relevantIds = await this.getCommunityIdsForInterests(userInterests.map(ui => ui.interestId));
+                        conditions.push({ id: { [Op.in]: relevantIds } });
+                    }
+                    order = [['memberCount', 'DESC'], ['id', 'DESC']];
+                    break;
+                }
+                case 'DISTANCE':
+                    // Distance is applied as a radius filter; results keep creation order so the cursor stays stable
+                default: {
+                    const direction = filters.sortOrder === 'ASC' ? 'ASC' : 'DESC';
+                    order = [['createdAt', direction], ['id', direction]];
+                }
+            }
+
+            const result = await paginate({
+                model: Community,
+                where: { [Op.and]: conditions },
+                order,
+                limit,
+                after: cursor,
+                toCursor: this.cursorFromOrder(order),
+                include: this.communityIncludes()
+            });
+
+            return this.toConnection(result, cursor);
+        } catch (error) {
+            console.error('Error discovering communities:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to discover communities', {
+                extensions: { code: 'DISCOVER_COMMUNITIES_FAILED' }
+            });
         }
-        
-        if (filters.memberCountMax) {
-          query = query.where('memberCount').lte(filters.memberCountMax);
-        }
-        
-        // Exclude communities user is already a member of
-        const userMemberships = await CommunityMember.find({
-          userId,
-          status: { $in: ['MEMBER', 'PENDING'] }
-        }).select('communityId');
-        
-        const excludedCommunityIds = userMemberships.map(m => m.communityId);
-        if (excludedCommunityIds.length > 0) {
-          query = query.where('_id').nin(excludedCommunityIds);
-        }
-        
-        // Sorting
-        switch (filters.sortBy) {
-          case 'MEMBER_COUNT':
-            query = query.sort({ memberCount: filters.sortOrder === 'ASC' ? 1 : -1 });
-            break;
-          case 'ACTIVITY':
-            query = query.sort({ lastActivityAt: -1 });
-            break;
-          case 'DISTANCE':
-            // Distance sorting is handled by the near query
-            break;
-          case 'RELEVANCE':
-            // Calculate relevance score based on user interests
-            const userInterestIds = user.interests.map(i => i._id);
-            // This would require a more complex aggregation pipeline
-            break;
-          default:
-            query = query.sort({ createdAt: -1 });
-        }
-        
-        // Pagination
-        if (cursor) {
-          const decodedCursor = Buffer.from(cursor, 'base64').toString('ascii');
-          const cursorData = JSON.parse(decodedCursor);
-          query = query.where('_id').gt(cursorData.id);
-        }
-        
-        query = query.limit(limit + 1);
-        
-        const communities = await query
-          .populate('owner interests')
-          .exec();
-        
-        const hasNextPage = communities.length > limit;
-        const edges = communities.slice(0, limit).map(community => ({
-          node: community,
-          cursor: Buffer.from(JSON.stringify({ id: community._id })).toString('base64')
-        }));
-        
-        const totalCount = await Community.countDocuments(query.getQuery());
-        
-        return {
-          edges,
-          pageInfo: {
-            hasNextPage,
-            hasPreviousPage: !!cursor,
-            totalCount,
-            cursor: hasNextPage ? edges[edges.length - 1].cursor : null
-          }
-        };
-      } catch (error) {
-        console.error('Error discovering communities:', error);
-        throw new Error('Failed to discover communities');
-      }
     },
   
     async createCommunity(input) {
@@ -348,634 +332,3542 @@ const communityService = {
         }
       },
   
-    async joinCommunity(communityId, userId) {
-      try {
-        const community = await Community.findById(communityId);
+    async joinCommunity(communityId, userId, inviteCode = null) {
+        const community = await Community.findByPk(communityId);
         if (!community) {
-          throw new Error('Community not found');
+            throw new GraphQLError('Community not found', {
+                extensions: { code: 'COMMUNITY_NOT_FOUND' }
+            });
         }
-        
-        // Check if user is already a member
-        const existingMembership = await CommunityMember.findOne({
-          userId,
-          communityId,
-          status: { $in: ['MEMBER', 'PENDING'] }
-        });
-        
-        if (existingMembership) {
-          throw new Error('User is already a member or has pending request');
-        }
-        
-        let membershipStatus = 'MEMBER';
-        let joinedAt = new Date();
-        
-        // For private communities, create pending request
-        if (community.isPrivate) {
-          membershipStatus = 'PENDING';
-          joinedAt = null;
-        }
-        
-        // For paid communities, check payment
+        this.checkNotArchived(community);
+
+        await this.checkCanJoin(communityId, userId);
+
+        // Invite codes for paid communities go to startCommunityCheckout and are redeemed once the payment arrives
         if (community.isPaid) {
-          // Handle payment logic here
-          // This would integrate with your payment service
-          const paymentResult = await this.processPayment(userId, community.price, community.currency);
-          if (!paymentResult.success) {
-            throw new Error('Payment failed');
-          }
+            throw new GraphQLError('This community requires payment, start a checkout to join', {
+                extensions: { code: 'PAYMENT_REQUIRED' }
+            });
         }
-        
-        const membership = new CommunityMember({
-          userId,
-          communityId,
-          role: 'MEMBER',
-          status: membershipStatus,
-          requestedAt: new Date(),
-          joinedAt
-        });
-        
-        await membership.save();
-        
-        // Update member count for approved members
-        if (membershipStatus === 'MEMBER') {
-          await Community.findByIdAndUpdate(communityId, {
-            $inc: { memberCount: 1 }
-          });
+
+        let membership;
+        const transaction = await sequelize.transaction();
+        try {
+            const invite = await this.redeemInvite(communityId, userId, inviteCode, transaction);
+            membership = await this.createMembership(community, userId, transaction, invite);
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error joining community:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to join community', {
+                extensions: { code: 'JOIN_COMMUNITY_FAILED' }
+            });
         }
-        
-        // Send notification to community owners/admins for private communities
-        if (community.isPrivate) {
-          await this.notifyAdminsOfNewRequest(communityId, userId);
+
+        if (membership.status === 'PENDING') {
+            await this.notifyAdminsOfNewRequest(communityId, userId);
         }
-        
-        return true;
-      } catch (error) {
-        console.error('Error joining community:', error);
-        throw error;
-      }
+
+        return membership;
     },
-  
-    async approveMemberRequest(communityId, userId) {
-      try {
-        const membership = await CommunityMember.findOne({
-          userId,
-          communityId,
-          status: 'PENDING'
-        });
-        
-        if (!membership) {
-          throw new Error('Pending membership request not found');
-        }
-        
-        membership.status = 'APPROVED';
-        membership.joinedAt = new Date();
-        await membership.save();
-        
-        // Update member count
-        await Community.findByIdAndUpdate(communityId, {
-          $inc: { memberCount: 1 }
+
+    async checkCanJoin(communityId, userId, transaction) {
+        const existingMembership = await CommunityMember.findOne({
+            where: { userId, communityId },
+            attributes: ['status'],
+            transaction
         });
-        
-        // Send notification to user
-        await this.notifyUserOfApproval(communityId, userId);
-        
-        return true;
-      } catch (error) {
-        console.error('Error approving member request:', error);
-        throw error;
-      }
+
+        if (existingMembership?.status === 'BANNED') {
+            throw new GraphQLError('You have been banned from this community', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+        if (['APPROVED', 'PENDING'].includes(existingMembership?.status)) {
+            throw new GraphQLError('You are already a member or have a pending request', {
+                extensions: { code: 'ALREADY_MEMBER' }
+            });
+        }
     },
-  
-    async getCommunityWall({ communityId, userId, limit, cursor, postType }) {
-      try {
-        let query = CommunityPost.find({ communityId });
-        
-        if (postType) {
-          query = query.where('type').equals(postType);
-        }
-        
-        // Only show posts user has access to
-        query = query.where('$or', [
-          { isPaid: false },
-          { authorId: userId },
-          // Add logic for paid content access
-        ]);
-        
-        if (cursor) {
-          const decodedCursor = Buffer.from(cursor, 'base64').toString('ascii');
-          const cursorData = JSON.parse(decodedCursor);
-          query = query.where('_id').lt(cursorData.id);
-        }
-        
-        query = query.sort({ createdAt: -1 }).limit(limit + 1);
-        
-        const posts = await query
-          .populate('author community')
-          .exec();
-        
-        const hasNextPage = posts.length > limit;
-        const edges = posts.slice(0, limit).map(post => ({
-          node: post,
-          cursor: Buffer.from(JSON.stringify({ id: post._id })).toString('base64')
-        }));
-        
-        const totalCount = await CommunityPost.countDocuments({ communityId });
-        
-        return {
-          edges,
-          pageInfo: {
-            hasNextPage,
-            hasPreviousPage: !!cursor,
-            totalCount,
-            cursor: hasNextPage ? edges[edges.length - 1].cursor : null
-          }
+
+    // Shared by free joins and paid joins fulfilled from a payment webhook.
+    // Private communities queue a request for the admins to review, unless the user was invited.
+    async createMembership(community, userId, transaction, invite = null) {
+        const status = community.isPrivate && !invite ? 'PENDING' : 'APPROVED';
+        const fields = {
+            role: 'MEMBER',
+            status,
+            requestedAt: new Date(),
+            joinedAt: status === 'APPROVED' ? new Date() : null,
+            invitedBy: invite ? invite.invitedBy : null
         };
-      } catch (error) {
-        console.error('Error fetching community wall:', error);
-        throw error;
-      }
-    },
-  
-    async createCommunityPost(data) {
-      try {
-        const post = new CommunityPost({
-          ...data,
-          likesCount: 0,
-          commentsCount: 0,
-          sharesCount: 0,
-          createdAt: new Date()
-        });
-        
-        await post.save();
-        
-        // Update community post count
-        await Community.findByIdAndUpdate(data.communityId, {
-          $inc: { postCount: 1 },
-          lastActivityAt: new Date()
+
+        // A previously rejected request keeps its row because of the unique (userId, communityId) index
+        const existingMembership = await CommunityMember.findOne({
+            where: { userId, communityId: community.id },
+            transaction
         });
-        
-        // If it's an event, update event count
-        if (data.type === 'EVENT') {
-          await Community.findByIdAndUpdate(data.communityId, {
-            $inc: { eventCount: 1 }
-          });
+        const membership = existingMembership
+            ? await existingMembership.update(fields, { transaction })
+            : await CommunityMember.create({ userId, communityId: community.id, ...fields }, { transaction });
+
+        if (status === 'APPROVED') {
+            await this.incrementMemberCounts(community.id, userId, transaction);
         }
-        
-        return await post.populate('author community');
-      } catch (error) {
-        console.error('Error creating community post:', error);
-        throw error;
-      }
-    },
-  
-    async checkAdminAccess(communityId, userId) {
-      const membership = await CommunityMember.findOne({
-        userId,
-        communityId,
-        role: { $in: ['OWNER', 'ADMIN'] },
-        status: 'APPROVED'
-      });
-      
-      if (!membership) {
-        throw new Error('Insufficient permissions');
-      }
-    },
-  
-    async checkOwnerAccess(communityId, userId) {
-      const community = await Community.findById(communityId);
-      if (!community || community.ownerId.toString() !== userId) {
-        throw new Error('Only community owner can perform this action');
-      }
-    },
-  
-    async getMembershipStatus(communityId, userId) {
-      const membership = await CommunityMember.findOne({
-        userId,
-        communityId
-      });
-      
-      if (!membership) return 'NOT_MEMBER';
-      
-      switch (membership.status) {
-        case 'APPROVED': return 'MEMBER';
-        case 'PENDING': return 'PENDING';
-        case 'REJECTED': return 'REJECTED';
-        default: return 'NOT_MEMBER';
-      }
+
+        return membership;
     },
 
-    async isAdmin(communityId, userId) {
-        if (!userId) return false;
+    async approveMemberRequest(communityId, userId, actorId) {
+        let membership;
+        const transaction = await sequelize.transaction();
+        try {
+            membership = await CommunityMember.findOne({
+                where: { userId, communityId, status: 'PENDING' },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
 
-        const membership = await CommunityMember.findOne({
-            where: {
+            if (!membership) {
+                throw new GraphQLError('Pending membership request not found', {
+                    extensions: { code: 'REQUEST_NOT_FOUND' }
+                });
+            }
+
+            await membership.update({ status: 'APPROVED', joinedAt: new Date() }, { transaction });
+            await this.incrementMemberCounts(communityId, userId, transaction);
+            await this.recordAudit({
                 communityId,
-                userId,
-                status: 'APPROVED',
-                role: { [Op.in]: ['OWNER', 'ADMIN'] }
+                actorId,
+                action: 'MEMBER_APPROVED',
+                targetUserId: userId,
+                targetType: 'MEMBER',
+                targetId: membership.id,
+                before: { role: membership.role, status: 'PENDING' },
+                after: this.memberState(membership)
+            }, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error approving member request:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to approve member request', {
+                extensions: { code: 'APPROVE_REQUEST_FAILED' }
+            });
+        }
+
+        await this.notifyUserOfApproval(communityId, userId, actorId);
+
+        return membership;
+    },
+
+    async rejectMemberRequest(communityId, userId, actorId) {
+        const transaction = await sequelize.transaction();
+        try {
+            const membership = await CommunityMember.findOne({
+                where: { userId, communityId, status: 'PENDING' },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            if (!membership) {
+                throw new GraphQLError('Pending membership request not found', {
+                    extensions: { code: 'REQUEST_NOT_FOUND' }
+                });
             }
-        });
 
-        return !!membership;
+            await membership.update({ status: 'REJECTED' }, { transaction });
+            await getPaymentService().requireCommunityJoinRefund(communityId, userId, 'REQUEST_REJECTED', transaction);
+            await this.recordAudit({
+                communityId,
+                actorId,
+                action: 'MEMBER_REJECTED',
+                targetUserId: userId,
+                targetType: 'MEMBER',
+                targetId: membership.id,
+                before: { role: membership.role, status: 'PENDING' },
+                after: this.memberState(membership)
+            }, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error rejecting member request:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to reject member request', {
+                extensions: { code: 'REJECT_REQUEST_FAILED' }
+            });
+        }
+
+        await getPaymentService().refundCommunityJoin(communityId, userId);
+        return true;
     },
 
-    async isModerator(communityId, userId) {
-        if (!userId) return false;
+    async banMember(communityId, userId, reason, bannedBy) {
+        let membership;
+        const transaction = await sequelize.transaction();
+        try {
+            membership = await this.banMembership(communityId, userId, { reason, bannedBy }, transaction);
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error banning member:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to ban member', {
+                extensions: { code: 'BAN_MEMBER_FAILED' }
+            });
+        }
+
+        await getPaymentService().refundCommunityJoin(communityId, userId);
+        await this.notifyUserOfBan(communityId, userId, bannedBy, membership.banReason);
+        return true;
+    },
 
+    // Users without a membership get a BANNED row too, so the ban also stops them from joining
+    async banMembership(communityId, userId, { reason, bannedBy }, transaction) {
         const membership = await CommunityMember.findOne({
-            where: {
-                communityId,
-                userId,
-                status: 'APPROVED',
-                role: { [Op.in]: ['OWNER', 'ADMIN', 'MODERATOR'] }
-            }
+            where: { communityId, userId },
+            lock: transaction.LOCK.UPDATE,
+            transaction
         });
 
-        return !!membership;
-    },
+        if (membership?.role === 'OWNER') {
+            throw new GraphQLError('The community owner cannot be banned', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+        if (membership?.status === 'BANNED') return membership;
 
-    async canPost(communityId, userId) {
-        if (!userId) return false;
+        const before = membership ? this.memberState(membership) : null;
+        const fields = {
+            role: 'MEMBER',
+            status: 'BANNED',
+            banReason: reason?.trim() || null,
+            bannedAt: new Date(),
+            bannedBy
+        };
+
+        const banned = membership
+            ? await membership.update(fields, { transaction })
+            : await CommunityMember.create({ communityId, userId, ...fields }, { transaction });
+
+        if (before?.status === 'APPROVED') {
+            await Community.decrement('memberCount', { where: { id: communityId, memberCount: { [Op.gt]: 0 } }, transaction });
+            await User.decrement('joinedCommunitiesCount', { where: { id: userId, joinedCommunitiesCount: { [Op.gt]: 0 } }, transaction });
+        }
+        // Banning a pending request turns it down, so a payment made for it goes back like on reject
+        if (before?.status === 'PENDING') {
+            await getPaymentService().requireCommunityJoinRefund(communityId, userId, 'MEMBER_BANNED', transaction);
+        }
+
+        await this.recordAudit({
+            communityId,
+            actorId: bannedBy,
+            action: 'MEMBER_BANNED',
+            targetUserId: userId,
+            targetType: 'MEMBER',
+            targetId: banned.id,
+            reason: fields.banReason,
+            before,
+            after: this.memberState(banned)
+        }, transaction);
 
+        return banned;
+    },
+
+    // The ban row is removed, so the user can join (or request to join) again
+    async unbanMember(communityId, userId, actorId) {
+        const transaction = await sequelize.transaction();
         try {
-            await this.checkPostAccess(communityId, userId);
+            const membership = await CommunityMember.findOne({
+                where: { communityId, userId, status: 'BANNED' },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!membership) {
+                throw new GraphQLError('This user is not banned', {
+                    extensions: { code: 'MEMBER_NOT_BANNED' }
+                });
+            }
+
+            const before = this.memberState(membership);
+            await membership.destroy({ transaction });
+            await this.recordAudit({
+                communityId,
+                actorId,
+                action: 'MEMBER_UNBANNED',
+                targetUserId: userId,
+                targetType: 'MEMBER',
+                targetId: membership.id,
+                before,
+                after: null
+            }, transaction);
+
+            await transaction.commit();
             return true;
-        } catch {
-            return false;
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error unbanning member:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to unban member', {
+                extensions: { code: 'UNBAN_MEMBER_FAILED' }
+            });
         }
     },
 
-    async canCreateEvents(communityId, userId) {
-        if (!userId) return false;
+    // Ownership is not handed out here; only staff roles below the owner can be assigned
+    async assignMemberRole(communityId, userId, role, actorId) {
+        if (!['ADMIN', 'MODERATOR', 'MEMBER'].includes(role)) {
+            throw new GraphQLError('Role cannot be assigned', {
+                extensions: { code: 'INVALID_INPUT', field: 'role' }
+            });
+        }
+        return this.changeMemberRole(communityId, userId, role, actorId, 'ROLE_ASSIGNED');
+    },
 
-        const community = await Community.findByPk(communityId);
-        if (!community) return false;
+    async removeMemberRole(communityId, userId, actorId) {
+        return this.changeMemberRole(communityId, userId, 'MEMBER', actorId, 'ROLE_REMOVED');
+    },
 
-        const membership = await CommunityMember.findOne({
-            where: {
-                communityId,
-                userId,
-                status: 'APPROVED'
+    async changeMemberRole(communityId, userId, role, actorId, action) {
+        let before;
+        const transaction = await sequelize.transaction();
+        try {
+            const membership = await CommunityMember.findOne({
+                where: { communityId, userId, status: 'APPROVED' },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!membership) {
+                throw new GraphQLError('Member not found', {
+                    extensions: { code: 'MEMBER_NOT_FOUND' }
+                });
+            }
+            if (membership.role === 'OWNER') {
+                throw new GraphQLError('The owner role cannot be changed', {
+                    extensions: { code: 'FORBIDDEN' }
+                });
             }
-        });
 
-        if (!membership) return false;
+            before = this.memberState(membership);
+            if (before.role !== role) {
+                await membership.update({ role }, { transaction });
+                await this.recordAudit({
+                    communityId,
+                    actorId,
+                    action,
+                    targetUserId: userId,
+                    targetType: 'MEMBER',
+                    targetId: membership.id,
+                    before,
+                    after: this.memberState(membership)
+                }, transaction);
+            }
 
-        // Check community settings
-        if (!community.settings.allowMemberEvents &&
-            !['OWNER', 'ADMIN'].includes(membership.role)) {
-            return false;
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error changing member role:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to change member role', {
+                extensions: { code: 'CHANGE_ROLE_FAILED' }
+            });
         }
 
+        if (before.role !== role) {
+            await this.notifyUserOfRoleChange(communityId, userId, role, actorId);
+        }
         return true;
     },
 
-    async searchCommunities({ userId, query, limit, cursor, filters }) {
+    // Audit log
+    memberState(membership) {
+        return { role: membership.role, status: membership.status };
+    },
+
+    postState(post) {
+        return { status: post.isArchived ? 'REMOVED' : this.getPostApprovalStatus(post) };
+    },
+
+    async recordAudit({ communityId, actorId, action, targetUserId = null, targetType, targetId = null, reason = null, before = null, after = null }, transaction) {
+        return await CommunityAuditLog.create({
+            communityId,
+            actorId,
+            action,
+            targetUserId,
+            targetType,
+            targetId,
+            reason,
+            before,
+            after
+        }, { transaction });
+    },
+
+    async getAuditLog({ communityId, limit, cursor, action, targetUserId }) {
         try {
-          const searchQuery = {
-            $or: [
-              { name: { $regex: query, $options: 'i' } },
-              { description: { $regex: query, $options: 'i' } },
-              { 'interests.name': { $regex: query, $options: 'i' } }
-            ]
-          };
-    
-          // Apply additional filters
-          if (filters.interests && filters.interests.length > 0) {
-            searchQuery.interests = { $in: filters.interests };
-          }
-    
-          if (filters.location && filters.radius) {
-            const radiusInRadians = filters.radius / 6371;
-            searchQuery.location = {
-              $near: {
-                $geometry: {
-                  type: 'Point',
-                  coordinates: [filters.location.longitude, filters.location.latitude]
-                },
-                $maxDistance: filters.radius * 1000 // Convert km to meters
-              }
-            };
-          }
-    
-          let mongoQuery = Community.find(searchQuery);
-    
-          // Exclude user's communities
-          const userMemberships = await CommunityMember.find({
-            userId,
-            status: { $in: ['MEMBER', 'PENDING'] }
-          }).select('communityId');
-          
-          const excludedIds = userMemberships.map(m => m.communityId);
-          if (excludedIds.length > 0) {
-            mongoQuery = mongoQuery.where('_id').nin(excludedIds);
-          }
-    
-          // Pagination and sorting
-          if (cursor) {
-            const decodedCursor = Buffer.from(cursor, 'base64').toString('ascii');
-            const cursorData = JSON.parse(decodedCursor);
-            mongoQuery = mongoQuery.where('_id').gt(cursorData.id);
-          }
-    
-          mongoQuery = mongoQuery
-            .sort({ memberCount: -1, createdAt: -1 })
-            .limit(limit + 1)
-            .populate('owner interests');
-    
-          const communities = await mongoQuery.exec();
-          
-          const hasNextPage = communities.length > limit;
-          const edges = communities.slice(0, limit).map(community => ({
-            node: community,
-            cursor: Buffer.from(JSON.stringify({ id: community._id })).toString('base64')
-          }));
-    
-          const totalCount = await Community.countDocuments(searchQuery);
-    
-          return {
-            edges,
-            pageInfo: {
-              hasNextPage,
-              hasPreviousPage: !!cursor,
-              totalCount,
-              cursor: hasNextPage ? edges[edges.length - 1].cursor : null
-            }
-          };
+            const where = { communityId };
+            if (action) where.action = action;
+            if (targetUserId) where.targetUserId = targetUserId;
+
+            const order = [['createdAt', 'DESC'], ['id', 'DESC']];
+            const result = await paginate({
+                model: CommunityAuditLog,
+                where,
+                order,
+                limit,
+                after: cursor,
+                toCursor: this.cursorFromOrder(order)
+            });
+
+            return this.toConnection(result, cursor);
         } catch (error) {
-          console.error('Error searching communities:', error);
-          throw new Error('Failed to search communities');
+            console.error('Error fetching community audit log:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to fetch community audit log', {
+                extensions: { code: 'AUDIT_LOG_FAILED' }
+            });
         }
-      },
-    
+    },
+
+    async incrementMemberCounts(communityId, userId, transaction) {
+        await Community.increment('memberCount', { where: { id: communityId }, transaction });
+        await Community.update({ lastActivityAt: new Date() }, { where: { id: communityId }, transaction });
+        await User.increment('joinedCommunitiesCount', { where: { id: userId }, transaction });
+    },
+  
+    // Invites
+    outstandingInviteWhere() {
+        const now = new Date();
+        return {
+            [Op.and]: [
+                { revokedAt: null },
+                { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }] },
+                { [Op.or]: [{ maxUses: null }, { usesCount: { [Op.lt]: sequelize.col('maxUses') } }] }
+            ]
+        };
+    },
+
+    isInviteUsable(invite) {
+        if (invite.revokedAt) return false;
+        if (invite.expiresAt && invite.expiresAt <= new Date()) return false;
+        return invite.maxUses === null || invite.usesCount < invite.maxUses;
+    },
+
+    // Admins can always invite; members only when the community allows member invites
+    async checkCanInvite(communityId, userId) {
+        const community = await Community.findByPk(communityId, { attributes: ['id', 'settings', 'isArchived'] });
+        if (!community) {
+            throw new GraphQLError('Community not found', {
+                extensions: { code: 'COMMUNITY_NOT_FOUND' }
+            });
+        }
+        this.checkNotArchived(community);
+
+        const membership = await this.checkMembershipAccess(communityId, userId);
+        if (membership.role === 'MEMBER' && community.settings?.allowMemberInvites === false) {
+            throw new GraphQLError('Only community admins can invite people to this community', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        return community;
+    },
+
+    async createInviteLink(communityId, userId, { expiresAt, maxUses } = {}) {
+        await this.checkCanInvite(communityId, userId);
+
+        if (maxUses !== undefined && maxUses !== null && (maxUses < 1 || maxUses > INVITE_MAX_USES_LIMIT)) {
+            throw new GraphQLError(`Max uses must be between 1 and ${INVITE_MAX_USES_LIMIT}`, {
+                extensions: { code: 'INVALID_INPUT', field: 'maxUses' }
+            });
+        }
+
+        let expiry = null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+            if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+                throw new GraphQLError('Invite expiry must be in the future', {
+                    extensions: { code: 'INVALID_INPUT', field: 'expiresAt' }
+                });
+            }
+        }
+
+        return await CommunityInvite.create({
+            communityId,
+            invitedBy: userId,
+            type: 'LINK',
+            code: crypto.randomBytes(9).toString('base64url'),
+            maxUses: maxUses || null,
+            expiresAt: expiry
+        });
+    },
+
+    async findInvitee({ userId, phoneNumber, countryCode, email }) {
+        let where;
+        if (userId) {
+            this.validateUUID(userId, 'userId');
+            where = { id: userId };
+        } else if (phoneNumber && countryCode) {
+            where = { phoneNumber, countryCode };
+        } else if (email) {
+            where = sequelize.where(sequelize.fn('LOWER', sequelize.col('email')), email.trim().toLowerCase());
+        } else {
+            throw new GraphQLError('Provide a user id, phone number with country code, or email', {
+                extensions: { code: 'INVALID_INPUT' }
+            });
+        }
+
+        const user = await User.findOne({ where: { [Op.and]: [where, { isActive: true }] } });
+        if (!user) {
+            throw new GraphQLError('User not found', {
+                extensions: { code: 'USER_NOT_FOUND' }
+            });
+        }
+        return user;
+    },
+
+    async inviteUser(communityId, inviterId, input) {
+        await this.checkCanInvite(communityId, inviterId);
+
+        const invitee = await this.findInvitee(input);
+        if (invitee.id === inviterId) {
+            throw new GraphQLError('You cannot invite yourself', {
+                extensions: { code: 'INVALID_INPUT' }
+            });
+        }
+
+        const membership = await CommunityMember.findOne({
+            where: { communityId, userId: invitee.id },
+            attributes: ['status']
+        });
+        if (membership?.status === 'APPROVED') {
+            throw new GraphQLError('This user is already a member', {
+                extensions: { code: 'ALREADY_MEMBER' }
+            });
+        }
+        if (membership?.status === 'BANNED') {
+            throw new GraphQLError('This user is banned from the community', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        // Inviting someone twice keeps the invite they already have
+        const existing = await CommunityInvite.findOne({
+            where: { communityId, inviteeId: invitee.id, type: 'DIRECT', ...this.outstandingInviteWhere() }
+        });
+        if (existing) return existing;
+
+        const invite = await CommunityInvite.create({
+            communityId,
+            invitedBy: inviterId,
+            inviteeId: invitee.id,
+            type: 'DIRECT',
+            maxUses: 1
+        });
+
+        await this.notifyUserOfInvite(invite);
+
+        return invite;
+    },
+
+    // A code redeems that link invite; without one, an outstanding direct invite for the user is used
+    async redeemInvite(communityId, userId, inviteCode, transaction) {
+        const invite = await this.findUsableInvite(communityId, userId, inviteCode, transaction);
+        if (!invite) return null;
+
+        await invite.increment('usesCount', { transaction });
+        return invite;
+    },
+
+    // Without a transaction the invite is only checked, e.g. before a paid join's checkout
+    async findUsableInvite(communityId, userId, inviteCode, transaction = null) {
+        const where = inviteCode
+            ? { code: inviteCode, type: 'LINK' }
+            : { communityId, inviteeId: userId, type: 'DIRECT', revokedAt: null };
+
+        const invite = await CommunityInvite.findOne({
+            where,
+            order: [['createdAt', 'DESC']],
+            ...(transaction && { lock: transaction.LOCK.UPDATE, transaction })
+        });
+
+        if (!invite || !this.isInviteUsable(invite) || invite.communityId !== communityId) {
+            if (!inviteCode) return null;
+            throw new GraphQLError('This invite is invalid or has expired', {
+                extensions: { code: 'INVALID_INVITE' }
+            });
+        }
+
+        return invite;
+    },
+
+    async getInviteByCode(code) {
+        const invite = await CommunityInvite.findOne({
+            where: { code, type: 'LINK' },
+            include: [{ model: Community, as: 'community' }]
+        });
+        if (!invite || !this.isInviteUsable(invite) || invite.community.isArchived) return null;
+        return invite;
+    },
+
+    async getCommunityInvites({ communityId, limit, cursor }) {
+        try {
+            const order = [['createdAt', 'DESC'], ['id', 'DESC']];
+            const result = await paginate({
+                model: CommunityInvite,
+                where: { [Op.and]: [{ communityId }, this.outstandingInviteWhere()] },
+                order,
+                limit,
+                after: cursor,
+                toCursor: this.cursorFromOrder(order)
+            });
+
+            return this.toConnection(result, cursor);
+        } catch (error) {
+            console.error('Error fetching community invites:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to fetch community invites', {
+                extensions: { code: 'COMMUNITY_INVITES_FAILED' }
+            });
+        }
+    },
+
+    async getMyInvites(userId) {
+        return await CommunityInvite.findAll({
+            where: { inviteeId: userId, type: 'DIRECT', ...this.outstandingInviteWhere() },
+            include: [{ model: Community, as: 'community', where: { isArchived: false } }],
+            order: [['createdAt', 'DESC']]
+        });
+    },
+
+    // Admins can revoke any invite of their community, members only the ones they created
+    async revokeInvite(inviteId, userId) {
+        const invite = await CommunityInvite.findByPk(inviteId);
+        if (!invite || invite.revokedAt) {
+            throw new GraphQLError('Invite not found', {
+                extensions: { code: 'INVITE_NOT_FOUND' }
+            });
+        }
+        if (invite.invitedBy !== userId && !(await this.isAdmin(invite.communityId, userId))) {
+            throw new GraphQLError('Insufficient permissions', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            await invite.update({ revokedAt: new Date() }, { transaction });
+            if (invite.invitedBy !== userId) {
+                await this.recordAudit({
+                    communityId: invite.communityId,
+                    actorId: userId,
+                    action: 'INVITE_REVOKED',
+                    targetUserId: invite.invitedBy,
+                    targetType: 'INVITE',
+                    targetId: invite.id
+                }, transaction);
+            }
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error revoking invite:', error);
+            throw new GraphQLError('Failed to revoke invite', {
+                extensions: { code: 'REVOKE_INVITE_FAILED' }
+            });
+        }
+
+        return true;
+    },
+
+    async getCommunityWall({ communityId, userId, limit, cursor, postType }) {
+        try {
+            const conditions = [
+                { communityId, isArchived: false },
+                await this.buildPostVisibilityWhere(communityId, userId)
+            ];
+
+            if (postType) {
+                conditions.push({ type: postType });
+            }
+
+            const order = [['createdAt', 'DESC'], ['id', 'DESC']];
+            const result = await paginate({
+                model: CommunityPost,
+                where: { [Op.and]: conditions },
+                order,
+                limit,
+                after: cursor,
+                toCursor: this.cursorFromOrder(order),
+                include: [
+                    { model: User, as: 'author' },
+                    { model: Community, as: 'community' }
+                ]
+            });
+
+            return this.toConnection(result, cursor);
+        } catch (error) {
+            console.error('Error fetching community wall:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to fetch community wall', {
+                extensions: { code: 'COMMUNITY_WALL_FAILED' }
+            });
+        }
+    },
+
+    async createCommunityPost(data) {
+        if (data.type === 'EVENT') {
+            if (!data.eventDetails) {
+                throw new GraphQLError('Event details are required for event posts', {
+                    extensions: { code: 'INVALID_INPUT', field: 'eventDetails' }
+                });
+            }
+            if (!(await this.canCreateEvents(data.communityId, data.authorId))) {
+                throw new GraphQLError('You are not allowed to create events in this community', {
+                    extensions: { code: 'FORBIDDEN' }
+                });
+            }
+        }
+
+        if (data.isPaid && (!data.price || data.price <= 0)) {
+            throw new GraphQLError('Price must be greater than 0 for paid posts', {
+                extensions: { code: 'INVALID_INPUT', field: 'price' }
+            });
+        }
+
+        const pollDetails = data.type === 'POLL' ? this.buildPollDetails(data.pollDetails) : {};
+        if (data.type === 'EVENT') this.checkOnlineLink(data.eventDetails.onlineLink);
+        const eventRecurrence = data.type === 'EVENT' ? this.buildRecurrence(data.eventDetails) : null;
+        const needsApproval = await this.requiresPostApproval(data.communityId, data.authorId);
+
+        let post;
+        const transaction = await sequelize.transaction();
+        try {
+            post = await CommunityPost.create({
+                communityId: data.communityId,
+                authorId: data.authorId,
+                type: data.type,
+                title: data.title.trim(),
+                content: data.content,
+                imageUrls: data.imageUrls || [],
+                videoUrl: data.videoUrl,
+                linkUrl: data.linkUrl,
+                isPaid: data.isPaid || false,
+                price: data.isPaid ? data.price : null,
+                currency: data.isPaid ? (data.currency || 'USD') : null,
+                eventDetails: data.type === 'EVENT'
+                    ? { ...data.eventDetails, recurrence: eventRecurrence, registrationCount: 0 }
+                    : {},
+                pollDetails,
+                tags: data.tags || [],
+                isApproved: !needsApproval,
+                likesCount: 0,
+                commentsCount: 0,
+                sharesCount: 0
+            }, { transaction });
+
+            if (!needsApproval) {
+                await this.recordPublishedPost(post, transaction);
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error creating community post:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to create community post', {
+                extensions: { code: 'POST_CREATE_FAILED' }
+            });
+        }
+
+        if (needsApproval) {
+            await this.notifyModeratorsOfPendingPost(post);
+        } else if (post.type === 'EVENT') {
+            await this.notifyFollowersOfEvent(post);
+        }
+
+        return await CommunityPost.findByPk(post.id, {
+            include: [
+                { model: User, as: 'author' },
+                { model: Community, as: 'community' }
+            ]
+        });
+    },
+
+    // Update community post/event counters and activity once a post is on the wall
+    async recordPublishedPost(post, transaction) {
+        await Community.increment(
+            post.type === 'EVENT' ? { postCount: 1, eventCount: 1 } : { postCount: 1 },
+            { where: { id: post.communityId }, transaction }
+        );
+        await Community.update(
+            { lastActivityAt: new Date() },
+            { where: { id: post.communityId }, transaction }
+        );
+    },
+
+    // Removed posts are archived rather than deleted so reports and payments can still point at them
+    async removePost(postId, actorId, reason, transaction) {
+        const post = await CommunityPost.findByPk(postId, {
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (!post || post.isArchived) {
+            throw new GraphQLError('Post not found', {
+                extensions: { code: 'POST_NOT_FOUND' }
+            });
+        }
+
+        const before = this.postState(post);
+        await post.update({ isArchived: true }, { transaction });
+        await this.recordAudit({
+            communityId: post.communityId,
+            actorId,
+            action: 'POST_REMOVED',
+            targetUserId: post.authorId,
+            targetType: 'POST',
+            targetId: post.id,
+            reason,
+            before,
+            after: this.postState(post)
+        }, transaction);
+
+        if (post.isApproved) {
+            await Community.decrement(
+                post.type === 'EVENT' ? { postCount: 1, eventCount: 1 } : { postCount: 1 },
+                { where: { id: post.communityId, postCount: { [Op.gt]: 0 } }, transaction }
+            );
+        }
+
+        return post;
+    },
+
+    // Post moderation
+    async requiresPostApproval(communityId, userId) {
+        const community = await Community.findByPk(communityId, { attributes: ['id', 'settings'] });
+        if (!community?.settings?.requirePostApproval) return false;
+        return !(await this.isModerator(communityId, userId));
+    },
+
+    getPostApprovalStatus(post) {
+        if (post.isApproved) return 'APPROVED';
+        return post.rejectedAt ? 'REJECTED' : 'PENDING';
+    },
+
+    checkPostPublished(post) {
+        if (!post.isApproved) {
+            throw new GraphQLError('This post is awaiting moderation', {
+                extensions: { code: 'POST_NOT_APPROVED' }
+            });
+        }
+    },
+
+    async getPendingPosts({ communityId, limit, cursor }) {
+        try {
+            const order = [['createdAt', 'ASC'], ['id', 'ASC']];
+            const result = await paginate({
+                model: CommunityPost,
+                where: { communityId, isArchived: false, isApproved: false, rejectedAt: null },
+                order,
+                limit,
+                after: cursor,
+                toCursor: this.cursorFromOrder(order),
+                include: [
+                    { model: User, as: 'author' },
+                    { model: Community, as: 'community' }
+                ]
+            });
+
+            return this.toConnection(result, cursor);
+        } catch (error) {
+            console.error('Error fetching pending posts:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to fetch pending posts', {
+                extensions: { code: 'PENDING_POSTS_FAILED' }
+            });
+        }
+    },
+
+    async findPendingPost(postId, moderatorId, transaction) {
+        const post = await CommunityPost.findByPk(postId, {
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (!post || post.isArchived) {
+            throw new GraphQLError('Post not found', {
+                extensions: { code: 'POST_NOT_FOUND' }
+            });
+        }
+
+        await this.checkModeratorAccess(post.communityId, moderatorId);
+
+        if (this.getPostApprovalStatus(post) !== 'PENDING') {
+            throw new GraphQLError('This post is not awaiting moderation', {
+                extensions: { code: 'POST_NOT_PENDING' }
+            });
+        }
+
+        return post;
+    },
+
+    async approvePost(postId, moderatorId) {
+        let post;
+        const transaction = await sequelize.transaction();
+        try {
+            post = await this.findPendingPost(postId, moderatorId, transaction);
+
+            await post.update({
+                isApproved: true,
+                approvedBy: moderatorId,
+                approvedAt: new Date()
+            }, { transaction });
+            await this.recordPublishedPost(post, transaction);
+            await this.recordAudit({
+                communityId: post.communityId,
+                actorId: moderatorId,
+                action: 'POST_APPROVED',
+                targetUserId: post.authorId,
+                targetType: 'POST',
+                targetId: post.id,
+                before: { status: 'PENDING' },
+                after: this.postState(post)
+            }, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error approving post:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to approve post', {
+                extensions: { code: 'APPROVE_POST_FAILED' }
+            });
+        }
+
+        await this.notifyAuthorOfPostReview(post, moderatorId);
+        if (post.type === 'EVENT') {
+            await this.notifyFollowersOfEvent(post);
+        }
+
+        return await CommunityPost.findByPk(post.id, {
+            include: [
+                { model: User, as: 'author' },
+                { model: Community, as: 'community' }
+            ]
+        });
+    },
+
+    async rejectPost(postId, moderatorId, reason) {
+        const rejectionReason = reason?.trim() || null;
+        if (rejectionReason && rejectionReason.length > 500) {
+            throw new GraphQLError('Reason must be less than 500 characters', {
+                extensions: { code: 'INVALID_INPUT', field: 'reason' }
+            });
+        }
+
+        let post;
+        const transaction = await sequelize.transaction();
+        try {
+            post = await this.findPendingPost(postId, moderatorId, transaction);
+            await post.update({ rejectedAt: new Date(), rejectionReason }, { transaction });
+            await this.recordAudit({
+                communityId: post.communityId,
+                actorId: moderatorId,
+                action: 'POST_REJECTED',
+                targetUserId: post.authorId,
+                targetType: 'POST',
+                targetId: post.id,
+                reason: rejectionReason,
+                before: { status: 'PENDING' },
+                after: this.postState(post)
+            }, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error rejecting post:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to reject post', {
+                extensions: { code: 'REJECT_POST_FAILED' }
+            });
+        }
+
+        await this.notifyAuthorOfPostReview(post, moderatorId);
+
+        return post;
+    },
+
+    async updateCommunityPost(postId, data, userId) {
+        const post = await CommunityPost.findByPk(postId);
+        if (!post || post.isArchived) {
+            throw new GraphQLError('Post not found', {
+                extensions: { code: 'POST_NOT_FOUND' }
+            });
+        }
+        if (post.authorId !== userId) {
+            throw new GraphQLError('Only the author can edit this post', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+        if (data.communityId !== post.communityId || data.type !== post.type) {
+            throw new GraphQLError('A post cannot be moved to another community or change its type', {
+                extensions: { code: 'INVALID_INPUT' }
+            });
+        }
+        if (data.isPaid && (!data.price || data.price <= 0)) {
+            throw new GraphQLError('Price must be greater than 0 for paid posts', {
+                extensions: { code: 'INVALID_INPUT', field: 'price' }
+            });
+        }
+
+        let pollDetails = post.pollDetails;
+        if (post.type === 'POLL' && data.pollDetails) {
+            pollDetails = await this.rebuildPollDetails(post, data.pollDetails);
+        }
+
+        const resubmitted = !!post.rejectedAt;
+        let promotions = [];
+
+        const transaction = await sequelize.transaction();
+        try {
+            // Registrations keep changing the event's counters, so they are read under the row lock
+            await post.reload({ lock: transaction.LOCK.UPDATE, transaction });
+            const previousDetails = post.eventDetails;
+            const previousSchedule = this.eventScheduleKey(post);
+
+            let eventDetails = post.eventDetails;
+            if (post.type === 'EVENT' && data.eventDetails) {
+                const registrationCount = post.eventDetails?.registrationCount || 0;
+                const takenSpots = await this.countRegistrations(post, null, transaction);
+                if (data.eventDetails.maxAttendees && data.eventDetails.maxAttendees < takenSpots) {
+                    throw new GraphQLError('Capacity cannot be lower than the current number of registrations', {
+                        extensions: { code: 'INVALID_INPUT', field: 'maxAttendees' }
+                    });
+                }
+
+                this.checkOnlineLink(data.eventDetails.onlineLink);
+                const eventRecurrence = this.buildRecurrence(data.eventDetails, previousDetails?.recurrence);
+                if (!eventRecurrence && recurrence.isRecurring(previousDetails)) {
+                    await this.checkNoDateRegistrations(post, transaction);
+                }
+                eventDetails = { ...data.eventDetails, recurrence: eventRecurrence, registrationCount };
+            }
+
+            await post.update({
+                title: data.title.trim(),
+                content: data.content,
+                imageUrls: data.imageUrls || [],
+                videoUrl: data.videoUrl,
+                linkUrl: data.linkUrl,
+                isPaid: data.isPaid || false,
+                price: data.isPaid ? data.price : null,
+                currency: data.isPaid ? (data.currency || 'USD') : null,
+                eventDetails,
+                pollDetails,
+                tags: data.tags || [],
+                ...(resubmitted && { rejectedAt: null, rejectionReason: null })
+            }, { transaction });
+
+            if (post.type === 'EVENT' && this.eventScheduleKey(post) !== previousSchedule) {
+                if (recurrence.isRecurring(previousDetails) && recurrence.isRecurring(post.eventDetails)) {
+                    await this.moveDateRegistrations({ fromPost: post, fromDetails: previousDetails, toPost: post, since: new Date() }, transaction);
+                }
+                await eventReminderService.rescheduleForEvent(post, transaction);
+            }
+            // A raised (or removed) capacity lets people in from the waitlist
+            if (post.type === 'EVENT') {
+                promotions = await this.promoteFromWaitlist(post, transaction);
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error updating community post:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to update community post', {
+                extensions: { code: 'POST_UPDATE_FAILED' }
+            });
+        }
+
+        if (resubmitted) {
+            await this.notifyModeratorsOfPendingPost(post);
+        }
+        await this.notifyWaitlistPromotions(post, promotions);
+
+        return await CommunityPost.findByPk(post.id, {
+            include: [
+                { model: User, as: 'author' },
+                { model: Community, as: 'community' }
+            ]
+        });
+    },
+
+    async likeCommunityPost(postId, userId) {
+        const post = await this.getVisiblePost(postId, userId);
+        this.checkPostPublished(post);
+        await this.checkMembershipAccess(post.communityId, userId);
+
+        const transaction = await sequelize.transaction();
+        try {
+            const [, created] = await PostLike.findOrCreate({
+                where: { postId, userId },
+                transaction
+            });
+            if (created) {
+                await post.increment('likesCount', { transaction });
+            }
+
+            await transaction.commit();
+
+            if (created) {
+                await this.notifyAuthorOfLike(post, userId);
+            }
+
+            await post.reload({ attributes: ['id', 'communityId', 'likesCount'] });
+            return { post, liked: created };
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error liking post:', error);
+            throw new GraphQLError('Failed to like post', {
+                extensions: { code: 'POST_LIKE_FAILED' }
+            });
+        }
+    },
+
+    async unlikeCommunityPost(postId, userId) {
+        const post = await this.getVisiblePost(postId, userId);
+
+        const transaction = await sequelize.transaction();
+        try {
+            const removed = await PostLike.destroy({ where: { postId, userId }, transaction });
+            if (removed) {
+                await CommunityPost.decrement('likesCount', {
+                    where: { id: postId, likesCount: { [Op.gt]: 0 } },
+                    transaction
+                });
+            }
+
+            await transaction.commit();
+            return true;
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error unliking post:', error);
+            throw new GraphQLError('Failed to unlike post', {
+                extensions: { code: 'POST_UNLIKE_FAILED' }
+            });
+        }
+    },
+
+    // Polls
+    buildPollDetails(input) {
+        if (!input) {
+            throw new GraphQLError('Poll posts need poll details', {
+                extensions: { code: 'INVALID_INPUT', field: 'pollDetails' }
+            });
+        }
+
+        const texts = (input.options || []).map(text => text?.trim()).filter(Boolean);
+        if (texts.length < POLL_MIN_OPTIONS || texts.length > POLL_MAX_OPTIONS) {
+            throw new GraphQLError(`A poll needs between ${POLL_MIN_OPTIONS} and ${POLL_MAX_OPTIONS} options`, {
+                extensions: { code: 'INVALID_INPUT', field: 'options' }
+            });
+        }
+        if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+            throw new GraphQLError('Poll options must be unique', {
+                extensions: { code: 'INVALID_INPUT', field: 'options' }
+            });
+        }
+
+        let closesAt = null;
+        if (input.closesAt) {
+            const date = new Date(input.closesAt);
+            if (Number.isNaN(date.getTime()) || date <= new Date()) {
+                throw new GraphQLError('Poll close time must be in the future', {
+                    extensions: { code: 'INVALID_INPUT', field: 'closesAt' }
+                });
+            }
+            closesAt = date.toISOString();
+        }
+
+        return {
+            options: texts.map(text => ({ id: crypto.randomUUID(), text })),
+            mode: input.mode || 'SINGLE',
+            closesAt,
+            isAnonymous: !!input.isAnonymous,
+            resultsAfterVote: !!input.resultsAfterVote
+        };
+    },
+
+    // Once votes exist the options, mode and anonymity are frozen so no vote changes meaning
+    async rebuildPollDetails(post, input) {
+        const current = post.pollDetails || {};
+        const next = this.buildPollDetails(input);
+
+        const existingIds = new Map((current.options || []).map(option => [option.text, option.id]));
+        next.options = next.options.map(option => ({ ...option, id: existingIds.get(option.text) || option.id }));
+
+        const hasVotes = (await PollVote.count({ where: { postId: post.id } })) > 0;
+        if (hasVotes) {
+            const sameOptions = next.options.length === (current.options || []).length
+                && next.options.every((option, i) => option.id === current.options[i].id);
+            if (!sameOptions || next.mode !== current.mode || next.isAnonymous !== current.isAnonymous) {
+                throw new GraphQLError('Options, mode and anonymity cannot change once the poll has votes', {
+                    extensions: { code: 'POLL_HAS_VOTES' }
+                });
+            }
+        }
+
+        return next;
+    },
+
+    isPollClosed(pollDetails) {
+        return !!pollDetails?.closesAt && new Date(pollDetails.closesAt) <= new Date();
+    },
+
+    async getOpenPoll(postId, userId) {
+        const post = await this.getVisiblePost(postId, userId);
+        if (post.type !== 'POLL') {
+            throw new GraphQLError('Poll not found', {
+                extensions: { code: 'POLL_NOT_FOUND' }
+            });
+        }
+        this.checkPostPublished(post);
+        await this.checkMembershipAccess(post.communityId, userId);
+
+        if (this.isPollClosed(post.pollDetails)) {
+            throw new GraphQLError('This poll is closed', {
+                extensions: { code: 'POLL_CLOSED' }
+            });
+        }
+
+        return post;
+    },
+
+    async votePoll(postId, optionIds, userId) {
+        const post = await this.getOpenPoll(postId, userId);
+        const poll = post.pollDetails;
+
+        const selected = [...new Set(optionIds)];
+        const validIds = new Set(poll.options.map(option => option.id));
+        if (selected.length === 0 || selected.some(id => !validIds.has(id))) {
+            throw new GraphQLError('Choose one of the poll options', {
+                extensions: { code: 'INVALID_INPUT', field: 'optionIds' }
+            });
+        }
+        if (poll.mode === 'SINGLE' && selected.length > 1) {
+            throw new GraphQLError('This poll allows only one choice', {
+                extensions: { code: 'INVALID_INPUT', field: 'optionIds' }
+            });
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            // Serializes votes on the poll, so two requests from the same user can't both
+            // clear the old vote and then each insert theirs
+            await CommunityPost.findByPk(postId, {
+                attributes: ['id'],
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            await PollVote.destroy({ where: { postId, userId }, transaction });
+            await PollVote.bulkCreate(
+                selected.map(optionId => ({ postId, userId, optionId })),
+                { transaction }
+            );
+
+            await transaction.commit();
+            return post;
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error voting in poll:', error);
+            throw new GraphQLError('Failed to record vote', {
+                extensions: { code: 'POLL_VOTE_FAILED' }
+            });
+        }
+    },
+
+    async retractVote(postId, userId) {
+        const post = await this.getOpenPoll(postId, userId);
+
+        const removed = await PollVote.destroy({ where: { postId, userId } });
+        if (!removed) {
+            throw new GraphQLError('You have not voted in this poll', {
+                extensions: { code: 'VOTE_NOT_FOUND' }
+            });
+        }
+
+        return post;
+    },
+
+    async getMyPollVotes(postId, userId) {
+        if (!userId) return [];
+        const votes = await PollVote.findAll({ where: { postId, userId }, attributes: ['optionId'] });
+        return votes.map(vote => vote.optionId);
+    },
+
+    // Results stay hidden from members who haven't voted when the author asked for it, until the poll closes
+    async getPollResults(post, userId) {
+        const poll = post.pollDetails || {};
+
+        if (poll.resultsAfterVote && !this.isPollClosed(poll) && post.authorId !== userId) {
+            const hasVoted = (await this.getMyPollVotes(post.id, userId)).length > 0;
+            if (!hasVoted && !(await this.isModerator(post.communityId, userId))) return null;
+        }
+
+        const counts = await PollVote.findAll({
+            where: { postId: post.id },
+            attributes: ['optionId', [sequelize.fn('COUNT', sequelize.col('id')), 'votesCount']],
+            group: ['optionId'],
+            raw: true
+        });
+        const countByOption = new Map(counts.map(row => [row.optionId, Number(row.votesCount)]));
+        const totalVoters = await PollVote.count({ where: { postId: post.id }, distinct: true, col: 'userId' });
+
+        return {
+            totalVoters,
+            options: (poll.options || []).map(option => {
+                const votesCount = countByOption.get(option.id) || 0;
+                return {
+                    option,
+                    votesCount,
+                    percentage: totalVoters ? Math.round((votesCount / totalVoters) * 1000) / 10 : 0,
+                    postId: post.id,
+                    isAnonymous: !!poll.isAnonymous
+                };
+            })
+        };
+    },
+
+    async getPollVoters(postId, optionId, limit) {
+        const votes = await PollVote.findAll({
+            where: { postId, optionId },
+            include: [{ model: User, as: 'user' }],
+            order: [['createdAt', 'ASC']],
+            limit
+        });
+        return votes.map(vote => vote.user).filter(Boolean);
+    },
+
+    async checkWallAccess(communityId, userId) {
+        const community = await Community.findByPk(communityId, { attributes: ['id', 'isPrivate'] });
+        if (!community) {
+            throw new GraphQLError('Community not found', {
+                extensions: { code: 'COMMUNITY_NOT_FOUND' }
+            });
+        }
+
+        const membership = await CommunityMember.findOne({
+            where: { communityId, userId },
+            attributes: ['status']
+        });
+
+        if (membership?.status === 'BANNED') {
+            throw new GraphQLError('You have been banned from this community', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        if (community.isPrivate && membership?.status !== 'APPROVED') {
+            throw new GraphQLError('Join this community to view its wall', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        return community;
+    },
+
+    // Communities whose owner was purged without a successor stay readable but accept no new activity
+    checkNotArchived(community) {
+        if (community.isArchived) {
+            throw new GraphQLError('This community has been archived', {
+                extensions: { code: 'COMMUNITY_ARCHIVED' }
+            });
+        }
+    },
+
+    async checkPostAccess(communityId, userId) {
+        const community = await Community.findByPk(communityId, { attributes: ['id', 'settings', 'isArchived'] });
+        if (!community) {
+            throw new GraphQLError('Community not found', {
+                extensions: { code: 'COMMUNITY_NOT_FOUND' }
+            });
+        }
+        this.checkNotArchived(community);
+
+        const membership = await CommunityMember.findOne({
+            where: { communityId, userId, status: 'APPROVED' },
+            attributes: ['role']
+        });
+
+        if (!membership) {
+            throw new GraphQLError('Only community members can post', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        if (!community.settings?.allowMemberPosts && membership.role === 'MEMBER') {
+            throw new GraphQLError('Only community staff can post in this community', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        return membership;
+    },
+
+    // Paid posts are only visible to their author, community staff and attendees who paid.
+    // Posts awaiting moderation are only visible to their author and community staff.
+    async buildPostVisibilityWhere(communityId, userId) {
+        if (await this.isModerator(communityId, userId)) {
+            return this.staffPostVisibility(userId);
+        }
+
+        const paidRegistrations = await EventRegistration.findAll({
+            where: { userId, paymentStatus: 'COMPLETED' },
+            attributes: ['postId'],
+            include: [{ model: CommunityPost, as: 'post', attributes: [], where: { communityId } }],
+            raw: true
+        });
+
+        return this.memberPostVisibility(userId, paidRegistrations.map(r => r.postId));
+    },
+
+    // Same rules as buildPostVisibilityWhere across every community the user can read:
+    // public ones and those they belong to, minus any they are banned from
+    async buildSearchVisibilityWhere(userId) {
+        const memberships = await CommunityMember.findAll({
+            where: { userId },
+            attributes: ['communityId', 'role', 'status'],
+            raw: true
+        });
+        const communityIds = (test) => memberships.filter(test).map(m => m.communityId);
+        const joinedIds = communityIds(m => m.status === 'APPROVED');
+        const staffIds = communityIds(m => m.status === 'APPROVED' && ['OWNER', 'ADMIN', 'MODERATOR'].includes(m.role));
+        const bannedIds = communityIds(m => m.status === 'BANNED');
+
+        const paidRegistrations = await EventRegistration.findAll({
+            where: { userId, paymentStatus: 'COMPLETED' },
+            attributes: ['postId'],
+            raw: true
+        });
+
+        const conditions = [
+            { [Op.or]: [{ '$community.isPrivate$': false }, { communityId: { [Op.in]: joinedIds } }] },
+            {
+                [Op.or]: [
+                    { [Op.and]: [{ communityId: { [Op.in]: staffIds } }, this.staffPostVisibility(userId)] },
+                    this.memberPostVisibility(userId, paidRegistrations.map(r => r.postId))
+                ]
+            }
+        ];
+        if (bannedIds.length > 0) {
+            conditions.push({ communityId: { [Op.notIn]: bannedIds } });
+        }
+
+        return { [Op.and]: conditions };
+    },
+
+    // Rejected posts drop off the wall, staff review them through the moderation queue
+    staffPostVisibility(userId) {
+        return { [Op.or]: [{ isApproved: true }, { rejectedAt: null }, { authorId: userId }] };
+    },
+
+    memberPostVisibility(userId, paidPostIds) {
+        return {
+            [Op.and]: [
+                { [Op.or]: [{ isApproved: true }, { authorId: userId }] },
+                {
+                    [Op.or]: [
+                        { isPaid: false },
+                        { authorId: userId },
+                        { id: { [Op.in]: paidPostIds } }
+                    ]
+                }
+            ]
+        };
+    },
+
+    async canViewPost(post, userId) {
+        if (post.authorId === userId) return true;
+        if (post.isApproved && !post.isPaid) return true;
+        if (await this.isModerator(post.communityId, userId)) return true;
+        if (!post.isApproved) return false;
+
+        const registration = await EventRegistration.findOne({
+            where: { postId: post.id, userId, paymentStatus: 'COMPLETED' },
+            attributes: ['id']
+        });
+        return !!registration;
+    },
+  
+    async checkAdminAccess(communityId, userId) {
+        if (!(await this.isAdmin(communityId, userId))) {
+            throw new GraphQLError('Insufficient permissions', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+    },
+
+    async checkModeratorAccess(communityId, userId) {
+        if (!(await this.isModerator(communityId, userId))) {
+            throw new GraphQLError('Insufficient permissions', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+    },
+
+    async checkMembershipAccess(communityId, userId) {
+        const membership = await CommunityMember.findOne({
+            where: { communityId, userId, status: 'APPROVED' },
+            attributes: ['id', 'role']
+        });
+
+        if (!membership) {
+            throw new GraphQLError('Only community members can access this', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        return membership;
+    },
+  
+    async checkOwnerAccess(communityId, userId) {
+        const community = await Community.findByPk(communityId, { attributes: ['id', 'ownerId'] });
+        if (!community || community.ownerId !== userId) {
+            throw new GraphQLError('Only the community owner can perform this action', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+    },
+  
+    async getMembershipStatus(communityId, userId) {
+      const membership = await CommunityMember.findOne({
+        where: { userId, communityId }
+      });
+      
+      if (!membership) return 'NOT_MEMBER';
+      
+      switch (membership.status) {
+        case 'APPROVED': return 'MEMBER';
+        case 'PENDING': return 'PENDING';
+        case 'REJECTED': return 'REJECTED';
+        case 'BANNED': return 'BANNED';
+        default: return 'NOT_MEMBER';
+      }
+    },
+
+    async getCommunityStaff(communityId, role) {
+        const memberships = await CommunityMember.findAll({
+            where: { communityId, role, status: 'APPROVED' },
+            include: [{ model: User, as: 'user' }]
+        });
+        return memberships.map(m => m.user).filter(Boolean);
+    },
+
+    async isLikedByUser(postId, userId) {
+        if (!userId) return false;
+        const like = await PostLike.findOne({ where: { postId, userId }, attributes: ['id'] });
+        return !!like;
+    },
+
+    async isBookmarkedByUser(postId, userId) {
+        if (!userId) return false;
+        const bookmark = await PostBookmark.findOne({ where: { postId, userId }, attributes: ['id'] });
+        return !!bookmark;
+    },
+
+    async isRegisteredForEvent(postId, userId) {
+        if (!userId) return false;
+        const registration = await EventRegistration.findOne({ where: { postId, userId }, attributes: ['id'] });
+        return !!registration;
+    },
+
+    async isAdmin(communityId, userId) {
+        if (!userId) return false;
+
+        const membership = await CommunityMember.findOne({
+            where: {
+                communityId,
+                userId,
+                status: 'APPROVED',
+                role: { [Op.in]: ['OWNER', 'ADMIN'] }
+            }
+        });
+
+        return !!membership;
+    },
+
+    async isModerator(communityId, userId) {
+        if (!userId) return false;
+
+        const membership = await CommunityMember.findOne({
+            where: {
+                communityId,
+                userId,
+                status: 'APPROVED',
+                role: { [Op.in]: ['OWNER', 'ADMIN', 'MODERATOR'] }
+            }
+        });
+
+        return !!membership;
+    },
+
+    async canPost(communityId, userId) {
+        if (!userId) return false;
+
+        try {
+            await this.checkPostAccess(communityId, userId);
+            return true;
+        } catch {
+            return false;
+        }
+    },
+
+    async canCreateEvents(communityId, userId) {
+        if (!userId) return false;
+
+        const community = await Community.findByPk(communityId);
+        if (!community) return false;
+
+        const membership = await CommunityMember.findOne({
+            where: {
+                communityId,
+                userId,
+                status: 'APPROVED'
+            }
+        });
+
+        if (!membership) return false;
+
+        // Check community settings
+        if (!community.settings.allowMemberEvents &&
+            !['OWNER', 'ADMIN'].includes(membership.role)) {
+            return false;
+        }
+
+        return true;
+    },
+
+    validateSearchQuery(query) {
+        const text = query?.trim();
+        if (!text) {
+            throw new GraphQLError('Search query cannot be empty', {
+                extensions: { code: 'INVALID_INPUT', field: 'query' }
+            });
+        }
+        if (text.length > MAX_QUERY_LENGTH) {
+            throw new GraphQLError(`Search query must be less than ${MAX_QUERY_LENGTH} characters`, {
+                extensions: { code: 'INVALID_INPUT', field: 'query' }
+            });
+        }
+        return text;
+    },
+
+    async searchCommunities({ userId, query, limit, cursor, filters }) {
+        const text = this.validateSearchQuery(query);
+        try {
+            const tsQuery = toTsQuery(text);
+            // Communities tagged with a matching interest are found even when their own text doesn't match
+            const matchingInterests = await Interest.findAll({
+                where: sequelize.where(sequelize.fn('to_tsvector', SEARCH_CONFIG, sequelize.col('name')), Op.match, tsQuery),
+                attributes: ['id'],
+                raw: true
+            });
+            const interestMatchIds = await this.getCommunityIdsForInterests(matchingInterests.map(i => i.id));
+
+            const conditions = await this.buildCommunityFilterConditions(userId, filters);
+            conditions.push({
+                [Op.or]: [
+                    { searchVector: { [Op.match]: tsQuery } },
+                    { id: { [Op.in]: interestMatchIds } }
+                ]
+            });
+
+            const result = await this.rankedSearch({
+                model: Community,
+                where: { [Op.and]: conditions },
+                tsQuery,
+                vectorColumn: 'Community.searchVector',
+                snippetColumn: 'Community.description',
+                limit,
+                cursor
+            });
+            const communities = await this.findCommunitiesInOrder(result.rows.map(row => row.id));
+
+            return this.toSearchConnection(result, communities, cursor);
+        } catch (error) {
+            console.error('Error searching communities:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to search communities', {
+                extensions: { code: 'SEARCH_COMMUNITIES_FAILED' }
+            });
+        }
+    },
+
+    // Searches one community's wall, or every community the user can read when communityId is left out
+    async searchPosts({ userId, query, communityId, postType, limit, cursor }) {
+        const text = this.validateSearchQuery(query);
+        if (communityId) {
+            await this.checkWallAccess(communityId, userId);
+        }
+
+        try {
+            const tsQuery = toTsQuery(text);
+            const conditions = [{ isArchived: false, searchVector: { [Op.match]: tsQuery } }];
+            if (communityId) {
+                conditions.push({ communityId }, await this.buildPostVisibilityWhere(communityId, userId));
+            } else {
+                conditions.push(await this.buildSearchVisibilityWhere(userId));
+            }
+            if (postType) {
+                conditions.push({ type: postType });
+            }
+
+            const result = await this.rankedSearch({
+                model: CommunityPost,
+                where: { [Op.and]: conditions },
+                tsQuery,
+                vectorColumn: 'CommunityPost.searchVector',
+                snippetColumn: 'CommunityPost.content',
+                limit,
+                cursor,
+                include: communityId ? [] : [{ model: Community, as: 'community', attributes: [] }]
+            });
+            const posts = await this.findPostsInOrder(result.rows.map(row => row.id));
+
+            return this.toSearchConnection(result, posts, cursor);
+        } catch (error) {
+            console.error('Error searching posts:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to search posts', {
+                extensions: { code: 'SEARCH_POSTS_FAILED' }
+            });
+        }
+    },
+    
     async getCommunityMembers({ communityId, limit, cursor, role, status }) {
         try {
-          let query = CommunityMember.find({ communityId });
-    
-          if (role) {
-            query = query.where('role').equals(role);
-          }
-    
-          if (status) {
-            query = query.where('status').equals(status);
-          }
-    
-          if (cursor) {
-            const decodedCursor = Buffer.from(cursor, 'base64').toString('ascii');
-            const cursorData = JSON.parse(decodedCursor);
-            query = query.where('_id').gt(cursorData.id);
-          }
-    
-          query = query
-            .sort({ joinedAt: -1 })
-            .limit(limit + 1)
-            .populate('userId', 'name profileImageUrl bio');
-    
-          const members = await query.exec();
-          
-          const hasNextPage = members.length > limit;
-          const edges = members.slice(0, limit).map(member => ({
-            node: member,
-            cursor: Buffer.from(JSON.stringify({ id: member._id })).toString('base64')
-          }));
-    
-          const totalCount = await CommunityMember.countDocuments({ 
-            communityId,
-            ...(role && { role }),
-            ...(status && { status })
-          });
-    
-          return {
-            edges,
-            pageInfo: {
-              hasNextPage,
-              hasPreviousPage: !!cursor,
-              totalCount,
-              cursor: hasNextPage ? edges[edges.length - 1].cursor : null
+          let query = CommunityMember.find({ communityId });
+    
+          if (role) {
+            query = query.where('role').equals(role);
+          }
+    
+          if (status) {
+            query = query.where('status').equals(status);
+          }
+    
+          if (cursor) {
+            const decodedCursor = Buffer.from(cursor, 'base64').toString('ascii');
+            const cursorData = JSON.parse(decodedCursor);
+            query = query.where('_id').gt(cursorData.id);
+          }
+    
+          query = query
+            .sort({ joinedAt: -1 })
+            .limit(limit + 1)
+            .populate('userId', 'name profileImageUrl bio');
+    
+          const members = await query.exec();
+          
+          const hasNextPage = members.length > limit;
+          const edges = members.slice(0, limit).map(member => ({
+            node: member,
+            cursor: Buffer.from(JSON.stringify({ id: member._id })).toString('base64')
+          }));
+    
+          const totalCount = await CommunityMember.countDocuments({ 
+            communityId,
+            ...(role && { role }),
+            ...(status && { status })
+          });
+    
+          return {
+            edges,
+            pageInfo: {
+              hasNextPage,
+              hasPreviousPage: !!cursor,
+              totalCount,
+              cursor: hasNextPage ? edges[edges.length - 1].cursor : null
+            }
+          };
+        } catch (error) {
+          console.error('Error fetching community members:', error);
+          throw new Error('Failed to fetch community members');
+        }
+    },
+    
+    async getTrendingCommunities({ userId, limit, timeframe }) {
+        try {
+            const timeframeDate = new Date();
+            switch (timeframe) {
+                case 'day':
+                    timeframeDate.setDate(timeframeDate.getDate() - 1);
+                    break;
+                case 'week':
+                    timeframeDate.setDate(timeframeDate.getDate() - 7);
+                    break;
+                case 'month':
+                    timeframeDate.setMonth(timeframeDate.getMonth() - 1);
+                    break;
+                default:
+                    timeframeDate.setDate(timeframeDate.getDate() - 7);
+            }
+
+            // Calculate trending score based on recent activity
+            const since = sequelize.escape(timeframeDate.toISOString());
+            const trendingScore = sequelize.literal(`(
+                (SELECT COUNT(*) FROM "CommunityPosts" AS p
+                    WHERE p."communityId" = "Community"."id" AND p."createdAt" >= ${since}) * 2
+                + (SELECT COUNT(*) FROM "CommunityMembers" AS m
+                    WHERE m."communityId" = "Community"."id" AND m."status" = 'APPROVED' AND m."joinedAt" >= ${since}) * 5
+                + "Community"."memberCount" / 10.0
+            )`);
+
+            const scored = await Community.findAll({
+                attributes: ['id', [trendingScore, 'trendingScore']],
+                where: {
+                    isPrivate: false,
+                    isArchived: false,
+                    [Op.and]: [sequelize.where(trendingScore, { [Op.gt]: 0 })]
+                },
+                order: [[sequelize.literal('"trendingScore"'), 'DESC'], ['id', 'DESC']],
+                limit,
+                raw: true
+            });
+
+            return await this.findCommunitiesInOrder(scored.map(row => row.id));
+        } catch (error) {
+            console.error('Error fetching trending communities:', error);
+            throw new GraphQLError('Failed to fetch trending communities', {
+                extensions: { code: 'TRENDING_COMMUNITIES_FAILED' }
+            });
+        }
+    },
+
+    async getRecommendedCommunities({ userId, limit }) {
+        try {
+            const userInterests = await UserInterest.findAll({
+                where: { userId },
+                attributes: ['interestId'],
+                raw: true
+            });
+            const userInterestIds = userInterests.map(ui => ui.interestId);
+            if (userInterestIds.length === 0) return [];
+
+            // Get communities user is not already a member of
+            const excludedIds = await this.getUserCommunityIds(userId, ['APPROVED', 'PENDING']);
+            const candidateIds = await this.getCommunityIdsForInterests(userInterestIds);
+
+            const interestList = userInterestIds.map(id => sequelize.escape(id)).join(', ');
+            const relevanceScore = sequelize.literal(`(
+                (SELECT COUNT(*) FROM "CommunityInterests" AS ci
+                    WHERE ci."communityId" = "Community"."id" AND ci."interestId" IN (${interestList})) * 10
+                + "Community"."memberCount" / 100.0
+                + CASE WHEN "Community"."isPaid" = false THEN 5 ELSE 0 END
+            )`);
+
+            const scored = await Community.findAll({
+                attributes: ['id', [relevanceScore, 'relevanceScore']],
+                where: {
+                    isPrivate: false,
+                    isArchived: false,
+                    [Op.and]: [
+                        { id: { [Op.in]: candidateIds } },
+                        { id: { [Op.notIn]: excludedIds } }
+                    ]
+                },
+                order: [[sequelize.literal('"relevanceScore"'), 'DESC'], ['memberCount', 'DESC']],
+                limit,
+                raw: true
+            });
+
+            return await this.findCommunitiesInOrder(scored.map(row => row.id));
+        } catch (error) {
+            console.error('Error fetching recommended communities:', error);
+            throw new GraphQLError('Failed to fetch recommended communities', {
+                extensions: { code: 'RECOMMENDED_COMMUNITIES_FAILED' }
+            });
+        }
+    },
+
+    // Recurring events take registrations for a single date (occurrenceDate) or for the whole series
+    async registerForEvent(postId, userId, occurrenceDate = null) {
+        const transaction = await sequelize.transaction();
+        let ticketCode;
+        try {
+            const { post, occurrence } = await this.findEventForRegistration(postId, userId, transaction, occurrenceDate);
+
+            if (this.isPaidEvent(post)) {
+                throw new GraphQLError('This event requires a ticket, start a checkout to register', {
+                    extensions: { code: 'PAYMENT_REQUIRED' }
+                });
+            }
+
+            ({ ticketCode } = await this.addEventRegistration(post, userId, {
+                occurrenceStart: occurrence?.occurrenceStart
+            }, transaction));
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error registering for event:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to register for event', {
+                extensions: { code: 'EVENT_REGISTRATION_FAILED' }
+            });
+        }
+
+        // Send confirmation notification
+        await this.sendEventRegistrationConfirmation(userId, postId, ticketCode);
+
+        return true;
+    },
+
+    isPaidEvent(post) {
+        return post.eventDetails?.ticketPrice > 0;
+    },
+
+    // Loads the event (row-locked when a transaction is given) and checks the user may still register
+    async findEventForRegistration(postId, userId, transaction, occurrenceDate = null) {
+        const post = await CommunityPost.findByPk(postId, {
+            ...(transaction && { lock: transaction.LOCK.UPDATE, transaction })
+        });
+        if (!post || post.type !== 'EVENT' || post.isArchived || !post.isApproved) {
+            throw new GraphQLError('Event not found', {
+                extensions: { code: 'EVENT_NOT_FOUND' }
+            });
+        }
+
+        await this.checkWallAccess(post.communityId, userId);
+        const occurrence = this.findEventOccurrence(post, occurrenceDate);
+        await this.checkEventOpen(post, userId, transaction, occurrence);
+
+        return { post, occurrence };
+    },
+
+    async checkEventOpen(post, userId, transaction, occurrence = null) {
+        const eventDetails = post.eventDetails || {};
+
+        if (recurrence.isRecurring(eventDetails)) {
+            await this.checkOccurrenceOpen(post, userId, occurrence, transaction);
+        } else {
+            // Check if user is already registered
+            const existingRegistration = await EventRegistration.findOne({
+                where: { userId, postId: post.id },
+                transaction
+            });
+
+            if (existingRegistration) {
+                throw new GraphQLError('User already registered for this event', {
+                    extensions: { code: 'ALREADY_REGISTERED' }
+                });
+            }
+
+            // Check if event has reached max capacity; spots held for waitlist offers count as taken,
+            // except for the user holding the offer
+            if (eventDetails.maxAttendees && !(await this.hasActiveWaitlistOffer(post.id, userId, transaction))) {
+                const heldOffers = await this.countActiveWaitlistOffers(post.id, transaction);
+                if ((eventDetails.registrationCount || 0) + heldOffers >= eventDetails.maxAttendees) {
+                    throw new GraphQLError('Event has reached maximum capacity, join the waitlist instead', {
+                        extensions: { code: 'EVENT_FULL', waitlistAvailable: true }
+                    });
+                }
+            }
+        }
+
+        // Check registration deadline
+        if (eventDetails.registrationDeadline &&
+            new Date() > new Date(eventDetails.registrationDeadline)) {
+            throw new GraphQLError('Registration deadline has passed', {
+                extensions: { code: 'REGISTRATION_CLOSED' }
+            });
+        }
+    },
+
+    // Expects `post` to be locked by the caller's transaction
+    async addEventRegistration(post, userId, { paymentId = null, occurrenceStart = null }, transaction) {
+        const eventDetails = post.eventDetails || {};
+        const id = crypto.randomUUID();
+        const ticketCode = this.generateTicketCode(id, post.id);
+
+        const registration = await EventRegistration.create({
+            id,
+            userId,
+            postId: post.id,
+            occurrenceStart,
+            paymentStatus: 'COMPLETED',
+            paymentId,
+            ticketCode
+        }, { transaction });
+
+        // Update registration count
+        await post.update({
+            eventDetails: { ...eventDetails, registrationCount: (eventDetails.registrationCount || 0) + 1 }
+        }, { transaction });
+
+        await eventReminderService.scheduleForRegistration(registration, post, transaction);
+
+        await EventWaitlistEntry.update({ status: 'CLAIMED' }, {
+            where: { postId: post.id, userId, status: { [Op.in]: ['WAITING', 'OFFERED'] } },
+            transaction
+        });
+
+        return { registration, ticketCode };
+    },
+
+    // The freed spot goes to the waitlist; attendees who already checked in can't give theirs back.
+    // Whole-series registrations of recurring events can be cancelled for the dates still ahead.
+    async unregisterFromEvent(postId, userId, occurrenceDate = null) {
+        let post;
+        let promotions;
+        const transaction = await sequelize.transaction();
+        try {
+            post = await CommunityPost.findByPk(postId, {
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!post || post.type !== 'EVENT' || post.isArchived) {
+                throw new GraphQLError('Event not found', {
+                    extensions: { code: 'EVENT_NOT_FOUND' }
+                });
+            }
+
+            // Dates that were since cancelled can still be unregistered from
+            const occurrence = occurrenceDate && recurrence.isRecurring(post.eventDetails)
+                ? recurrence.findOccurrence(post.eventDetails, occurrenceDate)
+                : null;
+            const occurrenceStart = occurrence?.occurrenceStart || (occurrenceDate ? new Date(occurrenceDate) : null);
+
+            const registration = await EventRegistration.findOne({
+                where: { postId, userId, occurrenceStart },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!registration) {
+                throw new GraphQLError('You are not registered for this event', {
+                    extensions: { code: 'NOT_REGISTERED' }
+                });
+            }
+            const seriesRegistration = recurrence.isRecurring(post.eventDetails) && !occurrenceStart;
+            if (registration.checkInStatus === 'CHECKED_IN' && !seriesRegistration) {
+                throw new GraphQLError('You have already checked in to this event', {
+                    extensions: { code: 'ALREADY_CHECKED_IN' }
+                });
+            }
+
+            // Pending reminders go with the registration (ON DELETE CASCADE)
+            await registration.destroy({ transaction });
+
+            const eventDetails = post.eventDetails || {};
+            await post.update({
+                eventDetails: { ...eventDetails, registrationCount: Math.max((eventDetails.registrationCount || 0) - 1, 0) }
+            }, { transaction });
+
+            promotions = await this.promoteFromWaitlist(post, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error unregistering from event:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to unregister from event', {
+                extensions: { code: 'EVENT_UNREGISTRATION_FAILED' }
+            });
+        }
+
+        await this.notifyWaitlistPromotions(post, promotions);
+        return true;
+    },
+
+    // Online links end up in calendar files and client links, so only plain http(s) URLs are accepted.
+    // Control characters are checked on the raw value: the URL parser would silently drop line breaks.
+    checkOnlineLink(value) {
+        if (value == null) return;
+
+        let url = null;
+        if (typeof value === 'string' && value.length <= ONLINE_LINK_MAX_LENGTH && !/[\u0000-\u001f\u007f]/.test(value)) {
+            try {
+                url = new URL(value);
+            } catch (error) {
+                url = null;
+            }
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            throw new GraphQLError('Online link must be an http or https URL', {
+                extensions: { code: 'INVALID_INPUT', field: 'onlineLink' }
+            });
+        }
+    },
+
+    // Recurring events
+    // Validates eventDetails.recurrence; changes made to single dates (`overrides`) carry over from
+    // the current rule for as long as their date is still part of the series
+    buildRecurrence(eventDetails, currentRecurrence = null) {
+        const input = eventDetails?.recurrence;
+        if (!input) return null;
+
+        const startDate = new Date(eventDetails.startDate);
+        if (Number.isNaN(startDate.getTime())) {
+            throw new GraphQLError('Event start date is not valid', {
+                extensions: { code: 'INVALID_INPUT', field: 'startDate' }
+            });
+        }
+
+        const interval = input.interval ?? 1;
+        if (!Number.isInteger(interval) || interval < 1 || interval > RECURRENCE_MAX_INTERVAL) {
+            throw new GraphQLError(`Recurrence interval must be between 1 and ${RECURRENCE_MAX_INTERVAL}`, {
+                extensions: { code: 'INVALID_INPUT', field: 'interval' }
+            });
+        }
+        if (input.until && input.count) {
+            throw new GraphQLError('A recurring event ends either on a date or after a number of occurrences, not both', {
+                extensions: { code: 'INVALID_INPUT', field: 'recurrence' }
+            });
+        }
+        if (input.count != null && (!Number.isInteger(input.count) || input.count < 1 || input.count > RECURRENCE_MAX_COUNT)) {
+            throw new GraphQLError(`Occurrence count must be between 1 and ${RECURRENCE_MAX_COUNT}`, {
+                extensions: { code: 'INVALID_INPUT', field: 'count' }
+            });
+        }
+
+        let until = null;
+        if (input.until) {
+            const date = new Date(input.until);
+            if (Number.isNaN(date.getTime()) || date <= startDate) {
+                throw new GraphQLError('Recurrence end must be after the event starts', {
+                    extensions: { code: 'INVALID_INPUT', field: 'until' }
+                });
+            }
+            until = date.toISOString();
+        }
+
+        // Edits that leave the time zone out keep the current one
+        const timezone = input.timezone ?? currentRecurrence?.timezone ?? 'UTC';
+        if (!normalizeTimeZone(timezone)) {
+            throw new GraphQLError('Time zone must be an IANA time zone such as Europe/Berlin', {
+                extensions: { code: 'INVALID_INPUT', field: 'timezone' }
+            });
+        }
+
+        const rule = {
+            frequency: input.frequency,
+            interval,
+            until,
+            count: input.count || null,
+            timezone: normalizeTimeZone(timezone),
+            exceptions: [],
+            overrides: {}
+        };
+        const withRule = { ...eventDetails, recurrence: rule };
+
+        const exceptions = [...new Set((input.exceptions || []).map((value) => new Date(value)).map((date) => {
+            if (Number.isNaN(date.getTime()) || !recurrence.isGeneratedStart(withRule, date)) {
+                throw new GraphQLError('Exceptions must be dates the event takes place on', {
+                    extensions: { code: 'INVALID_INPUT', field: 'exceptions' }
+                });
+            }
+            return recurrence.occurrenceKey(date);
+        }))];
+        if (exceptions.length > RECURRENCE_MAX_EXCEPTIONS) {
+            throw new GraphQLError(`A recurring event can have at most ${RECURRENCE_MAX_EXCEPTIONS} exceptions`, {
+                extensions: { code: 'INVALID_INPUT', field: 'exceptions' }
+            });
+        }
+
+        rule.exceptions = exceptions;
+        rule.overrides = Object.fromEntries(Object.entries(currentRecurrence?.overrides || {})
+            .filter(([key]) => !exceptions.includes(key) && recurrence.isGeneratedStart(withRule, new Date(key))));
+
+        return rule;
+    },
+
+    // Everything that decides when an event's dates are, to tell when reminders need rescheduling
+    eventScheduleKey(post) {
+        const startsAt = eventReminderService.getStartTime(post);
+        return JSON.stringify([startsAt?.getTime() ?? null, post.eventDetails?.recurrence || null]);
+    },
+
+    parseOccurrenceDate(value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new GraphQLError('Occurrence date is not valid', {
+                extensions: { code: 'INVALID_INPUT', field: 'occurrenceDate' }
+            });
+        }
+        return date;
+    },
+
+    // The occurrence a date refers to; null when no date is given, i.e. for the whole event
+    findEventOccurrence(post, occurrenceDate) {
+        if (!occurrenceDate) return null;
+        if (!recurrence.isRecurring(post.eventDetails)) {
+            throw new GraphQLError('This event does not repeat', {
+                extensions: { code: 'INVALID_INPUT', field: 'occurrenceDate' }
+            });
+        }
+
+        const occurrence = recurrence.findOccurrence(post.eventDetails, this.parseOccurrenceDate(occurrenceDate));
+        if (!occurrence) {
+            throw new GraphQLError('The event does not take place on this date', {
+                extensions: { code: 'OCCURRENCE_NOT_FOUND' }
+            });
+        }
+        return occurrence;
+    },
+
+    // Recurring events have no waitlist; capacity applies to every date on its own
+    async checkOccurrenceOpen(post, userId, occurrence, transaction) {
+        const registrations = await EventRegistration.findAll({
+            where: { userId, postId: post.id },
+            attributes: ['occurrenceStart'],
+            transaction
+        });
+        if (registrations.some((registration) => !registration.occurrenceStart)) {
+            throw new GraphQLError('User already registered for every date of this event', {
+                extensions: { code: 'ALREADY_REGISTERED' }
+            });
+        }
+        if (!occurrence && registrations.length > 0) {
+            throw new GraphQLError('Unregister from individual dates before registering for the whole series', {
+                extensions: { code: 'ALREADY_REGISTERED' }
+            });
+        }
+        if (occurrence && registrations.some((registration) =>
+            registration.occurrenceStart.getTime() === occurrence.occurrenceStart.getTime())) {
+            throw new GraphQLError('User already registered for this date', {
+                extensions: { code: 'ALREADY_REGISTERED' }
+            });
+        }
+
+        if (occurrence && occurrence.startDate <= new Date()) {
+            throw new GraphQLError('This date of the event has already started', {
+                extensions: { code: 'REGISTRATION_CLOSED' }
+            });
+        }
+        if (!occurrence && recurrence.expandOccurrences(post.eventDetails, { from: new Date(), limit: 1 }).length === 0) {
+            throw new GraphQLError('This event series has ended', {
+                extensions: { code: 'REGISTRATION_CLOSED' }
+            });
+        }
+
+        const { maxAttendees } = post.eventDetails;
+        if (maxAttendees && (await this.countRegistrations(post, occurrence, transaction)) >= maxAttendees) {
+            throw new GraphQLError(occurrence ? 'This date of the event is full' : 'This event series is full', {
+                extensions: { code: 'EVENT_FULL', waitlistAvailable: false }
+            });
+        }
+    },
+
+    // Spots taken on one date of a recurring event, or without `occurrence` on its busiest date still
+    // ahead; for other events this is the registration count
+    async countRegistrations(post, occurrence, transaction) {
+        const eventDetails = post.eventDetails || {};
+        if (!recurrence.isRecurring(eventDetails)) return eventDetails.registrationCount || 0;
+
+        const seriesCount = await EventRegistration.count({
+            where: { postId: post.id, occurrenceStart: null },
+            transaction
+        });
+        if (occurrence) {
+            return seriesCount + await EventRegistration.count({
+                where: { postId: post.id, occurrenceStart: occurrence.occurrenceStart },
+                transaction
+            });
+        }
+
+        const busiest = await EventRegistration.findOne({
+            where: { postId: post.id, occurrenceStart: { [Op.gte]: new Date() } },
+            attributes: [[sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            group: ['occurrenceStart'],
+            order: [[sequelize.literal('"count"'), 'DESC']],
+            raw: true,
+            transaction
+        });
+        return seriesCount + Number(busiest?.count || 0);
+    },
+
+    async checkNoDateRegistrations(post, transaction) {
+        const count = await EventRegistration.count({
+            where: { postId: post.id, occurrenceStart: { [Op.ne]: null } },
+            transaction
+        });
+        if (count > 0) {
+            throw new GraphQLError('The event cannot stop repeating while people are registered for individual dates', {
+                extensions: { code: 'INVALID_INPUT', field: 'recurrence' }
+            });
+        }
+    },
+
+    async adjustRegistrationCount(post, delta, transaction) {
+        const eventDetails = post.eventDetails || {};
+        await post.update({
+            eventDetails: { ...eventDetails, registrationCount: Math.max((eventDetails.registrationCount || 0) + delta, 0) }
+        }, { transaction });
+    },
+
+    /**
+     * Registrations for single dates follow their date when a series' schedule changes: the n-th date
+     * from `since` under the old schedule becomes the n-th date from `toSince` under the new one, on
+     * `toPost`. Dates the new schedule doesn't reach lose their registrations. Reminders are left
+     * to the caller.
+     */
+    async moveDateRegistrations({ fromPost, fromDetails, toPost, since, toSince = since }, transaction) {
+        const registrations = await EventRegistration.findAll({
+            where: { postId: fromPost.id, occurrenceStart: { [Op.gte]: since } },
+            order: [['occurrenceStart', 'ASC']],
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (registrations.length === 0) return { moved: 0, removed: 0 };
+
+        const last = registrations[registrations.length - 1].occurrenceStart;
+        const ordinals = new Map();
+        for (const start of recurrence.generateStarts(fromDetails, since)) {
+            if (start > last) break;
+            ordinals.set(start.getTime(), ordinals.size);
+        }
+
+        const targets = [];
+        if (recurrence.isRecurring(toPost.eventDetails)) {
+            const excluded = new Set(toPost.eventDetails.recurrence.exceptions);
+            for (const start of recurrence.generateStarts(toPost.eventDetails, toSince)) {
+                if (targets.length >= ordinals.size) break;
+                targets.push(excluded.has(recurrence.occurrenceKey(start)) ? null : start);
+            }
+        }
+
+        const samePost = fromPost.id === toPost.id;
+        const moves = [];
+        let removed = 0;
+        for (const registration of registrations) {
+            const target = targets[ordinals.get(registration.occurrenceStart.getTime())];
+            if (!target) {
+                await registration.destroy({ transaction });
+                removed += 1;
+            } else if (!samePost || target.getTime() !== registration.occurrenceStart.getTime()) {
+                moves.push({ registration, target });
+            }
+        }
+
+        // Within one event dates can trade places, so rows are parked on placeholder starts first
+        // to keep the unique (userId, postId, occurrenceStart) index from tripping halfway
+        if (samePost) {
+            for (const [index, { registration }] of moves.entries()) {
+                await registration.update({ occurrenceStart: new Date(index) }, { transaction });
+            }
+        }
+        for (const { registration, target } of moves) {
+            await registration.update({
+                postId: toPost.id,
+                occurrenceStart: target,
+                ticketCode: samePost ? registration.ticketCode : this.generateTicketCode(registration.id, toPost.id)
+            }, { transaction });
+        }
+
+        const moved = samePost ? 0 : moves.length;
+        if (removed + moved > 0) await this.adjustRegistrationCount(fromPost, -(removed + moved), transaction);
+        if (moved > 0) await this.adjustRegistrationCount(toPost, moved, transaction);
+
+        return { moved, removed };
+    },
+
+    // One-off events are returned as their single occurrence, so clients can treat every event alike
+    getEventOccurrences(eventDetails, { from, to, first }) {
+        const range = {
+            from: from ? this.parseOccurrenceDate(from) : new Date(),
+            to: to ? this.parseOccurrenceDate(to) : null,
+            limit: Math.min(Math.max(first || 0, 1), MAX_OCCURRENCES_PER_QUERY)
+        };
+
+        let occurrences;
+        if (recurrence.isRecurring(eventDetails)) {
+            occurrences = recurrence.expandOccurrences(eventDetails, range);
+        } else {
+            const startDate = new Date(eventDetails.startDate);
+            const inRange = startDate >= range.from && (!range.to || startDate < range.to);
+            occurrences = inRange ? [{
+                occurrenceStart: startDate,
+                startDate,
+                endDate: eventDetails.endDate ? new Date(eventDetails.endDate) : null,
+                location: eventDetails.location || null,
+                onlineLink: eventDetails.onlineLink || null,
+                agenda: eventDetails.agenda || null,
+                isModified: false
+            }] : [];
+        }
+
+        return occurrences.map((occurrence) => ({ ...occurrence, postId: eventDetails.postId }));
+    },
+
+    // Registrations that cover a date: the ones for that date and the whole-event ones
+    occurrenceRegistrationWhere(postId, occurrenceStart) {
+        return { postId, [Op.or]: [{ occurrenceStart: null }, { occurrenceStart }] };
+    },
+
+    async getOccurrenceRegistrationCount(postId, occurrenceStart) {
+        return EventRegistration.count({ where: this.occurrenceRegistrationWhere(postId, occurrenceStart) });
+    },
+
+    async getOccurrenceRegistration(postId, occurrenceStart, userId) {
+        if (!userId) return null;
+        return EventRegistration.findOne({
+            where: { ...this.occurrenceRegistrationWhere(postId, occurrenceStart), userId },
+            attributes: ['id', 'paymentStatus', 'ticketCode']
+        });
+    },
+
+    async findRecurringEventForAuthor(postId, userId, transaction) {
+        const post = await CommunityPost.findByPk(postId, {
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (!post || post.type !== 'EVENT' || post.isArchived) {
+            throw new GraphQLError('Event not found', {
+                extensions: { code: 'EVENT_NOT_FOUND' }
+            });
+        }
+        if (post.authorId !== userId) {
+            throw new GraphQLError('Only the author can edit this event', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+        this.checkPostPublished(post);
+        if (!recurrence.isRecurring(post.eventDetails)) {
+            throw new GraphQLError('This event does not repeat', {
+                extensions: { code: 'INVALID_INPUT' }
+            });
+        }
+        return post;
+    },
+
+    checkOccurrenceNotStarted(occurrence) {
+        if (occurrence.startDate <= new Date()) {
+            throw new GraphQLError('Dates that have already started cannot be changed', {
+                extensions: { code: 'OCCURRENCE_STARTED' }
+            });
+        }
+    },
+
+    // Fields left out of the input stay as they are; null clears location, link and agenda
+    buildOccurrenceChanges(input) {
+        const changes = {};
+        for (const field of ['startDate', 'endDate']) {
+            if (input[field] == null) continue;
+            const date = new Date(input[field]);
+            if (Number.isNaN(date.getTime())) {
+                throw new GraphQLError(`${field} is not a valid date`, {
+                    extensions: { code: 'INVALID_INPUT', field }
+                });
+            }
+            changes[field] = date.toISOString();
+        }
+        this.checkOnlineLink(input.onlineLink);
+        for (const field of ['location', 'onlineLink', 'agenda']) {
+            if (input[field] !== undefined) changes[field] = input[field];
+        }
+        return changes;
+    },
+
+    checkOccurrenceTimes({ startDate, endDate }) {
+        if (new Date(startDate) <= new Date()) {
+            throw new GraphQLError('Dates can only be moved into the future', {
+                extensions: { code: 'INVALID_INPUT', field: 'startDate' }
+            });
+        }
+        if (endDate && new Date(endDate) < new Date(startDate)) {
+            throw new GraphQLError('An event cannot end before it starts', {
+                extensions: { code: 'INVALID_INPUT', field: 'endDate' }
+            });
+        }
+    },
+
+    /**
+     * Edits a date of a recurring event the way calendar apps do. THIS_OCCURRENCE stores the changes
+     * as an override of that one date; THIS_AND_FOLLOWING ends the series before the date and
+     * continues it, changed, as a new event post (see splitEventSeries). Returns the post that now
+     * holds the date.
+     */
+    async updateEventOccurrence(postId, occurrenceDate, scope, input, userId) {
+        const changes = this.buildOccurrenceChanges(input);
+        if (scope === 'THIS_OCCURRENCE' && input.recurrence) {
+            throw new GraphQLError('Only changes to this and following dates can change how the event repeats', {
+                extensions: { code: 'INVALID_INPUT', field: 'recurrence' }
+            });
+        }
+
+        let post;
+        const transaction = await sequelize.transaction();
+        try {
+            post = await this.findRecurringEventForAuthor(postId, userId, transaction);
+            const occurrence = this.findEventOccurrence(post, occurrenceDate);
+            this.checkOccurrenceNotStarted(occurrence);
+
+            if (scope === 'THIS_OCCURRENCE') {
+                await this.overrideOccurrence(post, occurrence, changes, transaction);
+            } else {
+                post = await this.splitEventSeries(post, occurrence, changes, input.recurrence, transaction);
             }
-          };
+
+            await transaction.commit();
         } catch (error) {
-          console.error('Error fetching community members:', error);
-          throw new Error('Failed to fetch community members');
+            await transaction.rollback();
+            console.error('Error updating event occurrence:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to update event date', {
+                extensions: { code: 'EVENT_OCCURRENCE_UPDATE_FAILED' }
+            });
+        }
+
+        return await CommunityPost.findByPk(post.id, {
+            include: [
+                { model: User, as: 'author' },
+                { model: Community, as: 'community' }
+            ]
+        });
+    },
+
+    async overrideOccurrence(post, occurrence, changes, transaction) {
+        const eventDetails = post.eventDetails;
+        const rule = eventDetails.recurrence;
+        const key = recurrence.occurrenceKey(occurrence.occurrenceStart);
+        const nextDetails = {
+            ...eventDetails,
+            recurrence: { ...rule, overrides: { ...rule.overrides, [key]: { ...rule.overrides?.[key], ...changes } } }
+        };
+        this.checkOccurrenceTimes(recurrence.findOccurrence(nextDetails, occurrence.occurrenceStart));
+
+        await post.update({ eventDetails: nextDetails }, { transaction });
+        await eventReminderService.rescheduleForEvent(post, transaction);
+    },
+
+    /**
+     * "This and following" edits. The series ends before `occurrence` and goes on from there as a new
+     * event post with the changes applied: whole-series registrations are copied over (with new
+     * tickets) and single-date registrations move with their date. Changes made to individual dates
+     * from `occurrence` on are dropped, like calendar apps do. Editing from the first date changes
+     * the series in place instead.
+     */
+    async splitEventSeries(post, occurrence, changes, recurrenceInput, transaction) {
+        const eventDetails = post.eventDetails;
+        const rule = eventDetails.recurrence;
+        const splitAt = occurrence.occurrenceStart;
+        const startsBefore = recurrence.countStartsBefore(eventDetails, splitAt);
+
+        const startDate = changes.startDate || recurrence.occurrenceKey(splitAt);
+        const duration = recurrence.getDuration(eventDetails);
+        const continued = {
+            ...eventDetails,
+            ...changes,
+            startDate,
+            endDate: changes.endDate || (duration !== null ? new Date(new Date(startDate).getTime() + duration).toISOString() : null)
+        };
+        this.checkOccurrenceTimes(continued);
+
+        const continuedRule = this.buildRecurrence({
+            ...continued,
+            recurrence: recurrenceInput ? { timezone: rule.timezone, ...recurrenceInput } : {
+                frequency: rule.frequency,
+                interval: rule.interval,
+                until: rule.until,
+                count: rule.count ? rule.count - startsBefore : null,
+                timezone: rule.timezone
+            }
+        });
+        // Dates skipped further down the series stay skipped, if the new schedule still has them
+        if (!recurrenceInput) {
+            continuedRule.exceptions = (rule.exceptions || []).filter((key) => new Date(key) >= splitAt &&
+                recurrence.isGeneratedStart({ ...continued, recurrence: continuedRule }, new Date(key)));
+        }
+
+        if (startsBefore === 0) {
+            await post.update({
+                eventDetails: { ...continued, recurrence: continuedRule }
+            }, { transaction });
+            await this.moveDateRegistrations({
+                fromPost: post,
+                fromDetails: eventDetails,
+                toPost: post,
+                since: splitAt,
+                toSince: new Date(startDate)
+            }, transaction);
+            await eventReminderService.rescheduleForEvent(post, transaction);
+            return post;
+        }
+
+        const next = await CommunityPost.create({
+            communityId: post.communityId,
+            authorId: post.authorId,
+            type: 'EVENT',
+            title: post.title,
+            content: post.content,
+            imageUrls: post.imageUrls,
+            videoUrl: post.videoUrl,
+            linkUrl: post.linkUrl,
+            isPaid: post.isPaid,
+            price: post.price,
+            currency: post.currency,
+            eventDetails: {
+                ...continued,
+                recurrence: continuedRule,
+                registrationCount: 0,
+                previousSeriesPostId: post.id,
+                nextSeriesPostId: null
+            },
+            pollDetails: {},
+            tags: post.tags,
+            isApproved: true,
+            approvedBy: post.approvedBy,
+            approvedAt: post.approvedAt,
+            likesCount: 0,
+            commentsCount: 0,
+            sharesCount: 0
+        }, { transaction });
+        await this.recordPublishedPost(next, transaction);
+
+        const before = (key) => new Date(key) < splitAt;
+        await post.update({
+            eventDetails: {
+                ...eventDetails,
+                nextSeriesPostId: next.id,
+                recurrence: {
+                    ...rule,
+                    until: new Date(splitAt.getTime() - 1000).toISOString(),
+                    count: null,
+                    exceptions: (rule.exceptions || []).filter(before),
+                    overrides: Object.fromEntries(Object.entries(rule.overrides || {}).filter(([key]) => before(key)))
+                }
+            }
+        }, { transaction });
+
+        const seriesRegistrations = await EventRegistration.findAll({
+            where: { postId: post.id, occurrenceStart: null },
+            transaction
+        });
+        for (const registration of seriesRegistrations) {
+            const id = crypto.randomUUID();
+            await EventRegistration.create({
+                id,
+                userId: registration.userId,
+                postId: next.id,
+                registrationData: registration.registrationData,
+                paymentStatus: registration.paymentStatus,
+                paymentId: registration.paymentId,
+                ticketCode: this.generateTicketCode(id, next.id)
+            }, { transaction });
+        }
+        if (seriesRegistrations.length > 0) {
+            await this.adjustRegistrationCount(next, seriesRegistrations.length, transaction);
+        }
+
+        await this.moveDateRegistrations({
+            fromPost: post,
+            fromDetails: eventDetails,
+            toPost: next,
+            since: splitAt,
+            toSince: new Date(startDate)
+        }, transaction);
+
+        await eventReminderService.rescheduleForEvent(post, transaction);
+        await eventReminderService.rescheduleForEvent(next, transaction);
+
+        return next;
+    },
+
+    // A cancelled date becomes an exception of the rule; registrations for just that date go with it
+    async cancelEventOccurrence(postId, occurrenceDate, userId) {
+        let post;
+        let occurrence;
+        let attendeeIds;
+        const transaction = await sequelize.transaction();
+        try {
+            post = await this.findRecurringEventForAuthor(postId, userId, transaction);
+            occurrence = this.findEventOccurrence(post, occurrenceDate);
+            this.checkOccurrenceNotStarted(occurrence);
+
+            const registrations = await EventRegistration.findAll({
+                where: this.occurrenceRegistrationWhere(post.id, occurrence.occurrenceStart),
+                attributes: ['userId', 'occurrenceStart'],
+                transaction
+            });
+            attendeeIds = registrations.map((registration) => registration.userId);
+            const dateRegistrations = registrations.filter((registration) => registration.occurrenceStart).length;
+
+            // Pending reminders go with the registrations (ON DELETE CASCADE)
+            await EventRegistration.destroy({
+                where: { postId: post.id, occurrenceStart: occurrence.occurrenceStart },
+                transaction
+            });
+
+            const eventDetails = post.eventDetails;
+            const key = recurrence.occurrenceKey(occurrence.occurrenceStart);
+            const overrides = { ...eventDetails.recurrence.overrides };
+            delete overrides[key];
+            await post.update({
+                eventDetails: {
+                    ...eventDetails,
+                    registrationCount: Math.max((eventDetails.registrationCount || 0) - dateRegistrations, 0),
+                    recurrence: {
+                        ...eventDetails.recurrence,
+                        exceptions: [...(eventDetails.recurrence.exceptions || []), key],
+                        overrides
+                    }
+                }
+            }, { transaction });
+            await eventReminderService.rescheduleForEvent(post, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error cancelling event occurrence:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to cancel event date', {
+                extensions: { code: 'EVENT_OCCURRENCE_CANCEL_FAILED' }
+            });
+        }
+
+        await this.notifyOccurrenceCancelled(post, occurrence, attendeeIds);
+
+        return await CommunityPost.findByPk(post.id, {
+            include: [
+                { model: User, as: 'author' },
+                { model: Community, as: 'community' }
+            ]
+        });
+    },
+
+    // Event waitlist
+    activeWaitlistOfferWhere(postId) {
+        return { postId, status: 'OFFERED', offerExpiresAt: { [Op.gt]: new Date() } };
+    },
+
+    async countActiveWaitlistOffers(postId, transaction) {
+        return EventWaitlistEntry.count({ where: this.activeWaitlistOfferWhere(postId), transaction });
+    },
+
+    async hasActiveWaitlistOffer(postId, userId, transaction) {
+        if (!userId) return false;
+        const offer = await EventWaitlistEntry.findOne({
+            where: { ...this.activeWaitlistOfferWhere(postId), userId },
+            attributes: ['id'],
+            transaction
+        });
+        return !!offer;
+    },
+
+    async joinEventWaitlist(postId, userId) {
+        const transaction = await sequelize.transaction();
+        try {
+            const post = await CommunityPost.findByPk(postId, {
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!post || post.type !== 'EVENT' || post.isArchived || !post.isApproved) {
+                throw new GraphQLError('Event not found', {
+                    extensions: { code: 'EVENT_NOT_FOUND' }
+                });
+            }
+            await this.checkWallAccess(post.communityId, userId);
+            if (recurrence.isRecurring(post.eventDetails)) {
+                throw new GraphQLError('Recurring events have no waitlist', {
+                    extensions: { code: 'INVALID_INPUT' }
+                });
+            }
+
+            // Only full events have a waitlist; checkEventOpen also rejects
+            // existing registrations and passed deadlines
+            let full = false;
+            try {
+                await this.checkEventOpen(post, userId, transaction);
+            } catch (error) {
+                if (error.extensions?.code !== 'EVENT_FULL') throw error;
+                full = true;
+            }
+            if (!full) {
+                throw new GraphQLError('This event still has spots, register for it directly', {
+                    extensions: { code: 'EVENT_NOT_FULL' }
+                });
+            }
+
+            const existing = await EventWaitlistEntry.findOne({
+                where: { postId, userId },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (['WAITING', 'OFFERED'].includes(existing?.status)) {
+                throw new GraphQLError('You are already on the waitlist for this event', {
+                    extensions: { code: 'ALREADY_WAITLISTED' }
+                });
+            }
+
+            const fields = { status: 'WAITING', joinedAt: new Date(), offeredAt: null, offerExpiresAt: null };
+            const entry = existing
+                ? await existing.update(fields, { transaction })
+                : await EventWaitlistEntry.create({ postId, userId, ...fields }, { transaction });
+
+            await transaction.commit();
+            return entry;
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error joining event waitlist:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to join the waitlist', {
+                extensions: { code: 'WAITLIST_JOIN_FAILED' }
+            });
+        }
+    },
+
+    // Leaving while holding an offer hands the spot to the next person in line
+    async leaveEventWaitlist(postId, userId) {
+        let post;
+        let promotions = [];
+        const transaction = await sequelize.transaction();
+        try {
+            post = await CommunityPost.findByPk(postId, {
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            const entry = post && await EventWaitlistEntry.findOne({
+                where: { postId, userId, status: { [Op.in]: ['WAITING', 'OFFERED'] } },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!entry) {
+                throw new GraphQLError('You are not on the waitlist for this event', {
+                    extensions: { code: 'NOT_WAITLISTED' }
+                });
+            }
+
+            const heldOffer = entry.status === 'OFFERED';
+            await entry.update({ status: 'LEFT' }, { transaction });
+            if (heldOffer) {
+                promotions = await this.promoteFromWaitlist(post, transaction);
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error leaving event waitlist:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to leave the waitlist', {
+                extensions: { code: 'WAITLIST_LEAVE_FAILED' }
+            });
+        }
+
+        await this.notifyWaitlistPromotions(post, promotions);
+        return true;
+    },
+
+    /**
+     * Fills free spots from the front of the waitlist. Free events register the promoted user
+     * right away; paid events hold the spot as an offer the user has WAITLIST_CLAIM_MINUTES to pay for.
+     * Expects `post` to be locked by the caller's transaction. Returns the promotions so the
+     * caller can notify after committing.
+     */
+    async promoteFromWaitlist(post, transaction) {
+        const eventDetails = post.eventDetails || {};
+        const startsAt = eventReminderService.getStartTime(post);
+        const deadline = eventDetails.registrationDeadline ? new Date(eventDetails.registrationDeadline) : null;
+        // Nobody is promoted once registration has closed, by its deadline or by the event starting
+        const closesAt = deadline && (!startsAt || deadline < startsAt) ? deadline : startsAt;
+        if (post.isArchived || recurrence.isRecurring(eventDetails) || (closesAt && closesAt <= new Date())) return [];
+
+        const paid = this.isPaidEvent(post);
+        const promotions = [];
+
+        while (true) {
+            if (eventDetails.maxAttendees) {
+                const heldOffers = await this.countActiveWaitlistOffers(post.id, transaction);
+                const registrationCount = post.eventDetails?.registrationCount || 0;
+                if (registrationCount + heldOffers >= eventDetails.maxAttendees) break;
+            }
+
+            const entry = await EventWaitlistEntry.findOne({
+                where: { postId: post.id, status: 'WAITING' },
+                order: [['joinedAt', 'ASC'], ['id', 'ASC']],
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!entry) break;
+
+            // People who have lost access since joining the line are passed over
+            try {
+                await this.checkWallAccess(post.communityId, entry.userId);
+            } catch (error) {
+                if (!(error instanceof GraphQLError)) throw error;
+                await entry.update({ status: 'REMOVED' }, { transaction });
+                continue;
+            }
+
+            if (paid) {
+                const offerExpiresAt = new Date(Date.now() + WAITLIST_CLAIM_MINUTES * 60 * 1000);
+                await entry.update({
+                    status: 'OFFERED',
+                    offeredAt: new Date(),
+                    offerExpiresAt: closesAt && closesAt < offerExpiresAt ? closesAt : offerExpiresAt
+                }, { transaction });
+                promotions.push({ entry });
+            } else {
+                const { ticketCode } = await this.addEventRegistration(post, entry.userId, {}, transaction);
+                promotions.push({ entry, ticketCode });
+            }
+        }
+
+        return promotions;
+    },
+
+    // Lapsed offers go back to the line, so the next person gets a chance
+    async expireWaitlistOffers() {
+        const expired = await EventWaitlistEntry.findAll({
+            where: { status: 'OFFERED', offerExpiresAt: { [Op.lte]: new Date() } },
+            attributes: ['postId'],
+            group: ['postId']
+        });
+
+        let offersExpired = 0;
+        let promoted = 0;
+        for (const { postId } of expired) {
+            let post;
+            let promotions;
+            const transaction = await sequelize.transaction();
+            try {
+                post = await CommunityPost.findByPk(postId, {
+                    lock: transaction.LOCK.UPDATE,
+                    transaction
+                });
+                const [count] = await EventWaitlistEntry.update({ status: 'EXPIRED' }, {
+                    where: { postId, status: 'OFFERED', offerExpiresAt: { [Op.lte]: new Date() } },
+                    transaction
+                });
+                promotions = post ? await this.promoteFromWaitlist(post, transaction) : [];
+
+                await transaction.commit();
+                offersExpired += count;
+                promoted += promotions.length;
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
+
+            await this.notifyWaitlistPromotions(post, promotions);
+        }
+
+        return { offersExpired, promoted };
+    },
+
+    async getMyWaitlistEntry(postId, userId) {
+        if (!userId) return null;
+        return EventWaitlistEntry.findOne({
+            where: { postId, userId, status: { [Op.in]: ['WAITING', 'OFFERED'] } }
+        });
+    },
+
+    // 1-based place among the people still waiting; people holding an offer are no longer in line
+    async getWaitlistPosition(entry) {
+        if (entry.status !== 'WAITING') return null;
+
+        const ahead = await EventWaitlistEntry.count({
+            where: {
+                postId: entry.postId,
+                status: 'WAITING',
+                [Op.or]: [
+                    { joinedAt: { [Op.lt]: entry.joinedAt } },
+                    { joinedAt: entry.joinedAt, id: { [Op.lt]: entry.id } }
+                ]
+            }
+        });
+        return ahead + 1;
+    },
+
+    async getWaitlistCount(postId) {
+        return EventWaitlistEntry.count({ where: { postId, status: 'WAITING' } });
+    },
+
+    // On recurring events this is the whole-series ticket, or else the ticket for the next date
+    async getMyTicketCode(postId, userId) {
+        if (!userId) return null;
+        const registration = await EventRegistration.findOne({
+            where: {
+                postId,
+                userId,
+                paymentStatus: 'COMPLETED',
+                [Op.or]: [
+                    { occurrenceStart: null },
+                    { occurrenceStart: { [Op.gte]: new Date(Date.now() - CHECK_IN_WINDOW_HOURS * 60 * 60 * 1000) } }
+                ]
+            },
+            attributes: ['ticketCode'],
+            order: [['occurrenceStart', 'ASC NULLS FIRST']]
+        });
+        return registration?.ticketCode || null;
+    },
+
+    // The event's author and the community's owner/admins run the door
+    async checkEventOrganizer(post, userId) {
+        if (post.authorId === userId || await this.isAdmin(post.communityId, userId)) return;
+
+        throw new GraphQLError('Only event organizers can do this', {
+            extensions: { code: 'FORBIDDEN' }
+        });
+    },
+
+    async findEventForOrganizer(postId, userId, transaction) {
+        const post = await CommunityPost.findByPk(postId, { transaction });
+        if (!post || post.type !== 'EVENT' || post.isArchived) {
+            throw new GraphQLError('Event not found', {
+                extensions: { code: 'EVENT_NOT_FOUND' }
+            });
+        }
+
+        await this.checkEventOrganizer(post, userId);
+        return post;
+    },
+
+    // Signed codes name their registration; legacy random codes are looked up by exact match
+    async resolveTicketCode(ticketCode) {
+        const ticket = verifyTicketCode(ticketCode);
+        if (ticket || !isLegacyTicketCode(ticketCode)) return ticket;
+
+        const registration = await EventRegistration.findOne({
+            where: { ticketCode: ticketCode.trim() },
+            attributes: ['id', 'postId']
+        });
+        return registration ? { registrationId: registration.id, postId: registration.postId } : null;
+    },
+
+    async checkInAttendee(ticketCode, organizerId) {
+        const ticket = await this.resolveTicketCode(ticketCode);
+        if (!ticket) {
+            throw new GraphQLError('This ticket is not valid', {
+                extensions: { code: 'INVALID_TICKET' }
+            });
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            const post = await this.findEventForOrganizer(ticket.postId, organizerId, transaction);
+
+            const registration = await EventRegistration.findByPk(ticket.registrationId, {
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            // A signed code can still belong to a registration that was since removed or reissued
+            if (!registration || registration.postId !== ticket.postId || registration.ticketCode !== ticketCode.trim()) {
+                throw new GraphQLError('This ticket is not valid', {
+                    extensions: { code: 'INVALID_TICKET' }
+                });
+            }
+            if (registration.paymentStatus !== 'COMPLETED') {
+                throw new GraphQLError('This ticket has not been paid for', {
+                    extensions: { code: 'TICKET_NOT_PAID', paymentStatus: registration.paymentStatus }
+                });
+            }
+            this.checkTicketDate(post, registration);
+            if (this.isCheckedIn(post, registration)) {
+                throw new GraphQLError('This ticket has already been checked in', {
+                    extensions: { code: 'ALREADY_CHECKED_IN', checkInAt: registration.checkInAt }
+                });
+            }
+
+            await registration.update({ checkInStatus: 'CHECKED_IN', checkInAt: new Date() }, { transaction });
+            await transaction.commit();
+            return registration;
+        } catch (error) {
+            await transaction.rollback();
+            console.error('Error checking in attendee:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to check in attendee', {
+                extensions: { code: 'CHECK_IN_FAILED' }
+            });
+        }
+    },
+
+    // The date of a recurring event that is being checked in: the first one that started at most
+    // CHECK_IN_WINDOW_HOURS ago
+    getCheckInOccurrence(post) {
+        const from = new Date(Date.now() - CHECK_IN_WINDOW_HOURS * 60 * 60 * 1000);
+        return recurrence.expandOccurrences(post.eventDetails, { from, limit: 1 })[0] || null;
+    },
+
+    // Tickets for a single date of a recurring event only open the door on that date
+    checkTicketDate(post, registration) {
+        if (!registration.occurrenceStart || !recurrence.isRecurring(post.eventDetails)) return;
+
+        const current = this.getCheckInOccurrence(post);
+        if (!current || current.occurrenceStart.getTime() !== registration.occurrenceStart.getTime()) {
+            throw new GraphQLError('This ticket is for another date of the event', {
+                extensions: { code: 'TICKET_WRONG_DATE', occurrenceStart: registration.occurrenceStart }
+            });
+        }
+    },
+
+    // Whole-series tickets of recurring events are checked in once per date
+    isCheckedIn(post, registration) {
+        if (registration.checkInStatus !== 'CHECKED_IN') return false;
+        if (registration.occurrenceStart || !recurrence.isRecurring(post.eventDetails)) return true;
+
+        const current = this.getCheckInOccurrence(post);
+        const window = CHECK_IN_WINDOW_HOURS * 60 * 60 * 1000;
+        return !current || registration.checkInAt >= new Date(current.startDate.getTime() - window);
+    },
+
+    // Counted from the registrations themselves rather than eventDetails.registrationCount,
+    // so the numbers are current while the doors are open. For one date of a recurring event,
+    // whole-series tickets count as checked in when they were scanned for that date.
+    async getEventCheckInStats(postId, userId, occurrenceDate = null) {
+        const post = await this.findEventForOrganizer(postId, userId);
+        const occurrence = this.findEventOccurrence(post, occurrenceDate);
+
+        let where = { postId, paymentStatus: 'COMPLETED' };
+        let checkedIn = `"checkInStatus" = 'CHECKED_IN'`;
+        if (occurrence) {
+            const windowStart = new Date(occurrence.startDate.getTime() - CHECK_IN_WINDOW_HOURS * 60 * 60 * 1000);
+            where = { ...this.occurrenceRegistrationWhere(postId, occurrence.occurrenceStart), paymentStatus: 'COMPLETED' };
+            checkedIn += ` AND ("occurrenceStart" IS NOT NULL OR "checkInAt" >= ${sequelize.escape(windowStart)})`;
+        }
+
+        const [stats] = await EventRegistration.findAll({
+            where,
+            attributes: [
+                [sequelize.fn('COUNT', sequelize.col('id')), 'registeredCount'],
+                [sequelize.literal(`COUNT(*) FILTER (WHERE ${checkedIn})`), 'checkedInCount'],
+                [sequelize.fn('MAX', sequelize.col('checkInAt')), 'lastCheckInAt']
+            ],
+            raw: true
+        });
+
+        return {
+            postId,
+            registeredCount: Number(stats.registeredCount),
+            checkedInCount: Number(stats.checkedInCount),
+            lastCheckInAt: stats.lastCheckInAt
+        };
+    },
+
+    // Post comments
+    async getVisiblePost(postId, userId) {
+        const post = await CommunityPost.findByPk(postId);
+        if (!post || post.isArchived) {
+            throw new GraphQLError('Post not found', {
+                extensions: { code: 'POST_NOT_FOUND' }
+            });
+        }
+
+        await this.checkWallAccess(post.communityId, userId);
+
+        if (!(await this.canViewPost(post, userId))) {
+            throw new GraphQLError('You do not have access to this post', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        return post;
+    },
+
+    validateCommentContent(content) {
+        const trimmed = content?.trim();
+        if (!trimmed) {
+            throw new GraphQLError('Comment cannot be empty', {
+                extensions: { code: 'INVALID_INPUT', field: 'content' }
+            });
+        }
+        if (trimmed.length > 2000) {
+            throw new GraphQLError('Comment must be less than 2000 characters', {
+                extensions: { code: 'INVALID_INPUT', field: 'content' }
+            });
         }
+        return trimmed;
+    },
+
+    async getPostComments({ postId, userId, parentId = null, limit, cursor }) {
+        await this.getVisiblePost(postId, userId);
+        return await this.listComments({ postId, parentId, limit, cursor });
+    },
+
+    // Callers must have checked that the user can see the post
+    async listComments({ postId, parentId = null, limit, cursor }) {
+        const result = await paginate({
+            model: PostComment,
+            where: { postId, parentId },
+            order: COMMENT_ORDER,
+            limit,
+            after: cursor,
+            toCursor: this.cursorFromOrder(COMMENT_ORDER),
+            include: [{ model: User, as: 'author' }]
+        });
+
+        return this.toConnection(result, cursor);
     },
-    
-    async getTrendingCommunities({ userId, limit, timeframe }) {
+
+    /**
+     * First page of replies for several comments with one query for the rows and one for the
+     * counts, instead of a paginate() per comment. Returns connections in the order of parentIds.
+     * Callers must have checked that the user can see the posts.
+     */
+    async getFirstReplies(parentIds, limit) {
+        const ranked = `(SELECT "id" FROM (
+            SELECT "id", ROW_NUMBER() OVER (PARTITION BY "parentId" ORDER BY "createdAt" ASC, "id" ASC) AS "position"
+            FROM "${PostComment.getTableName()}" WHERE "parentId" IN (:parentIds)
+        ) AS "ranked" WHERE "position" <= :perParent)`;
+
+        const [rows, counts] = await Promise.all([
+            PostComment.findAll({
+                where: { id: { [Op.in]: sequelize.literal(ranked) } },
+                order: COMMENT_ORDER,
+                include: [{ model: User, as: 'author' }],
+                replacements: { parentIds, perParent: limit + 1 }
+            }),
+            PostComment.count({ where: { parentId: parentIds }, group: ['parentId'] })
+        ]);
+
+        const totals = new Map(counts.map(({ parentId, count }) => [parentId, Number(count)]));
+        const toCursor = this.cursorFromOrder(COMMENT_ORDER);
+
+        return parentIds.map(parentId => {
+            const replies = rows.filter(row => row.parentId === parentId);
+            const edges = replies.slice(0, limit).map(row => ({
+                node: row,
+                cursor: paginate.encodeCursor(toCursor(row))
+            }));
+            const hasNextPage = replies.length > limit;
+
+            return this.toConnection({
+                edges,
+                pageInfo: { hasNextPage, endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null },
+                totalCount: totals.get(parentId) || 0
+            }, null);
+        });
+    },
+
+    async addComment({ postId, parentId, content, userId }) {
+        const text = this.validateCommentContent(content);
+        const post = await this.getVisiblePost(postId, userId);
+        this.checkPostPublished(post);
+
+        const membership = await CommunityMember.findOne({
+            where: { communityId: post.communityId, userId, status: 'APPROVED' },
+            attributes: ['id']
+        });
+        if (!membership) {
+            throw new GraphQLError('Only community members can comment', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        let parentAuthorId = null;
+        const transaction = await sequelize.transaction();
         try {
-          const timeframeDate = new Date();
-          switch (timeframe) {
-            case 'day':
-              timeframeDate.setDate(timeframeDate.getDate() - 1);
-              break;
-            case 'week':
-              timeframeDate.setDate(timeframeDate.getDate() - 7);
-              break;
-            case 'month':
-              timeframeDate.setMonth(timeframeDate.getMonth() - 1);
-              break;
-            default:
-              timeframeDate.setDate(timeframeDate.getDate() - 7);
-          }
-    
-          // Calculate trending score based on recent activity
-          const trendingCommunities = await Community.aggregate([
-            {
-              $lookup: {
-                from: 'communityposts',
-                localField: '_id',
-                foreignField: 'communityId',
-                as: 'recentPosts',
-                pipeline: [
-                  {
-                    $match: {
-                      createdAt: { $gte: timeframeDate }
-                    }
-                  }
-                ]
-              }
-            },
-            {
-              $lookup: {
-                from: 'communitymembers',
-                localField: '_id',
-                foreignField: 'communityId',
-                as: 'recentMembers',
-                pipeline: [
-                  {
-                    $match: {
-                      joinedAt: { $gte: timeframeDate },
-                      status: 'APPROVED'
-                    }
-                  }
-                ]
-              }
-            },
-            {
-              $addFields: {
-                trendingScore: {
-                  $add: [
-                    { $multiply: [{ $size: '$recentPosts' }, 2] },
-                    { $multiply: [{ $size: '$recentMembers' }, 5] },
-                    { $divide: ['$memberCount', 10] }
-                  ]
+            if (parentId) {
+                const parent = await PostComment.findByPk(parentId, { transaction });
+                if (!parent || parent.postId !== postId || parent.isDeleted) {
+                    throw new GraphQLError('Parent comment not found', {
+                        extensions: { code: 'COMMENT_NOT_FOUND' }
+                    });
                 }
-              }
-            },
-            {
-              $match: {
-                trendingScore: { $gt: 0 },
-                isPrivate: false
-              }
-            },
-            {
-              $sort: { trendingScore: -1 }
-            },
-            {
-              $limit: limit
+                await parent.increment('repliesCount', { transaction });
+                parentAuthorId = parent.authorId;
             }
-          ]);
-    
-          // Populate owner and interests
-          await Community.populate(trendingCommunities, [
-            { path: 'ownerId', select: 'name profileImageUrl' },
-            { path: 'interests', select: 'name category icon' }
-          ]);
-    
-          return trendingCommunities;
+
+            const comment = await PostComment.create({
+                postId,
+                parentId: parentId || null,
+                authorId: userId,
+                content: text
+            }, { transaction });
+
+            await CommunityPost.increment('commentsCount', { where: { id: postId }, transaction });
+
+            await transaction.commit();
+
+            await this.notifyOfComment(post, comment, parentAuthorId);
+
+            return await PostComment.findByPk(comment.id, {
+                include: [{ model: User, as: 'author' }]
+            });
         } catch (error) {
-          console.error('Error fetching trending communities:', error);
-          throw new Error('Failed to fetch trending communities');
+            await transaction.rollback();
+            console.error('Error adding comment:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to add comment', {
+                extensions: { code: 'COMMENT_CREATE_FAILED' }
+            });
         }
     },
-    
-    async getRecommendedCommunities({ userId, limit }) {
+
+    async editComment(commentId, content, userId) {
+        const text = this.validateCommentContent(content);
+        const comment = await PostComment.findByPk(commentId);
+
+        if (!comment || comment.isDeleted) {
+            throw new GraphQLError('Comment not found', {
+                extensions: { code: 'COMMENT_NOT_FOUND' }
+            });
+        }
+        if (comment.authorId !== userId) {
+            throw new GraphQLError('Only the author can edit this comment', {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+
+        await this.getVisiblePost(comment.postId, userId);
+
+        await comment.update({ content: text, isEdited: true, editedAt: new Date() });
+        return comment;
+    },
+
+    async deleteComment(commentId, userId) {
+        const transaction = await sequelize.transaction();
         try {
-          const user = await User.findById(userId).populate('interests');
-          const userInterestIds = user.interests.map(i => i._id);
-    
-          // Get communities user is not already a member of
-          const userMemberships = await CommunityMember.find({
-            userId,
-            status: { $in: ['MEMBER', 'PENDING'] }
-          }).select('communityId');
-          
-          const excludedIds = userMemberships.map(m => m.communityId);
-    
-          // Find communities with matching interests
-          const recommendations = await Community.aggregate([
-            {
-              $match: {
-                _id: { $nin: excludedIds },
-                interests: { $in: userInterestIds },
-                isPrivate: false
-              }
-            },
-            {
-              $addFields: {
-                matchingInterests: {
-                  $size: {
-                    $setIntersection: ['$interests', userInterestIds]
-                  }
-                },
-                relevanceScore: {
-                  $add: [
-                    { $multiply: ['$matchingInterests', 10] },
-                    { $divide: ['$memberCount', 100] },
-                    { $cond: [{ $eq: ['$isPaid', false] }, 5, 0] }
-                  ]
-                }
-              }
-            },
-            {
-              $sort: { relevanceScore: -1, memberCount: -1 }
-            },
-            {
-              $limit: limit
+            const comment = await this.findCommentForRemoval(commentId, transaction);
+
+            const post = await CommunityPost.findByPk(comment.postId, { attributes: ['id', 'communityId'], transaction });
+            if (comment.authorId !== userId && !(await this.isModerator(post.communityId, userId))) {
+                throw new GraphQLError('You are not allowed to delete this comment', {
+                    extensions: { code: 'FORBIDDEN' }
+                });
             }
-          ]);
-    
-          await Community.populate(recommendations, [
-            { path: 'ownerId', select: 'name profileImageUrl' },
-            { path: 'interests', select: 'name category icon' }
-          ]);
-    
-          return recommendations;
+
+            await this.removeComment(comment, transaction, { actorId: userId, communityId: post.communityId });
+
+            await transaction.commit();
+            return true;
         } catch (error) {
-          console.error('Error fetching recommended communities:', error);
-          throw new Error('Failed to fetch recommended communities');
+            await transaction.rollback();
+            console.error('Error deleting comment:', error);
+            if (error instanceof GraphQLError) throw error;
+            throw new GraphQLError('Failed to delete comment', {
+                extensions: { code: 'COMMENT_DELETE_FAILED' }
+            });
         }
     },
-    
-    async registerForEvent(postId, userId) {
-        try {
-          const post = await CommunityPost.findById(postId);
-          if (!post || post.type !== 'EVENT') {
-            throw new Error('Event not found');
-          }
-    
-          // Check if user is already registered
-          const existingRegistration = await EventRegistration.findOne({
-            userId,
-            postId
-          });
-    
-          if (existingRegistration) {
-            throw new Error('User already registered for this event');
-          }
-    
-          // Check if event has reached max capacity
-          if (post.eventDetails.maxAttendees && 
-              post.eventDetails.registrationCount >= post.eventDetails.maxAttendees) {
-            throw new Error('Event has reached maximum capacity');
-          }
-    
-          // Check registration deadline
-          if (post.eventDetails.registrationDeadline && 
-              new Date() > post.eventDetails.registrationDeadline) {
-            throw new Error('Registration deadline has passed');
-          }
-    
-          let paymentStatus = 'COMPLETED';
-          let ticketCode = this.generateTicketCode();
-    
-          // Handle paid events
-          if (post.eventDetails.ticketPrice && post.eventDetails.ticketPrice > 0) {
-            // Process payment
-            const paymentResult = await this.processEventPayment(
-              userId, 
-              post.eventDetails.ticketPrice, 
-              post.eventDetails.currency
-            );
-            
-            if (!paymentResult.success) {
-              throw new Error('Payment failed');
+
+    async findCommentForRemoval(commentId, transaction) {
+        const comment = await PostComment.findByPk(commentId, {
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (!comment || comment.isDeleted) {
+            throw new GraphQLError('Comment not found', {
+                extensions: { code: 'COMMENT_NOT_FOUND' }
+            });
+        }
+        return comment;
+    },
+
+    // Comments with replies are blanked in place so the thread survives; leaf comments are removed.
+    // Removals by anyone other than the author are moderation and go to the audit log.
+    async removeComment(comment, transaction, { actorId, communityId, reason = null }) {
+        if (actorId !== comment.authorId) {
+            await this.recordAudit({
+                communityId,
+                actorId,
+                action: 'COMMENT_REMOVED',
+                targetUserId: comment.authorId,
+                targetType: 'COMMENT',
+                targetId: comment.id,
+                reason
+            }, transaction);
+        }
+
+        if (comment.repliesCount > 0) {
+            await comment.update({ content: null, isDeleted: true }, { transaction });
+        } else {
+            await comment.destroy({ transaction });
+            await this.releaseParentComment(comment.parentId, transaction);
+        }
+
+        await CommunityPost.decrement('commentsCount', {
+            where: { id: comment.postId, commentsCount: { [Op.gt]: 0 } },
+            transaction
+        });
+    },
+
+    // A blanked comment only stays while it has replies, so losing the last one removes it too, up the chain.
+    // Its commentsCount was already taken off when it was blanked.
+    async releaseParentComment(parentId, transaction) {
+        while (parentId) {
+            await PostComment.decrement('repliesCount', { where: { id: parentId }, transaction });
+
+            const parent = await PostComment.findByPk(parentId, {
+                attributes: ['id', 'parentId', 'isDeleted', 'repliesCount'],
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!parent || !parent.isDeleted || parent.repliesCount > 0) return;
+
+            await parent.destroy({ transaction });
+            parentId = parent.parentId;
+        }
+    },
+
+    // Query helpers
+    toConnection(result, cursor) {
+        return {
+            edges: result.edges,
+            pageInfo: {
+                hasNextPage: result.pageInfo.hasNextPage,
+                hasPreviousPage: !!cursor,
+                totalCount: result.totalCount,
+                cursor: result.pageInfo.hasNextPage ? result.pageInfo.endCursor : null
             }
-            
-            paymentStatus = 'COMPLETED';
-          }
-    
-          const registration = new EventRegistration({
-            userId,
-            postId,
-            paymentStatus,
-            ticketCode
-          });
-    
-          await registration.save();
-    
-          // Update registration count
-          await CommunityPost.findByIdAndUpdate(postId, {
-            $inc: { 'eventDetails.registrationCount': 1 }
-          });
-    
-          // Send confirmation notification
-          await this.sendEventRegistrationConfirmation(userId, postId, ticketCode);
-    
-          return true;
-        } catch (error) {
-          console.error('Error registering for event:', error);
-          throw error;
+        };
+    },
+
+    cursorFromOrder(order) {
+        return row => order.reduce((cursor, [field]) => {
+            cursor[field] = row[field];
+            return cursor;
+        }, {});
+    },
+
+    communityIncludes() {
+        return [
+            { model: User, as: 'owner' },
+            { model: Interest, as: 'interests', through: { attributes: [] } }
+        ];
+    },
+
+    // Keyset pagination over (rank, id) for full-text matches; paginate() can only order by columns
+    async rankedSearch({ model, where, tsQuery, vectorColumn, snippetColumn, limit, cursor, include = [] }) {
+        const rank = rankOf(vectorColumn, tsQuery);
+        const conditions = [where];
+        const after = cursor && paginate.decodeCursor(cursor);
+        if (after) {
+            conditions.push({
+                [Op.or]: [
+                    sequelize.where(rank, Op.lt, after.rank),
+                    { [Op.and]: [sequelize.where(rank, Op.eq, after.rank), { id: { [Op.lt]: after.id } }] }
+                ]
+            });
+        }
+
+        const rows = await model.findAll({
+            attributes: ['id', [rank, 'searchRank'], [headlineOf(snippetColumn, tsQuery), 'snippet']],
+            where: { [Op.and]: conditions },
+            include,
+            order: [[sequelize.literal('"searchRank"'), 'DESC'], ['id', 'DESC']],
+            limit: limit + 1,
+            raw: true
+        });
+        const totalCount = await model.count({ where, include });
+
+        return { rows: rows.slice(0, limit), hasNextPage: rows.length > limit, totalCount };
+    },
+
+    toSearchConnection(result, nodes, cursor) {
+        const rowsById = new Map(result.rows.map(row => [row.id, row]));
+        const toCursor = (row) => paginate.encodeCursor({ rank: row.searchRank, id: row.id });
+        const lastRow = result.rows[result.rows.length - 1];
+
+        return {
+            edges: nodes.map(node => {
+                const row = rowsById.get(node.id);
+                return { node, cursor: toCursor(row), rank: Number(row.searchRank), snippet: row.snippet || null };
+            }),
+            pageInfo: {
+                hasNextPage: result.hasNextPage,
+                hasPreviousPage: !!cursor,
+                totalCount: result.totalCount,
+                cursor: result.hasNextPage ? toCursor(lastRow) : null
+            }
+        };
+    },
+
+    async findPostsInOrder(ids) {
+        if (ids.length === 0) return [];
+
+        const posts = await CommunityPost.findAll({
+            where: { id: { [Op.in]: ids } },
+            include: [
+                { model: User, as: 'author' },
+                { model: Community, as: 'community' }
+            ]
+        });
+        const postMap = new Map(posts.map(p => [p.id, p]));
+        return ids.map(id => postMap.get(id)).filter(Boolean);
+    },
+
+    async findCommunitiesInOrder(ids) {
+        if (ids.length === 0) return [];
+
+        const communities = await Community.findAll({
+            where: { id: { [Op.in]: ids } },
+            include: this.communityIncludes()
+        });
+        const communityMap = new Map(communities.map(c => [c.id, c]));
+        return ids.map(id => communityMap.get(id)).filter(Boolean);
+    },
+
+    async getUserCommunityIds(userId, statuses) {
+        const memberships = await CommunityMember.findAll({
+            where: { userId, status: { [Op.in]: statuses } },
+            attributes: ['communityId'],
+            raw: true
+        });
+        return memberships.map(m => m.communityId);
+    },
+
+    async getCommunityIdsForInterests(interestIds) {
+        if (!interestIds || interestIds.length === 0) return [];
+
+        const rows = await CommunityInterest.findAll({
+            where: { interestId: { [Op.in]: interestIds } },
+            attributes: ['communityId'],
+            group: ['communityId'],
+            raw: true
+        });
+        return rows.map(r => r.communityId);
+    },
+
+    // Haversine distance in km between the community location and a point
+    distanceLiteral(location) {
+        const latitude = Number(location.latitude);
+        const longitude = Number(location.longitude);
+        const communityLat = `("Community"."location"->>'latitude')::float`;
+        const communityLng = `("Community"."location"->>'longitude')::float`;
+        return sequelize.literal(`(6371 * acos(least(1,
+            cos(radians(${latitude})) * cos(radians(${communityLat})) * cos(radians(${communityLng}) - radians(${longitude}))
+            + sin(radians(${latitude})) * sin(radians(${communityLat}))
+        )))`);
+    },
+
+    // Shared filters for discover/search; always excludes communities the user already joined or requested
+    async buildCommunityFilterConditions(userId, filters) {
+        const conditions = [{ isArchived: false }];
+
+        if (filters.interests && filters.interests.length > 0) {
+            const ids = await this.getCommunityIdsForInterests(filters.interests);
+            conditions.push({ id: { [Op.in]: ids } });
+        }
+
+        if (filters.location && filters.radius) {
+            // LEAST() skips NULLs, so communities without coordinates must be excluded explicitly
+            conditions.push({ location: { latitude: { [Op.ne]: null } } });
+            conditions.push(sequelize.where(this.distanceLiteral(filters.location), { [Op.lte]: filters.radius }));
+        }
+
+        if (filters.isPaid !== undefined && filters.isPaid !== null) {
+            conditions.push({ isPaid: filters.isPaid });
         }
+
+        if (filters.isPrivate !== undefined && filters.isPrivate !== null) {
+            conditions.push({ isPrivate: filters.isPrivate });
+        }
+
+        if (filters.memberCountMin) {
+            conditions.push({ memberCount: { [Op.gte]: filters.memberCountMin } });
+        }
+
+        if (filters.memberCountMax) {
+            conditions.push({ memberCount: { [Op.lte]: filters.memberCountMax } });
+        }
+
+        const excludedIds = await this.getUserCommunityIds(userId, ['APPROVED', 'PENDING']);
+        if (excludedIds.length > 0) {
+            conditions.push({ id: { [Op.notIn]: excludedIds } });
+        }
+
+        return conditions;
     },
 
     // Helper methods
@@ -988,47 +3880,231 @@ const communityService = {
     },
 
     // Utility methods
-  generateTicketCode() {
-    return Math.random().toString(36).substring(2, 15) + 
-           Math.random().toString(36).substring(2, 15);
+  generateTicketCode(registrationId, postId) {
+    return signTicketCode({ registrationId, postId });
+  },
+
+  async getCommunityName(communityId) {
+    const community = await Community.findByPk(communityId, { attributes: ['name'] });
+    return community?.name || 'a community';
+  },
+
+  async getStaffIds(communityId, roles) {
+    const staff = await CommunityMember.findAll({
+      where: {
+        communityId,
+        role: { [Op.in]: roles },
+        status: 'APPROVED'
+      },
+      attributes: ['userId']
+    });
+    return staff.map(member => member.userId);
+  },
+
+  async notifyAdminsOfNewRequest(communityId, userId) {
+    const admins = await this.getStaffIds(communityId, ['OWNER', 'ADMIN']);
+    const name = await this.getCommunityName(communityId);
+
+    await notificationService.notify(admins, {
+      type: 'MEMBERSHIP_REQUEST',
+      actorId: userId,
+      title: `New request to join ${name}`,
+      data: { communityId }
+    });
+  },
+
+  async notifyUserOfApproval(communityId, userId, actorId = null) {
+    const name = await this.getCommunityName(communityId);
+
+    await notificationService.notify(userId, {
+      type: 'MEMBERSHIP_APPROVED',
+      actorId,
+      title: `Your request to join ${name} was approved`,
+      data: { communityId }
+    });
+  },
+
+  async notifyUserOfBan(communityId, userId, actorId, reason) {
+    const name = await this.getCommunityName(communityId);
+
+    await notificationService.notify(userId, {
+      type: 'MEMBER_BANNED',
+      actorId,
+      title: `You have been banned from ${name}`,
+      body: reason || null,
+      data: { communityId }
+    });
+  },
+
+  async notifyUserOfRoleChange(communityId, userId, role, actorId) {
+    const name = await this.getCommunityName(communityId);
+    const title = role === 'MEMBER'
+      ? `Your staff role in ${name} was removed`
+      : `You are now ${role === 'ADMIN' ? 'an admin' : 'a moderator'} of ${name}`;
+
+    await notificationService.notify(userId, {
+      type: 'ROLE_CHANGED',
+      actorId,
+      title,
+      data: { communityId, role }
+    });
+  },
+
+  async notifyUserOfInvite(invite) {
+    const name = await this.getCommunityName(invite.communityId);
+
+    await notificationService.notify(invite.inviteeId, {
+      type: 'COMMUNITY_INVITE',
+      actorId: invite.invitedBy,
+      title: `You're invited to join ${name}`,
+      data: { communityId: invite.communityId, inviteId: invite.id }
+    });
   },
 
-  async processPayment(userId, amount, currency) {
-    // Integration with payment gateway (Stripe, PayPal, etc.)
-    // This is a placeholder implementation
+  // Runs after the post is saved, so a failed lookup is logged rather than failing the request
+  async notifyModeratorsOfPendingPost(post) {
     try {
-      // Payment processing logic here
-      return { success: true, transactionId: 'txn_' + Date.now() };
+      const moderators = await this.getStaffIds(post.communityId, ['OWNER', 'ADMIN', 'MODERATOR']);
+      const name = await this.getCommunityName(post.communityId);
+
+      await notificationService.notify(moderators, {
+        type: 'POST_PENDING_APPROVAL',
+        actorId: post.authorId,
+        title: `A post in ${name} is awaiting approval`,
+        body: post.title,
+        data: { communityId: post.communityId, postId: post.id }
+      });
     } catch (error) {
-      return { success: false, error: error.message };
+      console.error('Error notifying moderators of pending post:', error);
     }
   },
 
-  async processEventPayment(userId, amount, currency) {
-    // Similar to processPayment but for events
-    return this.processPayment(userId, amount, currency);
+  async notifyAuthorOfPostReview(post, actorId) {
+    const approved = this.getPostApprovalStatus(post) === 'APPROVED';
+
+    await notificationService.notify(post.authorId, {
+      type: approved ? 'POST_APPROVED' : 'POST_REJECTED',
+      actorId,
+      title: approved ? `Your post "${post.title}" was approved` : `Your post "${post.title}" was not approved`,
+      body: approved ? null : post.rejectionReason,
+      data: { communityId: post.communityId, postId: post.id }
+    });
   },
 
-  async notifyAdminsOfNewRequest(communityId, userId) {
-    // Send notifications to community admins
-    const admins = await CommunityMember.find({
-      communityId,
-      role: { $in: ['OWNER', 'ADMIN'] },
-      status: 'APPROVED'
-    }).populate('userId');
-
-    // Send notification logic here
-    console.log(`New member request for community ${communityId} from user ${userId}`);
+  // Only followers who can see the event on the wall hear about it; paid posts stay hidden
+  // from anyone who hasn't paid, so they are not announced. Failures are logged: the post is
+  // already published when this runs.
+  async notifyFollowersOfEvent(post) {
+    if (post.isPaid) return;
+
+    try {
+      const followerIds = await userService.getFollowerIds(post.authorId);
+      if (followerIds.length === 0) return;
+
+      const community = await Community.findByPk(post.communityId, { attributes: ['id', 'name', 'isPrivate'] });
+      const memberships = await CommunityMember.findAll({
+        where: { communityId: post.communityId, userId: { [Op.in]: followerIds } },
+        attributes: ['userId', 'status']
+      });
+      const statuses = new Map(memberships.map(member => [member.userId, member.status]));
+      const recipients = followerIds.filter(userId => {
+        const status = statuses.get(userId);
+        return status !== 'BANNED' && (!community.isPrivate || status === 'APPROVED');
+      });
+      const authorName = await userService.getUserName(post.authorId);
+
+      await notificationService.notify(recipients, {
+        type: 'FOLLOWED_USER_EVENT',
+        actorId: post.authorId,
+        title: `${authorName} created an event in ${community.name}`,
+        body: post.title,
+        data: { communityId: post.communityId, postId: post.id }
+      });
+    } catch (error) {
+      console.error('Error notifying followers of event:', error);
+    }
+  },
+
+  async notifyAuthorOfLike(post, userId) {
+    await notificationService.notify(post.authorId, {
+      type: 'POST_LIKED',
+      actorId: userId,
+      title: `Someone liked your post "${post.title}"`,
+      data: { communityId: post.communityId, postId: post.id }
+    });
+  },
+
+  // Repliers notify the parent comment's author; the post author hears about every comment once
+  async notifyOfComment(post, comment, parentAuthorId) {
+    const data = { communityId: post.communityId, postId: post.id, commentId: comment.id };
+
+    if (parentAuthorId) {
+      await notificationService.notify(parentAuthorId, {
+        type: 'COMMENT_REPLIED',
+        actorId: comment.authorId,
+        title: `New reply to your comment on "${post.title}"`,
+        body: comment.content,
+        data
+      });
+    }
+    if (post.authorId !== parentAuthorId) {
+      await notificationService.notify(post.authorId, {
+        type: 'POST_COMMENTED',
+        actorId: comment.authorId,
+        title: `New comment on your post "${post.title}"`,
+        body: comment.content,
+        data
+      });
+    }
   },
 
-  async notifyUserOfApproval(communityId, userId) {
-    // Send approval notification to user
-    console.log(`User ${userId} approved for community ${communityId}`);
+  async notifyWaitlistPromotions(post, promotions) {
+    for (const { entry, ticketCode } of promotions) {
+      const data = { communityId: post.communityId, postId: post.id };
+
+      if (ticketCode) {
+        await notificationService.notify(entry.userId, {
+          type: 'WAITLIST_PROMOTED',
+          title: `A spot opened up: you're registered for ${post.title}`,
+          body: `Your ticket code is ${ticketCode}`,
+          data: { ...data, ticketCode }
+        });
+      } else {
+        await notificationService.notify(entry.userId, {
+          type: 'WAITLIST_OFFER',
+          title: `A spot opened up for ${post.title}`,
+          body: `Get your ticket before ${entry.offerExpiresAt.toUTCString()} to keep it`,
+          data: { ...data, offerExpiresAt: entry.offerExpiresAt.toISOString() }
+        });
+      }
+    }
+  },
+
+  async notifyOccurrenceCancelled(post, occurrence, attendeeIds) {
+    await notificationService.notify(attendeeIds, {
+      type: 'EVENT_CANCELLED',
+      actorId: post.authorId,
+      title: `${post.title} on ${occurrence.startDate.toUTCString()} is cancelled`,
+      data: { communityId: post.communityId, postId: post.id, occurrenceStart: occurrence.occurrenceStart.toISOString() }
+    });
   },
 
   async sendEventRegistrationConfirmation(userId, postId, ticketCode) {
-    // Send event registration confirmation
-    console.log(`Event registration confirmed for user ${userId}, ticket: ${ticketCode}`);
+    const post = await CommunityPost.findByPk(postId, { attributes: ['id', 'title', 'authorId', 'communityId'] });
+    const data = { communityId: post.communityId, postId: post.id };
+
+    await notificationService.notify(userId, {
+      type: 'EVENT_REGISTRATION',
+      title: `You're registered for ${post.title}`,
+      body: `Your ticket code is ${ticketCode}`,
+      data: { ...data, ticketCode }
+    });
+    await notificationService.notify(post.authorId, {
+      type: 'EVENT_REGISTRATION',
+      actorId: userId,
+      title: `New registration for ${post.title}`,
+      data
+    });
   }
 };
 
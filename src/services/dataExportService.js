@@ -0,0 +1,173 @@
+const { Op } = require('sequelize');
+const { GraphQLError } = require('graphql');
+const db = require('../config/dbConfig');
+const logger = require('../utils/logger');
+const fileUploadService = require('./fileUploadService');
+const mailerService = require('./mailerService');
+
+const DataExport = db.DataExport;
+const User = db.User;
+
+const EXPORT_SUBDIRECTORY = 'data-exports';
+const LINK_TTL_HOURS = parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS, 10) || 48;
+const EXPORT_COOLDOWN_HOURS = parseInt(process.env.DATA_EXPORT_COOLDOWN_HOURS, 10) || 24;
+
+// Credentials and provider internals are stripped; everything else we store is handed over as-is
+const SESSION_EXCLUDE = ['accessTokenHash', 'refreshTokenHash', 'fcmToken'];
+const OTP_EXCLUDE = ['otpCode', 'otpHash', 'otpSalt', 'verifyId', 'providerResponse'];
+const PAYMENT_EXCLUDE = ['checkoutUrl', 'webhookData'];
+
+class DataExportService {
+  async requestExport(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new GraphQLError('User not found', {
+        extensions: { code: 'USER_NOT_FOUND' }
+      });
+    }
+    if (!user.email || !user.isEmailVerified) {
+      throw new GraphQLError('Verify an email address to receive your data export', {
+        extensions: { code: 'EMAIL_NOT_VERIFIED' }
+      });
+    }
+
+    const since = new Date(Date.now() - EXPORT_COOLDOWN_HOURS * 60 * 60 * 1000);
+    const recent = await DataExport.findOne({
+      where: { userId, status: { [Op.in]: ['PENDING', 'COMPLETED'] }, createdAt: { [Op.gte]: since } }
+    });
+    if (recent) {
+      throw new GraphQLError(`A data export was already requested in the last ${EXPORT_COOLDOWN_HOURS} hours`, {
+        extensions: { code: 'DATA_EXPORT_RATE_LIMITED' }
+      });
+    }
+
+    const dataExport = await DataExport.create({ userId });
+
+    try {
+      const archive = await this.buildArchive(user);
+      const buffer = Buffer.from(JSON.stringify(archive, null, 2));
+      const objectKey = await fileUploadService.uploadPrivateFile(
+        buffer,
+        `xplore-data-export-${user.id}.json`,
+        'application/json',
+        EXPORT_SUBDIRECTORY
+      );
+
+      const expiresAt = new Date(Date.now() + LINK_TTL_HOURS * 60 * 60 * 1000);
+      const downloadUrl = await fileUploadService.getPresignedUrl(objectKey, LINK_TTL_HOURS * 60 * 60);
+
+      await dataExport.update({ status: 'COMPLETED', objectKey, expiresAt, completedAt: new Date() });
+      await this.sendExportEmail(user, downloadUrl, expiresAt);
+
+      logger.info('Data export completed', { userId, exportId: dataExport.id });
+      return dataExport;
+    } catch (error) {
+      await dataExport.update({ status: 'FAILED', failureReason: error.message });
+      logger.error('Data export failed', { userId, exportId: dataExport.id, error: error.message });
+      throw new GraphQLError('Failed to export your data', {
+        extensions: { code: 'DATA_EXPORT_FAILED' }
+      });
+    }
+  }
+
+  async buildArchive(user) {
+    const where = { userId: user.id };
+    const otpConditions = [{ userId: user.id }];
+    if (user.phoneNumber) otpConditions.push({ phoneNumber: user.phoneNumber, countryCode: user.countryCode });
+    if (user.email) otpConditions.push({ email: user.email });
+
+    const [
+      interests,
+      sessions,
+      memberships,
+      posts,
+      comments,
+      likes,
+      bookmarks,
+      pollVotes,
+      registrations,
+      waitlistEntries,
+      payments,
+      notifications,
+      blocks,
+      follows,
+      otpHistory
+    ] = await Promise.all([
+      db.UserInterest.findAll({
+        where,
+        include: [{ model: db.Interest, as: 'interest', attributes: ['id', 'name', 'slug', 'category'] }]
+      }),
+      db.AuthSession.findAll({ where, attributes: { exclude: SESSION_EXCLUDE } }),
+      db.CommunityMember.findAll({
+        where,
+        include: [{ model: db.Community, as: 'community', attributes: ['id', 'name', 'slug'] }]
+      }),
+      db.CommunityPost.findAll({ where: { authorId: user.id } }),
+      db.PostComment.findAll({ where: { authorId: user.id } }),
+      db.PostLike.findAll({ where }),
+      db.PostBookmark.findAll({ where }),
+      db.PollVote.findAll({ where }),
+      db.EventRegistration.findAll({ where }),
+      db.EventWaitlistEntry.findAll({ where }),
+      db.PaymentSession.findAll({ where, attributes: { exclude: PAYMENT_EXCLUDE } }),
+      db.Notification.findAll({ where }),
+      db.UserBlock.findAll({ where: { blockerId: user.id } }),
+      db.UserFollow.findAll({ where: { [Op.or]: [{ followerId: user.id }, { followingId: user.id }] } }),
+      db.OtpVerification.findAll({ where: { [Op.or]: otpConditions }, attributes: { exclude: OTP_EXCLUDE } })
+    ]);
+
+    const plain = (rows) => rows.map((row) => row.get({ plain: true }));
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile: user.get({ plain: true }),
+      interests: plain(interests),
+      sessions: plain(sessions),
+      memberships: plain(memberships),
+      posts: plain(posts),
+      comments: plain(comments),
+      likes: plain(likes),
+      bookmarks: plain(bookmarks),
+      pollVotes: plain(pollVotes),
+      eventRegistrations: plain(registrations),
+      eventWaitlist: plain(waitlistEntries),
+      payments: plain(payments),
+      notifications: plain(notifications),
+      blockedUsers: plain(blocks),
+      follows: plain(follows),
+      otpHistory: plain(otpHistory)
+    };
+  }
+
+  async sendExportEmail(user, downloadUrl, expiresAt) {
+    const expiry = expiresAt.toUTCString();
+    await mailerService.sendEmail({
+      to: user.email,
+      subject: 'Your Xplore data export is ready',
+      text: `Your data export is ready. Download it here: ${downloadUrl}\nThis link expires on ${expiry}.`,
+      html: `<p>Your data export is ready.</p><p><a href="${downloadUrl}">Download your data</a></p><p>This link expires on ${expiry}.</p>`
+    });
+  }
+
+  // Presigned links stop working on their own, but the archive itself has to be removed from storage
+  async purgeExpiredExports() {
+    const expired = await DataExport.findAll({
+      where: { status: 'COMPLETED', expiresAt: { [Op.lt]: new Date() } }
+    });
+
+    for (const dataExport of expired) {
+      await this.deleteArchive(dataExport);
+    }
+
+    return { count: expired.length };
+  }
+
+  async deleteArchive(dataExport) {
+    if (dataExport.objectKey) {
+      await fileUploadService.deletePrivateFile(dataExport.objectKey);
+    }
+    await dataExport.update({ status: 'EXPIRED', objectKey: null });
+  }
+}
+
+module.exports = new DataExportService();
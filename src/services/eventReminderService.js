@@ -0,0 +1,279 @@
+const { Op } = require('sequelize');
+const db = require('../config/dbConfig');
+const logger = require('../utils/logger');
+const mailerService = require('./mailerService');
+const notificationService = require('./notificationService');
+const recurrence = require('../utils/recurrence');
+const escapeHtml = require('../utils/escapeHtml');
+
+const sequelize = db.sequelize;
+const EventReminder = db.EventReminder;
+const EventRegistration = db.EventRegistration;
+const CommunityPost = db.CommunityPost;
+const User = db.User;
+const Notification = db.Notification;
+
+const MINUTE = 60 * 1000;
+const CLAIM_BATCH_SIZE = 100;
+const CLAIM_LEASE_MINUTES = 10;
+
+// Minutes before the start of an event, e.g. "1440,60" for 24 hours and 1 hour
+const parseOffsets = (value) => [...new Set(
+  value.split(',').map((offset) => parseInt(offset, 10)).filter((offset) => offset > 0)
+)];
+
+const REMINDER_OFFSETS = parseOffsets(process.env.EVENT_REMINDER_OFFSETS_MINUTES || '1440,60');
+// Whole-series registrations of recurring events get reminders for the dates within this many
+// minutes; scheduleRecurringReminders tops them up as the series goes on
+const RECURRING_HORIZON_MINUTES = Math.max(0, ...REMINDER_OFFSETS) + 24 * 60;
+
+class EventReminderService {
+  getStartTime(post) {
+    const startDate = post.eventDetails?.startDate;
+    const startsAt = startDate ? new Date(startDate) : null;
+    return startsAt && !Number.isNaN(startsAt.getTime()) ? startsAt : null;
+  }
+
+  // The starts a registration is reminded of: the event's start, or for recurring events the
+  // registered date or the series' dates coming up
+  getReminderStarts(registration, post) {
+    if (!recurrence.isRecurring(post.eventDetails)) {
+      const startsAt = this.getStartTime(post);
+      return startsAt ? [startsAt] : [];
+    }
+
+    if (registration.occurrenceStart) {
+      const occurrence = recurrence.findOccurrence(post.eventDetails, registration.occurrenceStart);
+      return occurrence ? [occurrence.startDate] : [];
+    }
+
+    return recurrence.expandOccurrences(post.eventDetails, {
+      from: new Date(),
+      to: new Date(Date.now() + RECURRING_HORIZON_MINUTES * MINUTE)
+    }).map((occurrence) => occurrence.startDate);
+  }
+
+  // Offsets that have already passed at registration time are left out rather than sent late
+  buildReminders(registrations, post) {
+    const now = Date.now();
+    return registrations.flatMap((registration) => this.getReminderStarts(registration, post)
+      .flatMap((eventStartsAt) => REMINDER_OFFSETS.map((offsetMinutes) => ({
+        registrationId: registration.id,
+        userId: registration.userId,
+        postId: post.id,
+        offsetMinutes,
+        eventStartsAt,
+        sendAt: new Date(eventStartsAt.getTime() - offsetMinutes * MINUTE)
+      })))
+      .filter((reminder) => reminder.sendAt.getTime() > now));
+  }
+
+  async scheduleForRegistration(registration, post, transaction) {
+    const reminders = this.buildReminders([registration], post);
+    if (reminders.length === 0) return [];
+
+    return EventReminder.bulkCreate(reminders, { ignoreDuplicates: true, transaction });
+  }
+
+  // Reminders already sent for the old start time stay as they are; every attendee gets a fresh
+  // set for the new time, so a 24h reminder goes out again if the event moved by more than that
+  async rescheduleForEvent(post, transaction) {
+    await EventReminder.destroy({
+      where: { postId: post.id, status: 'PENDING' },
+      transaction
+    });
+
+    const registrations = await EventRegistration.findAll({
+      where: { postId: post.id },
+      attributes: ['id', 'userId', 'occurrenceStart'],
+      transaction
+    });
+    const reminders = this.buildReminders(registrations, post);
+    if (reminders.length > 0) {
+      await EventReminder.bulkCreate(reminders, { ignoreDuplicates: true, transaction });
+    }
+
+    logger.info('Event reminders rescheduled', { postId: post.id, reminders: reminders.length });
+    return reminders.length;
+  }
+
+  // Reminders that already exist (sent, skipped or pending) are left alone by ignoreDuplicates
+  async scheduleRecurringReminders() {
+    const posts = await CommunityPost.findAll({
+      where: { type: 'EVENT', isArchived: false, 'eventDetails.recurrence.frequency': { [Op.ne]: null } },
+      attributes: ['id', 'eventDetails']
+    });
+
+    for (const post of posts) {
+      const registrations = await EventRegistration.findAll({
+        where: { postId: post.id, occurrenceStart: null },
+        attributes: ['id', 'userId', 'occurrenceStart']
+      });
+      const reminders = this.buildReminders(registrations, post);
+      if (reminders.length > 0) {
+        await EventReminder.bulkCreate(reminders, { ignoreDuplicates: true });
+      }
+    }
+
+    return { events: posts.length };
+  }
+
+  // A reminder that fails is left claimed and retried once its lease runs out
+  async sendDueReminders() {
+    let sent = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    while (true) {
+      const reminders = await this.claimDueReminders();
+      for (const reminder of reminders) {
+        try {
+          if (await this.deliver(reminder)) {
+            sent += 1;
+          } else {
+            skipped += 1;
+          }
+        } catch (error) {
+          failed += 1;
+          logger.error('Failed to send event reminder', { reminderId: reminder.id, error: error.message });
+        }
+      }
+      if (reminders.length < CLAIM_BATCH_SIZE) break;
+    }
+
+    return { sent, skipped, failed };
+  }
+
+  // Claimed reminders are leased (SENDING) rather than marked SENT, and each one is marked SENT
+  // only after it has been delivered. SKIP LOCKED keeps concurrent runs from claiming the same
+  // rows; a lease older than CLAIM_LEASE_MINUTES belongs to a run that crashed or failed and is
+  // claimed again.
+  async claimDueReminders() {
+    const now = new Date();
+    const transaction = await sequelize.transaction();
+    try {
+      const reminders = await EventReminder.findAll({
+        where: {
+          [Op.or]: [
+            { status: 'PENDING', sendAt: { [Op.lte]: now } },
+            { status: 'SENDING', claimedAt: { [Op.lt]: new Date(now.getTime() - CLAIM_LEASE_MINUTES * MINUTE) } }
+          ]
+        },
+        order: [['sendAt', 'ASC']],
+        limit: CLAIM_BATCH_SIZE,
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      if (reminders.length > 0) {
+        await EventReminder.update(
+          { status: 'SENDING', claimedAt: now },
+          { where: { id: { [Op.in]: reminders.map((reminder) => reminder.id) } }, transaction }
+        );
+      }
+
+      await transaction.commit();
+      // previousStatus tells deliver whether an earlier attempt may already have notified the user
+      return reminders.map((reminder) => Object.assign(reminder, { previousStatus: reminder.status, status: 'SENDING', claimedAt: now }));
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Only the run holding the lease may settle the reminder, so a run whose lease expired
+  // mid-delivery can't overwrite the outcome of the run that reclaimed it
+  async settle(reminder, status) {
+    const [updated] = await EventReminder.update(
+      { status, ...(status === 'SENT' && { sentAt: new Date() }) },
+      { where: { id: reminder.id, status: 'SENDING', claimedAt: reminder.claimedAt } }
+    );
+    return updated > 0;
+  }
+
+  // An attempt that notified the user but crashed before marking the reminder SENT
+  async wasNotified(reminder) {
+    const count = await Notification.count({
+      where: { userId: reminder.userId, type: 'EVENT_REMINDER', 'data.reminderId': reminder.id }
+    });
+    return count > 0;
+  }
+
+  // Returns false when the reminder is no longer relevant and was marked SKIPPED instead
+  async deliver(reminder) {
+    const [post, user] = await Promise.all([
+      CommunityPost.findByPk(reminder.postId, { attributes: ['id', 'communityId', 'title', 'eventDetails', 'isArchived'] }),
+      User.findByPk(reminder.userId, {
+        attributes: ['id', 'name', 'email', 'isActive', 'isEmailVerified', 'emailNotificationsEnabled', 'eventRemindersEnabled']
+      })
+    ]);
+
+    const startsAt = reminder.eventStartsAt;
+    const current = post && !post.isArchived && this.isCurrentStart(post, startsAt);
+    if (!current || startsAt <= new Date() || !user?.isActive || !user.eventRemindersEnabled) {
+      await this.settle(reminder, 'SKIPPED');
+      return false;
+    }
+
+    if (reminder.previousStatus === 'SENDING' && await this.wasNotified(reminder)) {
+      await this.settle(reminder, 'SENT');
+      return true;
+    }
+
+    const when = this.describeOffset(reminder.offsetMinutes);
+    const title = `${post.title} starts in ${when}`;
+    const body = `Starts ${startsAt.toUTCString()}`;
+
+    const notifications = await notificationService.notify(user.id, {
+      type: 'EVENT_REMINDER',
+      title,
+      body,
+      data: { communityId: post.communityId, postId: post.id, reminderId: reminder.id }
+    });
+    // notify logs and swallows its own errors; the reminder stays claimed so it is retried
+    if (notifications.length === 0) {
+      throw new Error('Reminder notification could not be created');
+    }
+
+    if (user.email && user.isEmailVerified && user.emailNotificationsEnabled) {
+      try {
+        await mailerService.sendEmail({
+          to: user.email,
+          subject: `Reminder: ${title}`,
+          text: `Hi ${user.name}, ${post.title} starts in ${when} (${startsAt.toUTCString()}).`,
+          html: `<p>Hi ${escapeHtml(user.name)},</p><p><b>${escapeHtml(post.title)}</b> starts in ${when} (${startsAt.toUTCString()}).</p>`
+        });
+      } catch (error) {
+        logger.warn('Failed to email event reminder', { reminderId: reminder.id, error: error.message });
+      }
+    }
+
+    await this.settle(reminder, 'SENT');
+    return true;
+  }
+
+  // False once the event (or that date of a recurring event) has moved or been cancelled
+  isCurrentStart(post, startsAt) {
+    if (!recurrence.isRecurring(post.eventDetails)) {
+      return this.getStartTime(post)?.getTime() === startsAt.getTime();
+    }
+
+    const occurrence = recurrence.findOccurrence(post.eventDetails, startsAt);
+    return occurrence?.startDate.getTime() === startsAt.getTime();
+  }
+
+  describeOffset(minutes) {
+    if (minutes % (24 * 60) === 0) {
+      const days = minutes / (24 * 60);
+      return days === 1 ? '1 day' : `${days} days`;
+    }
+    if (minutes % 60 === 0) {
+      const hours = minutes / 60;
+      return hours === 1 ? '1 hour' : `${hours} hours`;
+    }
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+  }
+}
+
+module.exports = new EventReminderService();
@@ -17,6 +17,8 @@ class FileUploadService {
       region: process.env.REGION
     });
     this.bucketName = process.env.BUCKET_NAME;
+    // Personal files (data exports) live in their own bucket with no public access or CDN in front of it
+    this.privateBucketName = process.env.PRIVATE_BUCKET_NAME;
     this.defaultSubDirectory = SUBDIRECTORY;
     
     // CDN configuration
@@ -44,6 +46,18 @@ class FileUploadService {
     }
   }
 
+  // Refuses to fall back to the public bucket, so an unset variable can't expose private files
+  async verifyPrivateBucket() {
+    if (!this.privateBucketName || this.privateBucketName === this.bucketName) {
+      throw new GraphQLError('PRIVATE_BUCKET_NAME must name a bucket separate from BUCKET_NAME', { extensions: { code: 'SERVICE_UNAVAILABLE' } });
+    }
+    const exists = await this.minioClient.bucketExists(this.privateBucketName);
+    if (!exists) {
+      throw new GraphQLError(`Bucket '${this.privateBucketName}' does not exist`, { extensions: { code: 'SERVICE_UNAVAILABLE' } });
+    }
+    return true;
+  }
+
   async healthCheck() {
     try {
       await this.verifyMinioConnection();
@@ -208,6 +222,44 @@ class FileUploadService {
     }
   }
 
+  // Returns the object key in the private bucket rather than a URL, callers hand out presigned links instead
+  async uploadPrivateFile(buffer, originalName, contentType, subDirectory) {
+    try {
+      await this.verifyPrivateBucket();
+      const objectKey = `${subDirectory}/${this.generateUniqueFileName(originalName)}`;
+      await this.minioClient.putObject(this.privateBucketName, objectKey, buffer, buffer.length, {
+        'Content-Type': contentType,
+        'x-amz-acl': 'private',
+        'Content-Disposition': `attachment; filename="${path.basename(originalName)}"`
+      });
+      logger.info('Private file uploaded to MinIO', { objectKey, size: buffer.length });
+      return objectKey;
+    } catch (error) {
+      logger.error('FileUploadService.uploadPrivateFile failed', { error });
+      throw new GraphQLError('Failed to upload file', { extensions: { code: 'FILE_UPLOAD_FAILED' } });
+    }
+  }
+
+  async getPresignedUrl(objectKey, expirySeconds) {
+    try {
+      return await this.minioClient.presignedGetObject(this.privateBucketName, objectKey, expirySeconds);
+    } catch (error) {
+      logger.error('FileUploadService.getPresignedUrl failed', { objectKey, error });
+      throw new GraphQLError('Failed to create download link', { extensions: { code: 'FILE_LINK_FAILED' } });
+    }
+  }
+
+  async deletePrivateFile(objectKey) {
+    try {
+      await this.minioClient.removeObject(this.privateBucketName, objectKey);
+      logger.info('Private file deleted from MinIO', { objectKey });
+      return true;
+    } catch (error) {
+      logger.error('FileUploadService.deletePrivateFile failed', { objectKey, error });
+      throw new GraphQLError('Failed to delete file', { extensions: { code: 'FILE_DELETE_FAILED' } });
+    }
+  }
+
   validateImageFile(file, maxSizeMB = 5) {
     let mimetype, size, filename;
     if (file) {
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const { redisOptions } = require('../config/redisConfig');
+
+const LOCK_PREFIX = 'jobs:lock:';
+const RUNNING_PREFIX = 'jobs:running:';
+// The running lock expires this long after its last renewal, so a crashed instance blocks a job only briefly
+const RUNNING_LOCK_TTL_MS = 30 * 1000;
+const RUNNING_LOCK_RENEW_MS = RUNNING_LOCK_TTL_MS / 3;
+
+// Only the instance that holds a lock may extend or release it
+const RENEW_IF_OWNER = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  end
+  return 0`;
+const RELEASE_IF_OWNER = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0`;
+// First run shortly after boot, so long intervals still run on instances that are redeployed often
+const STARTUP_DELAY_MS = 30 * 1000;
+
+// Runs housekeeping jobs on fixed intervals inside the API process. Every instance
+// schedules every job, and a Redis lock (SET NX PX) decides which one actually runs a
+// given tick. The lock is held for the rest of the interval, so instances whose timers
+// fire slightly later don't repeat the work and a failing job is retried on the next tick.
+// A run that outlasts its interval is covered by a second, "running" lock that is renewed
+// while the handler works, so the next tick's winner skips instead of overlapping it.
+class JobScheduler {
+  constructor() {
+    this.instanceId = `${process.pid}-${crypto.randomUUID()}`;
+    this.jobs = new Map();
+    this.timers = [];
+    this.redis = null;
+    this.started = false;
+  }
+
+  register({ name, intervalMs, handler }) {
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      running: false,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastSuccessAt: null,
+      lastResult: null,
+      lastError: null,
+      lastErrorAt: null,
+      consecutiveFailures: 0,
+      totalRuns: 0,
+      totalFailures: 0,
+      lastSkippedAt: null
+    });
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.redis = new Redis({ ...redisOptions });
+    this.redis.on('error', (err) => logger.error('Redis error (job scheduler):', err));
+
+    for (const job of this.jobs.values()) {
+      const timers = [
+        setTimeout(() => this.tick(job), Math.min(STARTUP_DELAY_MS, job.intervalMs)),
+        setInterval(() => this.tick(job), job.intervalMs)
+      ];
+      timers.forEach((timer) => timer.unref());
+      this.timers.push(...timers);
+    }
+
+    logger.info('Job scheduler started', { instanceId: this.instanceId, jobs: [...this.jobs.keys()] });
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+
+    // Let in-flight jobs finish so they don't get cut off mid-transaction
+    while ([...this.jobs.values()].some((job) => job.running)) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    await this.redis.quit();
+    logger.info('Job scheduler stopped');
+  }
+
+  async acquireLock(job) {
+    const ttl = Math.max(job.intervalMs - 1000, 1000);
+    const result = await this.redis.set(`${LOCK_PREFIX}${job.name}`, this.instanceId, 'PX', ttl, 'NX');
+    return result === 'OK';
+  }
+
+  async acquireRunningLock(job) {
+    const result = await this.redis.set(`${RUNNING_PREFIX}${job.name}`, this.instanceId, 'PX', RUNNING_LOCK_TTL_MS, 'NX');
+    return result === 'OK';
+  }
+
+  async renewRunningLock(job) {
+    try {
+      const renewed = await this.redis.eval(RENEW_IF_OWNER, 1, `${RUNNING_PREFIX}${job.name}`, this.instanceId, RUNNING_LOCK_TTL_MS);
+      if (!renewed) {
+        logger.warn('Job running lock lost while the job was still running', { job: job.name });
+      }
+    } catch (error) {
+      logger.error('Failed to renew job running lock', { job: job.name, error: error.message });
+    }
+  }
+
+  async releaseRunningLock(job) {
+    try {
+      await this.redis.eval(RELEASE_IF_OWNER, 1, `${RUNNING_PREFIX}${job.name}`, this.instanceId);
+    } catch (error) {
+      // Left to expire on its own
+      logger.error('Failed to release job running lock', { job: job.name, error: error.message });
+    }
+  }
+
+  async tick(job) {
+    if (job.running) return;
+
+    let locked;
+    try {
+      locked = await this.acquireLock(job) && await this.acquireRunningLock(job);
+    } catch (error) {
+      logger.error('Job lock unavailable, skipping run', { job: job.name, error: error.message });
+      job.lastSkippedAt = new Date();
+      return;
+    }
+
+    if (!locked) {
+      job.lastSkippedAt = new Date();
+      return;
+    }
+
+    const renewal = setInterval(() => this.renewRunningLock(job), RUNNING_LOCK_RENEW_MS);
+    renewal.unref();
+    try {
+      await this.run(job);
+    } finally {
+      clearInterval(renewal);
+      await this.releaseRunningLock(job);
+    }
+  }
+
+  async run(job) {
+    job.running = true;
+    const startedAt = new Date();
+
+    try {
+      job.lastResult = await job.handler();
+      job.lastSuccessAt = new Date();
+      job.consecutiveFailures = 0;
+      logger.info('Scheduled job completed', { job: job.name, result: job.lastResult });
+    } catch (error) {
+      job.lastError = error.message;
+      job.lastErrorAt = new Date();
+      job.consecutiveFailures += 1;
+      job.totalFailures += 1;
+      logger.error('Scheduled job failed', { job: job.name, error: error.message, stack: error.stack });
+    } finally {
+      job.running = false;
+      job.totalRuns += 1;
+      job.lastRunAt = startedAt;
+      job.lastDurationMs = Date.now() - startedAt.getTime();
+    }
+  }
+
+  getStatus() {
+    return [...this.jobs.values()].map(({ handler, ...status }) => status);
+  }
+
+  // Housekeeping failures are reported but never take the instance out of rotation
+  async healthCheck() {
+    return {
+      service: 'Jobs',
+      status: 'healthy',
+      enabled: this.started,
+      instanceId: this.instanceId,
+      jobs: this.getStatus()
+    };
+  }
+}
+
+module.exports = new JobScheduler();
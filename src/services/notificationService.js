@@ -0,0 +1,133 @@
+const { Op } = require('sequelize');
+const { GraphQLError } = require('graphql');
+const db = require('../config/dbConfig');
+const logger = require('../utils/logger');
+const paginate = require('../utils/paginate');
+const pubsub = require('./pubSubService');
+const pushService = require('./pushService');
+
+const Notification = db.Notification;
+
+const NOTIFICATION_RECEIVED = 'NOTIFICATION_RECEIVED';
+const MAX_MARK_READ_IDS = 100;
+// Which of the user's push opt-ins a notification type falls under; unlisted types
+// only need push notifications to be enabled
+const PUSH_PREFERENCES = {
+  MEMBERSHIP_REQUEST: 'COMMUNITY_UPDATES',
+  MEMBERSHIP_APPROVED: 'COMMUNITY_UPDATES',
+  ROLE_CHANGED: 'COMMUNITY_UPDATES',
+  COMMUNITY_INVITE: 'COMMUNITY_UPDATES',
+  POST_PENDING_APPROVAL: 'COMMUNITY_UPDATES',
+  POST_APPROVED: 'COMMUNITY_UPDATES',
+  POST_REJECTED: 'COMMUNITY_UPDATES',
+  POST_LIKED: 'COMMUNITY_UPDATES',
+  POST_COMMENTED: 'COMMUNITY_UPDATES',
+  COMMENT_REPLIED: 'COMMUNITY_UPDATES',
+  EVENT_REMINDER: 'EVENT_REMINDERS'
+};
+
+class NotificationService {
+  channel(userId) {
+    return `${NOTIFICATION_RECEIVED}:${userId}`;
+  }
+
+  // Notifications are a side effect of actions that have already committed,
+  // so a failure here is logged and never surfaced to the user who acted
+  async notify(userIds, { type, actorId = null, title, body = null, data = {} }) {
+    const recipients = [...new Set([].concat(userIds))].filter((userId) => userId && userId !== actorId);
+    if (recipients.length === 0) return [];
+
+    try {
+      const notifications = await Notification.bulkCreate(
+        recipients.map((userId) => ({ userId, actorId, type, title, body, data })),
+        { returning: true }
+      );
+
+      notifications.forEach((notification) => this.publish(notification));
+      this.push(notifications);
+
+      return notifications;
+    } catch (error) {
+      logger.error('Failed to create notifications', { type, recipients: recipients.length, error: error.message });
+      return [];
+    }
+  }
+
+  publish(notification) {
+    const payload = notification.get({ plain: true });
+    pubsub.publish(this.channel(payload.userId), payload).catch((error) => {
+      logger.error('Failed to publish notification', { notificationId: payload.id, error: error.message });
+    });
+  }
+
+  // Not awaited by notify: push goes to external providers and must not hold up the request.
+  // All of a notify call's notifications share type, title and body, so they go out as one send.
+  push(notifications) {
+    const { type, title, body, data } = notifications[0];
+
+    return pushService.sendToUsers(notifications.map((notification) => notification.userId), {
+      preference: PUSH_PREFERENCES[type] || null,
+      title,
+      body,
+      data: { ...data, type },
+      dataByUser: Object.fromEntries(notifications.map(({ id, userId }) => [userId, { notificationId: id }]))
+    });
+  }
+
+  async getNotifications({ userId, limit, cursor, unreadOnly }) {
+    try {
+      const order = [['createdAt', 'DESC'], ['id', 'DESC']];
+      const result = await paginate({
+        model: Notification,
+        where: unreadOnly ? { userId, readAt: null } : { userId },
+        order,
+        limit,
+        after: cursor,
+        toCursor: (row) => ({ createdAt: row.createdAt, id: row.id })
+      });
+
+      return {
+        edges: result.edges,
+        pageInfo: {
+          hasNextPage: result.pageInfo.hasNextPage,
+          hasPreviousPage: !!cursor,
+          totalCount: result.totalCount,
+          cursor: result.pageInfo.hasNextPage ? result.pageInfo.endCursor : null
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to fetch notifications', { userId, error: error.message });
+      throw new GraphQLError('Failed to fetch notifications', {
+        extensions: { code: 'NOTIFICATIONS_FETCH_FAILED' }
+      });
+    }
+  }
+
+  async getUnreadCount(userId) {
+    return Notification.count({ where: { userId, readAt: null } });
+  }
+
+  async markRead(userId, ids) {
+    if (ids.length > MAX_MARK_READ_IDS) {
+      throw new GraphQLError(`At most ${MAX_MARK_READ_IDS} notifications can be marked at once`, {
+        extensions: { code: 'INVALID_INPUT', field: 'ids' }
+      });
+    }
+
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { id: { [Op.in]: ids }, userId, readAt: null } }
+    );
+    return updated;
+  }
+
+  async markAllRead(userId) {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId, readAt: null } }
+    );
+    return updated;
+  }
+}
+
+module.exports = new NotificationService();
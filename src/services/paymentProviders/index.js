@@ -0,0 +1,39 @@
+const LocalPaymentProvider = require('./localPaymentProvider');
+
+/*
+ * A payment provider implements:
+ *   name                                   - stored on PaymentSession.provider
+ *   createCheckoutSession({ amount, currency, reference, expiresAt, metadata })
+ *                                          - resolves to { sessionId, checkoutUrl }
+ *   verifyWebhook(rawBody, headers)        - returns the parsed event or throws if the signature is invalid
+ *   refund({ sessionId, paymentId, amount, currency, idempotencyKey })
+ *                                          - resolves to { refundId }; repeated calls with the same
+ *                                            idempotencyKey must not refund twice
+ *
+ * Webhook events use the Stripe shape: { id, type, data: { object: { id, payment_intent, ... } } }
+ * where data.object.id is the checkout session id.
+ */
+const providers = {
+  local: () => new LocalPaymentProvider({
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+    checkoutBaseUrl: requireEnv('PAYMENT_CHECKOUT_BASE_URL')
+  })
+};
+
+// Checkout URLs are handed to clients, so a missing setting stops startup instead of producing dead links
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`${name} is not configured`);
+  }
+  return process.env[name];
+}
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'local') => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unsupported payment provider: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = { getPaymentProvider };
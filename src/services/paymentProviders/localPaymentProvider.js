@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Provider for development and tests: checkouts never leave the process, "payments"
+// are completed by posting a webhook signed with PAYMENT_WEBHOOK_SECRET and refunds always succeed.
+class LocalPaymentProvider {
+  constructor({ webhookSecret, checkoutBaseUrl }) {
+    this.name = 'local';
+    this.webhookSecret = webhookSecret;
+    this.checkoutBaseUrl = checkoutBaseUrl;
+  }
+
+  async createCheckoutSession() {
+    const sessionId = `cs_local_${crypto.randomUUID()}`;
+    return { sessionId, checkoutUrl: `${this.checkoutBaseUrl}/${sessionId}` };
+  }
+
+  // The refund id is derived from the idempotency key, so retrying a refund returns the same one
+  async refund({ idempotencyKey }) {
+    return { refundId: `re_local_${idempotencyKey}` };
+  }
+
+  sign(body, timestamp) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Header format mirrors Stripe's: "t=<unix seconds>,v1=<hex hmac of `${t}.${body}`>"
+  verifyWebhook(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+    }
+
+    const header = headers[SIGNATURE_HEADER];
+    const parts = Object.fromEntries(
+      (header || '').split(',').map((part) => part.split('=').map((s) => s.trim()))
+    );
+    if (!parts.t || !parts.v1) {
+      throw new Error('Missing or malformed signature header');
+    }
+
+    if (Math.abs(Date.now() / 1000 - Number(parts.t)) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Signature timestamp outside tolerance');
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+    const expected = Buffer.from(this.sign(body, parts.t), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(body);
+  }
+
+  // Builds the request the provider would send, e.g. to simulate a completed checkout
+  createSignedEvent(type, object) {
+    const body = JSON.stringify({
+      id: `evt_local_${crypto.randomUUID()}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object }
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+      body,
+      headers: {
+        'content-type': 'application/json',
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${this.sign(body, timestamp)}`
+      }
+    };
+  }
+}
+
+module.exports = LocalPaymentProvider;
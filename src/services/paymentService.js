@@ -0,0 +1,359 @@
+const { Op } = require('sequelize');
+const { GraphQLError } = require('graphql');
+const db = require('../config/dbConfig');
+const logger = require('../utils/logger');
+const communityService = require('./communityService');
+const { getPaymentProvider } = require('./paymentProviders');
+
+const sequelize = db.sequelize;
+const PaymentSession = db.PaymentSession;
+const Community = db.Community;
+const CommunityPost = db.CommunityPost;
+
+const SESSION_TTL_MINUTES = parseInt(process.env.PAYMENT_SESSION_TTL_MINUTES, 10) || 30;
+const REFUND_RETRY_DELAY_MINUTES = 10;
+const REFUND_RETRY_BATCH_SIZE = 50;
+// Statuses a completed-checkout webhook doesn't change any more
+const SETTLED_STATUSES = ['COMPLETED', 'REFUND_REQUIRED', 'REFUNDED'];
+// Closed without a payment; a completed-checkout webhook for these is refunded, not fulfilled
+const CLOSED_STATUSES = ['FAILED', 'EXPIRED'];
+
+class PaymentService {
+  constructor() {
+    this.provider = getPaymentProvider();
+  }
+
+  // An invite code is checked here and carried on the session, so fulfilling the payment redeems it
+  // and an invited user skips the approval queue like a free join would
+  async createCommunityCheckout(communityId, userId, inviteCode = null) {
+    const community = await Community.findByPk(communityId);
+    if (!community) {
+      throw new GraphQLError('Community not found', {
+        extensions: { code: 'COMMUNITY_NOT_FOUND' }
+      });
+    }
+    communityService.checkNotArchived(community);
+    if (!community.isPaid || !(Number(community.price) > 0)) {
+      throw new GraphQLError('This community is free to join', {
+        extensions: { code: 'INVALID_INPUT' }
+      });
+    }
+
+    await communityService.checkCanJoin(communityId, userId);
+    if (inviteCode) {
+      await communityService.findUsableInvite(communityId, userId, inviteCode);
+    }
+
+    return this.openCheckout({
+      userId,
+      purpose: 'COMMUNITY_JOIN',
+      communityId,
+      inviteCode,
+      amount: community.price,
+      currency: community.currency || 'USD'
+    });
+  }
+
+  // For recurring events the ticket is for one date (occurrenceDate) or for the whole series
+  async createEventCheckout(postId, userId, occurrenceDate = null) {
+    const { post, occurrence } = await communityService.findEventForRegistration(postId, userId, null, occurrenceDate);
+    if (!communityService.isPaidEvent(post)) {
+      throw new GraphQLError('This event is free, register for it directly', {
+        extensions: { code: 'INVALID_INPUT' }
+      });
+    }
+
+    return this.openCheckout({
+      userId,
+      purpose: 'EVENT_TICKET',
+      communityId: post.communityId,
+      postId,
+      occurrenceStart: occurrence?.occurrenceStart || null,
+      amount: post.eventDetails.ticketPrice,
+      currency: post.eventDetails.currency || 'USD'
+    });
+  }
+
+  // Retried checkout mutations get the still-open session back instead of a second charge
+  async openCheckout({ userId, purpose, communityId, postId = null, occurrenceStart = null, inviteCode = null, amount, currency }) {
+    const existing = await PaymentSession.findOne({
+      where: {
+        userId,
+        purpose,
+        communityId,
+        postId,
+        occurrenceStart,
+        inviteCode,
+        amount,
+        status: 'CREATED',
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+    if (existing) return existing;
+
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+
+    try {
+      const { sessionId, checkoutUrl } = await this.provider.createCheckoutSession({
+        amount,
+        currency,
+        reference: `${purpose}:${postId || communityId}:${userId}`,
+        expiresAt,
+        metadata: { userId, purpose, communityId, postId, occurrenceStart: occurrenceStart?.toISOString() }
+      });
+
+      const session = await PaymentSession.create({
+        sessionId,
+        provider: this.provider.name,
+        purpose,
+        userId,
+        communityId,
+        postId,
+        occurrenceStart,
+        inviteCode,
+        amount,
+        currency,
+        checkoutUrl,
+        expiresAt
+      });
+
+      logger.info('Payment session created', { sessionId, purpose, userId });
+      return session;
+    } catch (error) {
+      logger.error('Failed to create payment session', { purpose, userId, error: error.message });
+      throw new GraphQLError('Failed to start checkout', {
+        extensions: { code: 'PAYMENT_CHECKOUT_FAILED' }
+      });
+    }
+  }
+
+  async getSession(id, userId) {
+    const session = await PaymentSession.findOne({ where: { id, userId } });
+    if (!session) {
+      throw new GraphQLError('Payment session not found', {
+        extensions: { code: 'PAYMENT_SESSION_NOT_FOUND' }
+      });
+    }
+    return session;
+  }
+
+  verifyWebhook(rawBody, headers) {
+    return this.provider.verifyWebhook(rawBody, headers);
+  }
+
+  async processWebhookEvent(event) {
+    const sessionId = event.data?.object?.id;
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        return this.completeSession(sessionId, event);
+      case 'checkout.session.expired':
+        return this.closeSession(sessionId, 'EXPIRED', event);
+      case 'checkout.session.async_payment_failed':
+        return this.closeSession(sessionId, 'FAILED', event);
+      default:
+        logger.info('Ignoring unhandled payment webhook event', { type: event.type, eventId: event.id });
+        return { ignored: true };
+    }
+  }
+
+  // Providers retry webhooks, so a session that has already been settled (completed, or handed
+  // over for a refund) is acknowledged without fulfilling or refunding it again
+  async completeSession(sessionId, event) {
+    let session;
+    let membership = null;
+    let ticketCode = null;
+
+    const transaction = await sequelize.transaction();
+    try {
+      session = await PaymentSession.findOne({
+        where: { sessionId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!session) {
+        await transaction.commit();
+        logger.warn('Payment webhook for unknown session', { sessionId, eventId: event.id });
+        return { notFound: true };
+      }
+
+      if (SETTLED_STATUSES.includes(session.status)) {
+        await transaction.commit();
+        logger.info('Duplicate payment webhook ignored', { sessionId, status: session.status, eventId: event.id });
+        return { session, duplicate: true };
+      }
+
+      const gatewayPaymentId = event.data.object.payment_intent || null;
+      const paymentFields = { gatewayPaymentId, webhookReceived: true, webhookData: event };
+
+      // The session expired or failed on our side but the provider took the money anyway
+      if (CLOSED_STATUSES.includes(session.status)) {
+        await session.update({ ...paymentFields, status: 'REFUND_REQUIRED', failureReason: 'SESSION_CLOSED' }, { transaction });
+      } else {
+        try {
+          if (session.purpose === 'COMMUNITY_JOIN') {
+            membership = await this.fulfillCommunityJoin(session, transaction);
+          } else {
+            ticketCode = await this.fulfillEventTicket(session, gatewayPaymentId, transaction);
+          }
+          await session.update({ ...paymentFields, status: 'COMPLETED', completedAt: new Date() }, { transaction });
+        } catch (error) {
+          if (!(error instanceof GraphQLError)) throw error;
+
+          // The provider has captured the money but we can't grant access (sold out, banned, ...)
+          await session.update({ ...paymentFields, status: 'REFUND_REQUIRED', failureReason: error.extensions.code }, { transaction });
+        }
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to process completed payment', { sessionId, error: error.message });
+      throw error;
+    }
+
+    if (session.status === 'REFUND_REQUIRED') {
+      logger.warn('Payment captured but could not be fulfilled, refunding', {
+        sessionId,
+        gatewayPaymentId: session.gatewayPaymentId,
+        reason: session.failureReason
+      });
+      await this.refundSession(session);
+    }
+    if (membership?.status === 'PENDING') {
+      await communityService.notifyAdminsOfNewRequest(session.communityId, session.userId);
+    }
+    if (ticketCode) {
+      await communityService.sendEventRegistrationConfirmation(session.userId, session.postId, ticketCode);
+    }
+
+    logger.info('Payment session processed', { sessionId, status: session.status });
+    return { session, membership };
+  }
+
+  // A failed refund leaves the session REFUND_REQUIRED for retryPendingRefunds; the session id is the
+  // idempotency key, so a retry racing an earlier attempt can't refund twice
+  async refundSession(session) {
+    try {
+      const { refundId } = await this.provider.refund({
+        sessionId: session.sessionId,
+        paymentId: session.gatewayPaymentId,
+        amount: session.amount,
+        currency: session.currency,
+        idempotencyKey: session.id
+      });
+
+      await PaymentSession.update(
+        { status: 'REFUNDED', refundId, refundedAt: new Date() },
+        { where: { id: session.id, status: 'REFUND_REQUIRED' } }
+      );
+      session.set({ status: 'REFUNDED', refundId });
+      logger.info('Payment refunded', { sessionId: session.sessionId, refundId });
+      return true;
+    } catch (error) {
+      logger.error('Payment refund failed, will retry', { sessionId: session.sessionId, error: error.message });
+      return false;
+    }
+  }
+
+  // Skips sessions that were only just marked, so the webhook's own refund attempt isn't raced
+  async retryPendingRefunds() {
+    const sessions = await PaymentSession.findAll({
+      where: {
+        status: 'REFUND_REQUIRED',
+        updatedAt: { [Op.lt]: new Date(Date.now() - REFUND_RETRY_DELAY_MINUTES * 60 * 1000) }
+      },
+      order: [['updatedAt', 'ASC']],
+      limit: REFUND_RETRY_BATCH_SIZE
+    });
+
+    let refunded = 0;
+    for (const session of sessions) {
+      if (await this.refundSession(session)) refunded++;
+    }
+
+    return { pending: sessions.length, refunded };
+  }
+
+  // A paid request to join that admins turn down (rejected, or banned while pending) is handed back.
+  // Runs in the caller's transaction; refundCommunityJoin sends the refund once it has committed.
+  async requireCommunityJoinRefund(communityId, userId, reason, transaction) {
+    const session = await PaymentSession.findOne({
+      where: { purpose: 'COMMUNITY_JOIN', communityId, userId, status: 'COMPLETED' },
+      order: [['completedAt', 'DESC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!session) return null;
+
+    await session.update({ status: 'REFUND_REQUIRED', failureReason: reason }, { transaction });
+    return session;
+  }
+
+  // Called after the caller has committed; anything that fails stays REFUND_REQUIRED for retryPendingRefunds
+  async refundCommunityJoin(communityId, userId) {
+    try {
+      const sessions = await PaymentSession.findAll({
+        where: { purpose: 'COMMUNITY_JOIN', communityId, userId, status: 'REFUND_REQUIRED' }
+      });
+
+      for (const session of sessions) {
+        logger.info('Refunding payment for a declined join request', { sessionId: session.sessionId, reason: session.failureReason });
+        await this.refundSession(session);
+      }
+    } catch (error) {
+      logger.error('Failed to refund declined join request', { communityId, userId, error: error.message });
+    }
+  }
+
+  async fulfillCommunityJoin(session, transaction) {
+    const community = await Community.findByPk(session.communityId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!community) {
+      throw new GraphQLError('Community not found', {
+        extensions: { code: 'COMMUNITY_NOT_FOUND' }
+      });
+    }
+
+    await communityService.checkCanJoin(community.id, session.userId, transaction);
+    const invite = await communityService.redeemInvite(community.id, session.userId, session.inviteCode, transaction);
+    return communityService.createMembership(community, session.userId, transaction, invite);
+  }
+
+  async fulfillEventTicket(session, gatewayPaymentId, transaction) {
+    const post = await CommunityPost.findByPk(session.postId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!post || post.isArchived) {
+      throw new GraphQLError('Event not found', {
+        extensions: { code: 'EVENT_NOT_FOUND' }
+      });
+    }
+
+    // A date cancelled since checkout fails the session the same way a sold-out event does
+    const occurrence = communityService.findEventOccurrence(post, session.occurrenceStart);
+    await communityService.checkEventOpen(post, session.userId, transaction, occurrence);
+    const { ticketCode } = await communityService.addEventRegistration(post, session.userId, {
+      paymentId: gatewayPaymentId || session.sessionId,
+      occurrenceStart: occurrence?.occurrenceStart
+    }, transaction);
+
+    return ticketCode;
+  }
+
+  async closeSession(sessionId, status, event) {
+    const [updated] = await PaymentSession.update(
+      { status, webhookReceived: true, webhookData: event },
+      { where: { sessionId, status: { [Op.in]: ['CREATED', 'PROCESSING'] } } }
+    );
+
+    logger.info('Payment session closed by webhook', { sessionId, status, updated });
+    return { updated };
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,195 @@
+const { EventEmitter } = require('events');
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const { redisOptions } = require('../config/redisConfig');
+
+// Pull-based iterator handed to graphql-ws. return() unsubscribes immediately and
+// settles any pending next(), so a disconnecting client never leaves a listener behind.
+class PubSubAsyncIterator {
+  constructor(pubsub, channel) {
+    this.pubsub = pubsub;
+    this.pullQueue = [];
+    this.pushQueue = [];
+    this.running = true;
+    this.subscriptionId = Promise.resolve(pubsub.subscribe(channel, (payload) => this.pushValue(payload)));
+    // Surfaced to the client from next(); don't let it reach the unhandledRejection handler first
+    this.subscriptionId.catch(() => {});
+  }
+
+  pushValue(payload) {
+    if (!this.running) return;
+    if (this.pullQueue.length > 0) {
+      this.pullQueue.shift()({ value: payload, done: false });
+    } else {
+      this.pushQueue.push(payload);
+    }
+  }
+
+  async next() {
+    await this.subscriptionId;
+    if (!this.running) return { value: undefined, done: true };
+    if (this.pushQueue.length > 0) {
+      return { value: this.pushQueue.shift(), done: false };
+    }
+    return new Promise((resolve) => this.pullQueue.push(resolve));
+  }
+
+  async return() {
+    await this.emptyQueue();
+    return { value: undefined, done: true };
+  }
+
+  async throw(error) {
+    await this.emptyQueue();
+    throw error;
+  }
+
+  async emptyQueue() {
+    if (!this.running) return;
+    this.running = false;
+    this.pullQueue.forEach((resolve) => resolve({ value: undefined, done: true }));
+    this.pullQueue = [];
+    this.pushQueue = [];
+
+    const id = await this.subscriptionId.catch(() => null);
+    if (id !== null) await this.pubsub.unsubscribe(id);
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+class PubSubEngine {
+  constructor() {
+    this.subscriptions = new Map();
+    this.nextSubscriptionId = 0;
+  }
+
+  asyncIterator(channel) {
+    return new PubSubAsyncIterator(this, channel);
+  }
+}
+
+// Single-process bus for local development and tests
+class InMemoryPubSub extends PubSubEngine {
+  constructor() {
+    super();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(channel, payload) {
+    this.emitter.emit(channel, payload);
+  }
+
+  subscribe(channel, onMessage) {
+    const id = ++this.nextSubscriptionId;
+    this.subscriptions.set(id, { channel, onMessage });
+    this.emitter.on(channel, onMessage);
+    return id;
+  }
+
+  unsubscribe(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) return;
+    this.emitter.off(subscription.channel, subscription.onMessage);
+    this.subscriptions.delete(id);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+    this.subscriptions.clear();
+  }
+}
+
+// Fans events out across server instances. A subscriber connection is dedicated to
+// SUBSCRIBE mode, and each Redis channel is subscribed once per process however many
+// local clients listen on it.
+class RedisPubSub extends PubSubEngine {
+  constructor(options = redisOptions) {
+    super();
+    this.publisher = new Redis({ ...options });
+    this.subscriber = new Redis({ ...options });
+    this.channelListeners = new Map();
+
+    for (const [role, client] of [['publisher', this.publisher], ['subscriber', this.subscriber]]) {
+      client.on('error', (err) => logger.error(`Redis error (pubsub ${role}):`, err));
+    }
+
+    this.subscriber.on('message', (channel, message) => {
+      const ids = this.channelListeners.get(channel);
+      if (!ids) return;
+
+      let payload;
+      try {
+        payload = JSON.parse(message);
+      } catch (error) {
+        logger.warn('PubSub: dropping malformed message', { channel, error: error.message });
+        return;
+      }
+
+      for (const id of ids) {
+        this.subscriptions.get(id)?.onMessage(payload);
+      }
+    });
+  }
+
+  async publish(channel, payload) {
+    await this.publisher.publish(channel, JSON.stringify(payload));
+  }
+
+  async subscribe(channel, onMessage) {
+    const id = ++this.nextSubscriptionId;
+    this.subscriptions.set(id, { channel, onMessage });
+
+    const ids = this.channelListeners.get(channel);
+    if (ids) {
+      ids.add(id);
+      return id;
+    }
+
+    this.channelListeners.set(channel, new Set([id]));
+    try {
+      await this.subscriber.subscribe(channel);
+    } catch (error) {
+      this.subscriptions.delete(id);
+      this.channelListeners.delete(channel);
+      throw error;
+    }
+    return id;
+  }
+
+  async unsubscribe(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) return;
+    this.subscriptions.delete(id);
+
+    const ids = this.channelListeners.get(subscription.channel);
+    ids.delete(id);
+    if (ids.size === 0) {
+      this.channelListeners.delete(subscription.channel);
+      await this.subscriber.unsubscribe(subscription.channel);
+    }
+  }
+
+  async close() {
+    this.subscriptions.clear();
+    this.channelListeners.clear();
+    await Promise.all([this.publisher.quit(), this.subscriber.quit()]);
+  }
+}
+
+const createPubSub = () => {
+  const driver = (process.env.PUBSUB_DRIVER || 'redis').toLowerCase();
+
+  if (driver === 'memory') {
+    logger.info('PubSub: using in-memory driver');
+    return new InMemoryPubSub();
+  }
+
+  logger.info('PubSub: using Redis driver');
+  return new RedisPubSub();
+};
+
+module.exports = createPubSub();
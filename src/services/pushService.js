@@ -0,0 +1,109 @@
+const { Op } = require('sequelize');
+const db = require('../config/dbConfig');
+const logger = require('../utils/logger');
+const { getPushTransport } = require('./pushTransports');
+
+const User = db.User;
+const AuthSession = db.AuthSession;
+
+// Per-category opt-ins on top of the global pushNotificationsEnabled switch
+const PREFERENCE_FIELDS = {
+  COMMUNITY_UPDATES: 'communityUpdatesEnabled',
+  EVENT_REMINDERS: 'eventRemindersEnabled'
+};
+const SEND_BATCH_SIZE = 100;
+
+class PushService {
+  constructor() {
+    this.transport = getPushTransport();
+  }
+
+  // Push is best effort: failures are logged and never reach the caller.
+  // dataByUser adds per-recipient fields (e.g. each user's notification id) to the shared data.
+  async sendToUsers(userIds, { preference = null, title, body = null, data = {}, dataByUser = {} }) {
+    const ids = [...new Set([].concat(userIds))].filter(Boolean);
+    if (ids.length === 0) return { sent: 0, failed: 0, pruned: 0 };
+
+    try {
+      const recipients = await this.getRecipients(ids, preference);
+      if (recipients.length === 0) return { sent: 0, failed: 0, pruned: 0 };
+
+      const sessions = await AuthSession.findAll({
+        where: { userId: { [Op.in]: recipients }, isActive: true, fcmToken: { [Op.ne]: null } },
+        attributes: ['userId', 'fcmToken']
+      });
+      // The same device can show up under more than one session after a re-login
+      const targets = [...new Map(sessions.map((session) => [session.fcmToken, session.userId]))];
+
+      // Sent in batches so a notification to a large audience doesn't open a connection per device at once
+      const results = [];
+      for (let i = 0; i < targets.length; i += SEND_BATCH_SIZE) {
+        const batch = targets.slice(i, i + SEND_BATCH_SIZE);
+        results.push(...await Promise.allSettled(batch.map(([token, userId]) => this.transport.send({
+          title,
+          body,
+          data: this.stringifyData({ ...data, ...dataByUser[userId] }),
+          token
+        }))));
+      }
+
+      const invalidTokens = [];
+      let sent = 0;
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled' && result.value.ok) {
+          sent += 1;
+          return;
+        }
+        if (result.status === 'fulfilled' && result.value.invalidToken) {
+          invalidTokens.push(targets[i][0]);
+        }
+        logger.warn('Push delivery failed', {
+          transport: this.transport.name,
+          error: result.status === 'fulfilled' ? result.value.error : result.reason?.message
+        });
+      });
+
+      const pruned = await this.pruneTokens(invalidTokens);
+      return { sent, failed: targets.length - sent, pruned };
+    } catch (error) {
+      logger.error('Failed to send push notifications', { recipients: ids.length, error: error.message });
+      return { sent: 0, failed: 0, pruned: 0 };
+    }
+  }
+
+  async getRecipients(userIds, preference) {
+    const where = { id: { [Op.in]: userIds }, isActive: true, pushNotificationsEnabled: true };
+    if (preference) {
+      const field = PREFERENCE_FIELDS[preference];
+      if (!field) {
+        throw new Error(`Unknown push preference: ${preference}`);
+      }
+      where[field] = true;
+    }
+
+    const users = await User.findAll({ where, attributes: ['id'] });
+    return users.map((user) => user.id);
+  }
+
+  // FCM data payloads only carry strings
+  stringifyData(data) {
+    return Object.fromEntries(
+      Object.entries(data)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => [key, String(value)])
+    );
+  }
+
+  async pruneTokens(tokens) {
+    if (tokens.length === 0) return 0;
+
+    const [pruned] = await AuthSession.update(
+      { fcmToken: null },
+      { where: { fcmToken: { [Op.in]: tokens } } }
+    );
+    logger.info('Pruned invalid push tokens', { count: pruned });
+    return pruned;
+  }
+}
+
+module.exports = new PushService();
@@ -0,0 +1,59 @@
+const { GoogleAuth } = require('google-auth-library');
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const FCM_ERROR_TYPE = 'type.googleapis.com/google.firebase.fcm.v1.FcmError';
+const REQUEST_TIMEOUT_MS = 10000;
+// Error codes after which FCM will never accept the token again
+const INVALID_TOKEN_CODES = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+
+// Sends through the FCM HTTP v1 API, authenticated with a service account.
+// Without FCM_SERVICE_ACCOUNT_FILE, Application Default Credentials are used.
+class FcmPushTransport {
+  constructor({ projectId, keyFile }) {
+    if (!projectId) {
+      throw new Error('FCM_PROJECT_ID is not configured');
+    }
+
+    this.name = 'fcm';
+    this.endpoint = `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`;
+    this.auth = new GoogleAuth({ keyFile, scopes: [FCM_SCOPE] });
+  }
+
+  async send({ token, title, body, data = {} }) {
+    // The auth client caches the access token and refreshes it shortly before it expires
+    const client = await this.auth.getClient();
+    const { token: accessToken } = await client.getAccessToken();
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        message: {
+          token,
+          notification: { title, ...(body && { body }) },
+          data
+        }
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (response.ok) return { ok: true };
+
+    const { error = {} } = await response.json().catch(() => ({}));
+    const errorCode = (error.details || []).find((detail) => detail['@type'] === FCM_ERROR_TYPE)?.errorCode
+      || error.status
+      || `HTTP_${response.status}`;
+
+    return {
+      ok: false,
+      invalidToken: INVALID_TOKEN_CODES.includes(errorCode)
+        || (errorCode === 'INVALID_ARGUMENT' && /registration token/i.test(error.message || '')),
+      error: errorCode
+    };
+  }
+}
+
+module.exports = FcmPushTransport;
@@ -0,0 +1,34 @@
+const FcmPushTransport = require('./fcmPushTransport');
+const NoopPushTransport = require('./noopPushTransport');
+const RecordingPushTransport = require('./recordingPushTransport');
+
+/*
+ * A push transport implements:
+ *   name                                   - used in logs
+ *   send({ token, title, body, data })     - resolves to { ok: true } or { ok: false, invalidToken, error }
+ *
+ * invalidToken is true only when the provider says the token will never work again
+ * (app uninstalled, token expired or issued for another project), so callers can prune it.
+ * data values must be strings.
+ */
+const transports = {
+  fcm: () => new FcmPushTransport({
+    projectId: process.env.FCM_PROJECT_ID,
+    keyFile: process.env.FCM_SERVICE_ACCOUNT_FILE
+  }),
+  none: () => new NoopPushTransport(),
+  // Tests only: keeps what it sends in memory
+  recording: () => new RecordingPushTransport()
+};
+
+// FCM unless configured otherwise, so a deployment that forgot its push settings fails at
+// startup instead of silently sending nothing; PUSH_TRANSPORT=none turns push off explicitly
+const getPushTransport = (name = process.env.PUSH_TRANSPORT || 'fcm') => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unsupported push transport: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = { getPushTransport };
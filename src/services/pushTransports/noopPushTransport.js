@@ -0,0 +1,12 @@
+// For deployments without push: every message is dropped and nothing is kept
+class NoopPushTransport {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async send() {
+    return { ok: true };
+  }
+}
+
+module.exports = NoopPushTransport;
@@ -0,0 +1,33 @@
+const MAX_RECORDED = 1000;
+
+// Transport for tests: messages are kept in memory instead of being sent, the most recent
+// MAX_RECORDED of them. Tokens passed to markInvalid are rejected the way FCM rejects an
+// uninstalled app's token.
+class RecordingPushTransport {
+  constructor() {
+    this.name = 'recording';
+    this.sent = [];
+    this.invalidTokens = new Set();
+  }
+
+  async send(message) {
+    if (this.invalidTokens.has(message.token)) {
+      return { ok: false, invalidToken: true, error: 'UNREGISTERED' };
+    }
+
+    this.sent.push(message);
+    if (this.sent.length > MAX_RECORDED) this.sent.shift();
+    return { ok: true };
+  }
+
+  markInvalid(token) {
+    this.invalidTokens.add(token);
+  }
+
+  reset() {
+    this.sent = [];
+    this.invalidTokens.clear();
+  }
+}
+
+module.exports = RecordingPushTransport;
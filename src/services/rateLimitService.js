@@ -1,19 +1,11 @@
 const Redis = require('ioredis');
 const { GraphQLError } = require('graphql');
 const logger = require('../utils/logger');
+const { redisOptions } = require('../config/redisConfig');
 
 class RateLimitService {
   constructor() {
-    this.redis = new Redis({
-      port: process.env.REDIS_PORT,
-      host: process.env.REDIS_HOST,
-      username: process.env.REDIS_USERNAME,
-      password: process.env.REDIS_PASSWORD,
-      retryStrategy: (times) => {
-        logger.warn(`Redis reconnect attempt #${times}`);
-        return Math.min(times * 100, 2000); // exponential backoff up to 2s
-      },
-    });
+    this.redis = new Redis({ ...redisOptions });
 
     this.connected = false;
 
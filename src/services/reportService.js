@@ -0,0 +1,278 @@
+const { GraphQLError } = require('graphql');
+const db = require('../config/dbConfig');
+const logger = require('../utils/logger');
+const paginate = require('../utils/paginate');
+const communityService = require('./communityService');
+const authService = require('./authService');
+const paymentService = require('./paymentService');
+
+const sequelize = db.sequelize;
+const Report = db.Report;
+const User = db.User;
+const PostComment = db.PostComment;
+const CommunityMember = db.CommunityMember;
+
+// User.role values that can work the platform-wide queue
+const PLATFORM_MODERATOR_ROLES = ['ADMIN', 'MODERATOR'];
+const ACTION_RESOLUTIONS = {
+  DISMISS: 'DISMISSED',
+  REMOVE_CONTENT: 'CONTENT_REMOVED',
+  BAN_USER: 'USER_BANNED'
+};
+
+class ReportService {
+  async reportContent(reporterId, { targetType, targetId, reason, details, communityId }) {
+    const text = details?.trim() || null;
+    if (text && text.length > 1000) {
+      throw new GraphQLError('Details must be less than 1000 characters', {
+        extensions: { code: 'INVALID_INPUT', field: 'details' }
+      });
+    }
+
+    const target = await this.resolveTarget(reporterId, targetType, targetId, communityId);
+    if (target.reportedUserId === reporterId) {
+      throw new GraphQLError('You cannot report yourself or your own content', {
+        extensions: { code: 'INVALID_INPUT' }
+      });
+    }
+
+    const existing = await Report.findOne({
+      where: { reporterId, targetType, targetId, status: 'OPEN' },
+      attributes: ['id']
+    });
+    if (existing) {
+      throw new GraphQLError('You have already reported this', {
+        extensions: { code: 'ALREADY_REPORTED' }
+      });
+    }
+
+    const report = await Report.create({
+      reporterId,
+      targetType,
+      targetId,
+      reason,
+      details: text,
+      communityId: target.communityId,
+      reportedUserId: target.reportedUserId
+    });
+
+    logger.info('Content reported', { reportId: report.id, targetType, targetId, reason });
+    return report;
+  }
+
+  // Reporters can only flag what they are able to see
+  async resolveTarget(reporterId, targetType, targetId, communityId) {
+    switch (targetType) {
+      case 'POST': {
+        const post = await communityService.getVisiblePost(targetId, reporterId);
+        return { communityId: post.communityId, reportedUserId: post.authorId };
+      }
+      case 'COMMENT': {
+        const comment = await PostComment.findByPk(targetId);
+        if (!comment || comment.isDeleted) {
+          throw new GraphQLError('Comment not found', {
+            extensions: { code: 'COMMENT_NOT_FOUND' }
+          });
+        }
+        const post = await communityService.getVisiblePost(comment.postId, reporterId);
+        return { communityId: post.communityId, reportedUserId: comment.authorId };
+      }
+      case 'USER': {
+        const user = await User.findByPk(targetId, { attributes: ['id', 'anonymizedAt'] });
+        if (!user || user.anonymizedAt) {
+          throw new GraphQLError('User not found', {
+            extensions: { code: 'USER_NOT_FOUND' }
+          });
+        }
+        if (!communityId) return { communityId: null, reportedUserId: user.id };
+
+        // Reporting a user to a community's moderators needs both people to be part of it
+        await communityService.checkWallAccess(communityId, reporterId);
+        const membership = await CommunityMember.findOne({
+          where: { communityId, userId: user.id },
+          attributes: ['id']
+        });
+        if (!membership) {
+          throw new GraphQLError('This user is not part of the community', {
+            extensions: { code: 'INVALID_INPUT', field: 'communityId' }
+          });
+        }
+        return { communityId, reportedUserId: user.id };
+      }
+      default:
+        throw new GraphQLError('Unsupported report target', {
+          extensions: { code: 'INVALID_INPUT', field: 'targetType' }
+        });
+    }
+  }
+
+  isPlatformModerator(user) {
+    return PLATFORM_MODERATOR_ROLES.includes(user?.role);
+  }
+
+  async getCommunityReports({ communityId, status, limit, cursor }) {
+    return this.getReports({ communityId, status: status || 'OPEN' }, limit, cursor);
+  }
+
+  async getPlatformReports({ status, limit, cursor }) {
+    return this.getReports({ status: status || 'OPEN' }, limit, cursor);
+  }
+
+  // Oldest first, so the queue is worked in the order reports came in
+  async getReports(where, limit, cursor) {
+    try {
+      const order = [['createdAt', 'ASC'], ['id', 'ASC']];
+      const result = await paginate({
+        model: Report,
+        where,
+        order,
+        limit,
+        after: cursor,
+        toCursor: communityService.cursorFromOrder(order)
+      });
+
+      return communityService.toConnection(result, cursor);
+    } catch (error) {
+      logger.error('Failed to fetch reports', { error: error.message });
+      throw new GraphQLError('Failed to fetch reports', {
+        extensions: { code: 'REPORTS_FETCH_FAILED' }
+      });
+    }
+  }
+
+  // Platform staff can act on any report; community staff only on their community's,
+  // and banning from a community needs the same owner/admin rights as banMember
+  async checkCanResolve(report, moderator, action) {
+    if (this.isPlatformModerator(moderator)) return;
+
+    const allowed = report.communityId && (action === 'BAN_USER'
+      ? await communityService.isAdmin(report.communityId, moderator.id)
+      : await communityService.isModerator(report.communityId, moderator.id));
+
+    if (!allowed) {
+      throw new GraphQLError('Insufficient permissions', {
+        extensions: { code: 'FORBIDDEN' }
+      });
+    }
+  }
+
+  async resolveReport(reportId, moderator, { action, note }) {
+    const resolutionNote = note?.trim() || null;
+    let report;
+    let suspended = false;
+
+    const transaction = await sequelize.transaction();
+    try {
+      report = await Report.findByPk(reportId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!report) {
+        throw new GraphQLError('Report not found', {
+          extensions: { code: 'REPORT_NOT_FOUND' }
+        });
+      }
+      if (report.status !== 'OPEN') {
+        throw new GraphQLError('This report has already been resolved', {
+          extensions: { code: 'REPORT_ALREADY_RESOLVED' }
+        });
+      }
+
+      await this.checkCanResolve(report, moderator, action);
+
+      if (action === 'REMOVE_CONTENT') {
+        await this.removeContent(report, moderator, resolutionNote, transaction);
+      } else if (action === 'BAN_USER') {
+        suspended = await this.banReportedUser(report, moderator, resolutionNote, transaction);
+      }
+
+      // Other open reports about the same thing share the outcome
+      await Report.update({
+        status: 'RESOLVED',
+        resolution: ACTION_RESOLUTIONS[action],
+        resolutionNote,
+        resolvedBy: moderator.id,
+        resolvedAt: new Date()
+      }, {
+        where: {
+          targetType: report.targetType,
+          targetId: report.targetId,
+          communityId: report.communityId,
+          status: 'OPEN'
+        },
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to resolve report', { reportId, action, error: error.message });
+      if (error instanceof GraphQLError) throw error;
+      throw new GraphQLError('Failed to resolve report', {
+        extensions: { code: 'REPORT_RESOLVE_FAILED' }
+      });
+    }
+
+    if (suspended) {
+      await authService.revokeSessions({ userId: report.reportedUserId });
+    } else if (action === 'BAN_USER') {
+      await paymentService.refundCommunityJoin(report.communityId, report.reportedUserId);
+      await communityService.notifyUserOfBan(report.communityId, report.reportedUserId, moderator.id, resolutionNote || this.defaultReason(report));
+    }
+
+    logger.info('Report resolved', { reportId, action, moderatorId: moderator.id });
+    return await report.reload();
+  }
+
+  async removeContent(report, moderator, note, transaction) {
+    const reason = note || this.defaultReason(report);
+
+    if (report.targetType === 'POST') {
+      await communityService.removePost(report.targetId, moderator.id, reason, transaction);
+    } else if (report.targetType === 'COMMENT') {
+      const comment = await communityService.findCommentForRemoval(report.targetId, transaction);
+      await communityService.removeComment(comment, transaction, {
+        actorId: moderator.id,
+        communityId: report.communityId,
+        reason
+      });
+    } else {
+      throw new GraphQLError('Reported users have no content to remove, ban them instead', {
+        extensions: { code: 'INVALID_INPUT', field: 'action' }
+      });
+    }
+  }
+
+  defaultReason(report) {
+    return `Reported for ${report.reason.toLowerCase().replace(/_/g, ' ')}`;
+  }
+
+  // Community reports ban the user from that community; reports outside any community
+  // can only be acted on by platform staff, who suspend the account
+  async banReportedUser(report, moderator, note, transaction) {
+    const reason = note || this.defaultReason(report);
+
+    if (report.communityId) {
+      await communityService.banMembership(report.communityId, report.reportedUserId, {
+        reason,
+        bannedBy: moderator.id
+      }, transaction);
+      return false;
+    }
+
+    const user = await User.findByPk(report.reportedUserId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (this.isPlatformModerator(user)) {
+      throw new GraphQLError('Platform staff accounts cannot be suspended from the report queue', {
+        extensions: { code: 'FORBIDDEN' }
+      });
+    }
+
+    await user.update({ isActive: false, isSuspended: true, suspensionReason: reason }, { transaction });
+    return true;
+  }
+}
+
+module.exports = new ReportService();
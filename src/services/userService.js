@@ -0,0 +1,485 @@
+const { Op } = require('sequelize');
+const { GraphQLError } = require('graphql');
+const db = require('../config/dbConfig');
+const logger = require('../utils/logger');
+const paginate = require('../utils/paginate');
+const notificationService = require('./notificationService');
+
+const sequelize = db.sequelize;
+const User = db.User;
+const UserBlock = db.UserBlock;
+const UserFollow = db.UserFollow;
+
+const MAX_SEARCH_RESULTS = 50;
+const MAX_QUERY_LENGTH = 100;
+const FOLLOW_STATUSES = { PENDING: 'REQUESTED', ACCEPTED: 'FOLLOWING' };
+
+class UserService {
+  // Suspended and deactivated accounts (including those waiting out their deletion grace period)
+  // are never shown to other people, and neither is anyone who has blocked the viewer.
+  // A subquery, so rows pointing at users (follows) can be filtered the same way
+  visibleUserIds(viewerId) {
+    return sequelize.literal(`(SELECT "id" FROM "Users"
+      WHERE "isActive" = true AND "isSuspended" = false AND "deletedAt" IS NULL AND "anonymizedAt" IS NULL
+      AND "id" NOT IN (SELECT "blockerId" FROM "UserBlocks" WHERE "blockedId" = ${sequelize.escape(viewerId)}))`);
+  }
+
+  visibleUserWhere(viewerId) {
+    return { id: { [Op.in]: this.visibleUserIds(viewerId) } };
+  }
+
+  async searchUsers(viewerId, { query, filters = {}, limit, offset }) {
+    const text = query?.trim() || '';
+    if (!text && !filters.sharedInterests && !filters.sharedCommunities) {
+      throw new GraphQLError('Enter a name or choose a filter to search for people', {
+        extensions: { code: 'INVALID_INPUT', field: 'query' }
+      });
+    }
+    if (text.length > MAX_QUERY_LENGTH) {
+      throw new GraphQLError(`Search query must be less than ${MAX_QUERY_LENGTH} characters`, {
+        extensions: { code: 'INVALID_INPUT', field: 'query' }
+      });
+    }
+
+    const viewer = sequelize.escape(viewerId);
+    const conditions = [this.visibleUserWhere(viewerId), { id: { [Op.ne]: viewerId } }];
+    let order = [['name', 'ASC'], ['id', 'ASC']];
+
+    if (text) {
+      const escaped = text.replace(/[\\%_]/g, '\\$&');
+      conditions.push({
+        [Op.or]: [
+          { name: { [Op.iLike]: `%${escaped}%` } },
+          { bio: { [Op.iLike]: `%${escaped}%` } }
+        ]
+      });
+      // Names starting with the query first, then other name matches, then bio-only matches
+      order = [[sequelize.literal(`CASE
+        WHEN "User"."name" ILIKE ${sequelize.escape(`${escaped}%`)} THEN 0
+        WHEN "User"."name" ILIKE ${sequelize.escape(`%${escaped}%`)} THEN 1
+        ELSE 2
+      END`), 'ASC'], ...order];
+    }
+
+    if (filters.sharedInterests) {
+      conditions.push({
+        id: {
+          [Op.in]: sequelize.literal(`(SELECT theirs."userId" FROM "UserInterests" AS theirs
+            JOIN "UserInterests" AS mine ON mine."interestId" = theirs."interestId"
+            WHERE mine."userId" = ${viewer})`)
+        }
+      });
+    }
+
+    if (filters.sharedCommunities) {
+      conditions.push({
+        id: {
+          [Op.in]: sequelize.literal(`(SELECT theirs."userId" FROM "CommunityMembers" AS theirs
+            JOIN "CommunityMembers" AS mine ON mine."communityId" = theirs."communityId"
+            WHERE mine."userId" = ${viewer} AND mine."status" = 'APPROVED' AND theirs."status" = 'APPROVED')`)
+        }
+      });
+    }
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_SEARCH_RESULTS);
+    const start = Math.max(offset, 0);
+
+    try {
+      const { rows, count } = await User.findAndCountAll({
+        where: { [Op.and]: conditions },
+        order,
+        limit: pageSize,
+        offset: start
+      });
+
+      return {
+        users: rows.map((user) => user.getPublicProfile()),
+        totalCount: count,
+        hasMore: start + rows.length < count
+      };
+    } catch (error) {
+      logger.error('Failed to search users', { userId: viewerId, error: error.message });
+      throw new GraphQLError('Failed to search users', {
+        extensions: { code: 'SEARCH_USERS_FAILED' }
+      });
+    }
+  }
+
+  // Hidden and blocking accounts look exactly like missing ones
+  async findVisibleUser(viewerId, userId) {
+    const user = await User.findOne({
+      where: { [Op.and]: [{ id: userId }, this.visibleUserWhere(viewerId)] }
+    });
+    if (!user) {
+      throw new GraphQLError('User not found', {
+        extensions: { code: 'USER_NOT_FOUND' }
+      });
+    }
+    return user;
+  }
+
+  async getUserProfile(viewerId, userId) {
+    const user = await this.findVisibleUser(viewerId, userId);
+    return user.getPublicProfile();
+  }
+
+  async blockUser(blockerId, blockedId) {
+    if (blockerId === blockedId) {
+      throw new GraphQLError('You cannot block yourself', {
+        extensions: { code: 'INVALID_INPUT', field: 'userId' }
+      });
+    }
+
+    const user = await User.findByPk(blockedId, { attributes: ['id', 'anonymizedAt'] });
+    if (!user || user.anonymizedAt) {
+      throw new GraphQLError('User not found', {
+        extensions: { code: 'USER_NOT_FOUND' }
+      });
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      await UserBlock.findOrCreate({ where: { blockerId, blockedId }, transaction });
+
+      // Blocking ends follows and follow requests between the two, in both directions
+      const follows = await UserFollow.findAll({
+        where: {
+          [Op.or]: [
+            { followerId: blockerId, followingId: blockedId },
+            { followerId: blockedId, followingId: blockerId }
+          ]
+        },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      for (const follow of follows) {
+        await this.removeFollow(follow, transaction);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to block user', { blockerId, blockedId, error: error.message });
+      throw new GraphQLError('Failed to block user', {
+        extensions: { code: 'BLOCK_USER_FAILED' }
+      });
+    }
+
+    logger.info('User blocked', { blockerId, blockedId });
+    return true;
+  }
+
+  async unblockUser(blockerId, blockedId) {
+    const removed = await UserBlock.destroy({ where: { blockerId, blockedId } });
+    if (removed > 0) {
+      logger.info('User unblocked', { blockerId, blockedId });
+    }
+    return true;
+  }
+
+  // Follows
+  toFollowStatus(follow) {
+    return follow ? FOLLOW_STATUSES[follow.status] : 'NOT_FOLLOWING';
+  }
+
+  async getFollowStatus(followerId, followingId) {
+    if (followerId === followingId) return 'NOT_FOLLOWING';
+
+    const follow = await UserFollow.findOne({ where: { followerId, followingId }, attributes: ['status'] });
+    return this.toFollowStatus(follow);
+  }
+
+  // Following a private profile sends a request its owner has to accept
+  async followUser(followerId, followingId) {
+    if (followerId === followingId) {
+      throw new GraphQLError('You cannot follow yourself', {
+        extensions: { code: 'INVALID_INPUT', field: 'userId' }
+      });
+    }
+
+    const user = await this.findVisibleUser(followerId, followingId);
+    let follow;
+    let created;
+
+    const transaction = await sequelize.transaction();
+    try {
+      [follow, created] = await UserFollow.findOrCreate({
+        where: { followerId, followingId },
+        defaults: user.isPrivateProfile
+          ? { status: 'PENDING' }
+          : { status: 'ACCEPTED', acceptedAt: new Date() },
+        transaction
+      });
+
+      if (created && follow.status === 'ACCEPTED') {
+        await this.adjustFollowCounts(follow, 1, transaction);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to follow user', { followerId, followingId, error: error.message });
+      throw new GraphQLError('Failed to follow user', {
+        extensions: { code: 'FOLLOW_USER_FAILED' }
+      });
+    }
+
+    if (created) {
+      await this.notifyOfFollow(follow);
+    }
+
+    return this.toFollowStatus(follow);
+  }
+
+  // Also withdraws a pending follow request
+  async unfollowUser(followerId, followingId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const follow = await UserFollow.findOne({
+        where: { followerId, followingId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (follow) {
+        await this.removeFollow(follow, transaction);
+      }
+
+      await transaction.commit();
+      return true;
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to unfollow user', { followerId, followingId, error: error.message });
+      throw new GraphQLError('Failed to unfollow user', {
+        extensions: { code: 'UNFOLLOW_USER_FAILED' }
+      });
+    }
+  }
+
+  async acceptFollowRequest(userId, followerId) {
+    let follow;
+
+    const transaction = await sequelize.transaction();
+    try {
+      follow = await this.findFollowRequest(userId, followerId, transaction);
+      await follow.update({ status: 'ACCEPTED', acceptedAt: new Date() }, { transaction });
+      await this.adjustFollowCounts(follow, 1, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to accept follow request', { userId, followerId, error: error.message });
+      if (error instanceof GraphQLError) throw error;
+      throw new GraphQLError('Failed to accept follow request', {
+        extensions: { code: 'FOLLOW_REQUEST_FAILED' }
+      });
+    }
+
+    await this.notifyOfAcceptedRequest(follow);
+    return true;
+  }
+
+  async declineFollowRequest(userId, followerId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const follow = await this.findFollowRequest(userId, followerId, transaction);
+      await follow.destroy({ transaction });
+
+      await transaction.commit();
+      return true;
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to decline follow request', { userId, followerId, error: error.message });
+      if (error instanceof GraphQLError) throw error;
+      throw new GraphQLError('Failed to decline follow request', {
+        extensions: { code: 'FOLLOW_REQUEST_FAILED' }
+      });
+    }
+  }
+
+  async findFollowRequest(userId, followerId, transaction) {
+    const follow = await UserFollow.findOne({
+      where: { followerId, followingId: userId, status: 'PENDING' },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!follow) {
+      throw new GraphQLError('Follow request not found', {
+        extensions: { code: 'FOLLOW_REQUEST_NOT_FOUND' }
+      });
+    }
+    return follow;
+  }
+
+  // Making a profile public lets everyone who was waiting in
+  async updateProfilePrivacy(userId, isPrivateProfile) {
+    const transaction = await sequelize.transaction();
+    try {
+      const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+      await user.update({ isPrivateProfile }, { transaction });
+
+      if (!isPrivateProfile) {
+        const [, accepted] = await UserFollow.update(
+          { status: 'ACCEPTED', acceptedAt: new Date() },
+          { where: { followingId: userId, status: 'PENDING' }, returning: true, transaction }
+        );
+        if (accepted.length > 0) {
+          await User.increment('followersCount', { by: accepted.length, where: { id: userId }, transaction });
+          await User.increment('followingCount', {
+            where: { id: { [Op.in]: accepted.map((follow) => follow.followerId) } },
+            transaction
+          });
+        }
+      }
+
+      await transaction.commit();
+      return await user.reload();
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to update profile privacy', { userId, error: error.message });
+      throw new GraphQLError('Failed to update profile privacy', {
+        extensions: { code: 'PROFILE_PRIVACY_FAILED' }
+      });
+    }
+  }
+
+  async removeFollow(follow, transaction) {
+    await follow.destroy({ transaction });
+    if (follow.status === 'ACCEPTED') {
+      await this.adjustFollowCounts(follow, -1, transaction);
+    }
+  }
+
+  async adjustFollowCounts(follow, by, transaction) {
+    const counts = [['followersCount', follow.followingId], ['followingCount', follow.followerId]];
+    for (const [field, id] of counts) {
+      await User.increment(field, {
+        by,
+        where: by < 0 ? { id, [field]: { [Op.gt]: 0 } } : { id },
+        transaction
+      });
+    }
+  }
+
+  async getFollowerIds(userId) {
+    const follows = await UserFollow.findAll({
+      where: { followingId: userId, status: 'ACCEPTED' },
+      attributes: ['followerId'],
+      raw: true
+    });
+    return follows.map((follow) => follow.followerId);
+  }
+
+  // Lists of a private profile are only open to its owner and accepted followers
+  async checkFollowListAccess(viewerId, user) {
+    if (!user.isPrivateProfile || user.id === viewerId) return;
+
+    if ((await this.getFollowStatus(viewerId, user.id)) !== 'FOLLOWING') {
+      throw new GraphQLError('This profile is private', {
+        extensions: { code: 'FORBIDDEN' }
+      });
+    }
+  }
+
+  async getFollowers(viewerId, userId, { limit, cursor }) {
+    const user = await this.findVisibleUser(viewerId, userId);
+    await this.checkFollowListAccess(viewerId, user);
+
+    return this.getFollowConnection(viewerId, {
+      where: { followingId: userId, status: 'ACCEPTED' },
+      as: 'follower',
+      since: 'acceptedAt',
+      limit,
+      cursor
+    });
+  }
+
+  async getFollowing(viewerId, userId, { limit, cursor }) {
+    const user = await this.findVisibleUser(viewerId, userId);
+    await this.checkFollowListAccess(viewerId, user);
+
+    return this.getFollowConnection(viewerId, {
+      where: { followerId: userId, status: 'ACCEPTED' },
+      as: 'following',
+      since: 'acceptedAt',
+      limit,
+      cursor
+    });
+  }
+
+  async getFollowRequests(userId, { limit, cursor }) {
+    return this.getFollowConnection(userId, {
+      where: { followingId: userId, status: 'PENDING' },
+      as: 'follower',
+      since: 'createdAt',
+      limit,
+      cursor
+    });
+  }
+
+  // Newest first; people the viewer can't see are left out of every list
+  async getFollowConnection(viewerId, { where, as, since, limit, cursor }) {
+    const otherKey = as === 'follower' ? 'followerId' : 'followingId';
+    const order = [[since, 'DESC'], ['id', 'DESC']];
+
+    try {
+      const result = await paginate({
+        model: UserFollow,
+        where: { ...where, [otherKey]: { [Op.in]: this.visibleUserIds(viewerId) } },
+        order,
+        limit,
+        after: cursor,
+        toCursor: (row) => ({ [since]: row[since], id: row.id }),
+        include: [{ model: User, as }]
+      });
+
+      return {
+        edges: result.edges.map(({ node, cursor: edgeCursor }) => ({
+          node: node[as].getPublicProfile(),
+          cursor: edgeCursor,
+          since: node[since]
+        })),
+        pageInfo: {
+          hasNextPage: result.pageInfo.hasNextPage,
+          hasPreviousPage: !!cursor,
+          totalCount: result.totalCount,
+          cursor: result.pageInfo.hasNextPage ? result.pageInfo.endCursor : null
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to fetch follows', { userId: viewerId, error: error.message });
+      throw new GraphQLError('Failed to fetch follows', {
+        extensions: { code: 'FOLLOWS_FETCH_FAILED' }
+      });
+    }
+  }
+
+  async getUserName(userId) {
+    const user = await User.findByPk(userId, { attributes: ['name'] });
+    return user?.name || 'Someone';
+  }
+
+  async notifyOfFollow(follow) {
+    const name = await this.getUserName(follow.followerId);
+    const requested = follow.status === 'PENDING';
+
+    await notificationService.notify(follow.followingId, {
+      type: requested ? 'FOLLOW_REQUEST' : 'NEW_FOLLOWER',
+      actorId: follow.followerId,
+      title: requested ? `${name} asked to follow you` : `${name} started following you`,
+      data: { userId: follow.followerId }
+    });
+  }
+
+  async notifyOfAcceptedRequest(follow) {
+    const name = await this.getUserName(follow.followingId);
+
+    await notificationService.notify(follow.followerId, {
+      type: 'FOLLOW_REQUEST_ACCEPTED',
+      actorId: follow.followingId,
+      title: `${name} accepted your follow request`,
+      data: { userId: follow.followingId }
+    });
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,4 @@
+// For user-controlled values interpolated into HTML emails
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+module.exports = escapeHtml;
@@ -0,0 +1,74 @@
+const { fn, col, cast } = require('sequelize');
+
+const SEARCH_CONFIG = 'english';
+const MAX_QUERY_LENGTH = 200;
+// Matches are wrapped in <mark>; the text around them is HTML-escaped before highlighting
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MinWords=15, MaxWords=35, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Weighted tsvector over a row's columns, e.g.
+ * setweight(to_tsvector('english', coalesce(NEW."name", '')), 'A') || ...
+ * Array columns (tags) are joined with spaces first.
+ */
+function vectorExpression(fields, row = '') {
+  return fields.map(({ column, weight, array = false }) => {
+    const value = array ? `array_to_string(${row}"${column}", ' ')` : `${row}"${column}"`;
+    return `setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${value}, '')), '${weight}')`;
+  }).join(' || ');
+}
+
+/**
+ * Keeps `table`."searchVector" up to date through a BEFORE INSERT/UPDATE trigger, so rows written
+ * with bulk updates or raw SQL stay searchable too. Runs after every sync: the function and trigger
+ * are replaced and rows written before the trigger existed are backfilled.
+ *
+ * The trigger fires on every update rather than `UPDATE OF` the searched columns: a column-level
+ * trigger would make sync({ alter }) fail to re-apply those columns' types.
+ */
+async function syncSearchVector(sequelize, { table, name, fields }) {
+  const unchanged = fields.map(({ column }) => `NEW."${column}" IS NOT DISTINCT FROM OLD."${column}"`).join(' AND ');
+
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION ${name}() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'UPDATE' AND ${unchanged} AND NEW."searchVector" IS NOT NULL THEN
+        RETURN NEW;
+      END IF;
+      NEW."searchVector" := ${vectorExpression(fields, 'NEW.')};
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql
+  `);
+  await sequelize.query(`DROP TRIGGER IF EXISTS ${name} ON "${table}"`);
+  await sequelize.query(`
+    CREATE TRIGGER ${name} BEFORE INSERT OR UPDATE ON "${table}"
+    FOR EACH ROW EXECUTE FUNCTION ${name}()
+  `);
+  await sequelize.query(`UPDATE "${table}" SET "searchVector" = ${vectorExpression(fields)} WHERE "searchVector" IS NULL`);
+}
+
+// websearch_to_tsquery accepts anything users type ("quoted phrases", or, -excluded) without syntax errors
+function toTsQuery(query) {
+  return fn('websearch_to_tsquery', SEARCH_CONFIG, query);
+}
+
+// Rounded so the rank can be compared exactly when it comes back in a cursor
+function rankOf(vectorColumn, tsQuery) {
+  return fn('round', cast(fn('ts_rank', col(vectorColumn), tsQuery), 'numeric'), 6);
+}
+
+function headlineOf(textColumn, tsQuery) {
+  const escaped = [['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;']]
+    .reduce((text, [character, entity]) => fn('replace', text, character, entity), fn('coalesce', col(textColumn), ''));
+
+  return fn('ts_headline', SEARCH_CONFIG, escaped, tsQuery, HEADLINE_OPTIONS);
+}
+
+module.exports = {
+  SEARCH_CONFIG,
+  MAX_QUERY_LENGTH,
+  syncSearchVector,
+  toTsQuery,
+  rankOf,
+  headlineOf
+};
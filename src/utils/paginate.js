@@ -83,4 +83,6 @@ async function paginate({
   };
 }
 
-module.exports = paginate; 
\ No newline at end of file
+module.exports = paginate;
+module.exports.encodeCursor = encodeCursor;
+module.exports.decodeCursor = decodeCursor;
\ No newline at end of file
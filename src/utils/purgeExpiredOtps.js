@@ -0,0 +1,17 @@
+const db = require('../config/dbConfig');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+
+// Expired codes are kept for a while so recent OTP history stays available to support
+const RETENTION_HOURS = parseInt(process.env.OTP_RETENTION_HOURS, 10) || 24;
+
+async function purgeExpiredOtps() {
+  const cutoff = new Date(Date.now() - RETENTION_HOURS * 60 * 60 * 1000);
+  const count = await db.OtpVerification.destroy({
+    where: { expiresAt: { [Op.lt]: cutoff } }
+  });
+  logger.info('Purged expired OTP verifications', { count });
+  return { count };
+}
+
+module.exports = purgeExpiredOtps;
@@ -0,0 +1,28 @@
+const db = require('../config/dbConfig');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+
+// Revoked sessions stay around for a while for auditing before they are removed
+const RETENTION_DAYS = parseInt(process.env.SESSION_RETENTION_DAYS, 10) || 30;
+
+async function purgeInactiveSessions() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const count = await db.AuthSession.destroy({
+    where: {
+      [Op.or]: [
+        { isActive: false, updatedAt: { [Op.lt]: cutoff } },
+        { refreshExpiresAt: { [Op.lt]: cutoff } }
+      ]
+    }
+  });
+  logger.info('Purged inactive auth sessions', { count });
+
+  const rotatedTokens = await db.RotatedRefreshToken.destroy({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+  logger.info('Purged expired rotated refresh tokens', { count: rotatedTokens });
+
+  return { count, rotatedTokens };
+}
+
+module.exports = purgeInactiveSessions;
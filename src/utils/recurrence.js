@@ -0,0 +1,188 @@
+const { toWallClock, fromWallClock } = require('./timeZones');
+
+const DAY = 24 * 60 * 60 * 1000;
+const STEP_MS = { DAILY: DAY, WEEKLY: 7 * DAY };
+
+/**
+ * Recurring events keep their rule in eventDetails.recurrence:
+ * { frequency: 'DAILY'|'WEEKLY'|'MONTHLY', interval, until, count, timezone, exceptions: [ISO], overrides: { [ISO]: {...} } }
+ *
+ * eventDetails.startDate/endDate describe the first occurrence. Every occurrence is identified by the
+ * start the rule gives it (its "occurrence start"), which stays the same when a single occurrence is
+ * moved through an override. Rules are expanded on the wall clock of `timezone` (UTC when unset), the
+ * way RRULEs with a DTSTART;TZID are, so a 9:00 event stays at 9:00 when daylight saving starts or ends.
+ */
+
+function occurrenceKey(date) {
+  return new Date(date).toISOString();
+}
+
+function isRecurring(eventDetails) {
+  return Boolean(eventDetails?.recurrence?.frequency);
+}
+
+function getDuration(eventDetails) {
+  const startsAt = new Date(eventDetails.startDate);
+  const endsAt = eventDetails.endDate ? new Date(eventDetails.endDate) : null;
+  return endsAt && !Number.isNaN(endsAt.getTime()) ? endsAt.getTime() - startsAt.getTime() : null;
+}
+
+// `local` is the first start on the zone's wall clock. Months without its day of the month
+// (the 31st, Feb 29th) are skipped, as RFC 5545 does.
+function advance(local, frequency, steps, timeZone) {
+  if (frequency !== 'MONTHLY') {
+    return fromWallClock(new Date(local.getTime() + steps * STEP_MS[frequency]), timeZone);
+  }
+
+  const date = new Date(Date.UTC(
+    local.getUTCFullYear(),
+    local.getUTCMonth() + steps,
+    local.getUTCDate(),
+    local.getUTCHours(),
+    local.getUTCMinutes(),
+    local.getUTCSeconds(),
+    local.getUTCMilliseconds()
+  ));
+  return date.getUTCDate() === local.getUTCDate() ? fromWallClock(date, timeZone) : null;
+}
+
+/**
+ * Yields the starts the rule generates at or after `from`, exceptions included.
+ * COUNT counts every generated start, so excluded dates still use up the count.
+ */
+function* generateStarts(eventDetails, from = null) {
+  const { frequency, interval = 1, until, count, timezone = null } = eventDetails.recurrence;
+  const dtstart = new Date(eventDetails.startDate);
+  const local = toWallClock(dtstart, timezone);
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+
+  // Daily and weekly rules never skip, so the first step in range can be computed directly;
+  // one step is held back because a change of UTC offset makes steps an hour shorter or longer
+  let step = 0;
+  if (from && STEP_MS[frequency] && from > dtstart) {
+    step = Math.max(Math.floor((from.getTime() - dtstart.getTime()) / (STEP_MS[frequency] * interval)) - 1, 0);
+  }
+  let generated = step;
+
+  for (; ; step += 1) {
+    if (count && generated >= count) return;
+
+    // The first start is kept as given, even at a local time that happens twice
+    const start = step === 0 ? dtstart : advance(local, frequency, step * interval, timezone);
+    if (!start) continue;
+    if (start.getTime() > untilTime) return;
+
+    generated += 1;
+    if (!from || start >= from) yield start;
+  }
+}
+
+function isGeneratedStart(eventDetails, date) {
+  const { value } = generateStarts(eventDetails, date).next();
+  return Boolean(value) && value.getTime() === date.getTime();
+}
+
+function toOccurrence(eventDetails, occurrenceStart) {
+  const override = eventDetails.recurrence.overrides?.[occurrenceKey(occurrenceStart)] || {};
+  const duration = getDuration(eventDetails);
+  const startDate = override.startDate ? new Date(override.startDate) : occurrenceStart;
+  let endDate = null;
+  if (override.endDate) {
+    endDate = new Date(override.endDate);
+  } else if (duration !== null) {
+    endDate = new Date(startDate.getTime() + duration);
+  }
+
+  return {
+    occurrenceStart,
+    startDate,
+    endDate,
+    location: override.location !== undefined ? override.location : eventDetails.location || null,
+    onlineLink: override.onlineLink !== undefined ? override.onlineLink : eventDetails.onlineLink || null,
+    agenda: override.agenda !== undefined ? override.agenda : eventDetails.agenda || null,
+    isModified: Object.keys(override).length > 0
+  };
+}
+
+/**
+ * Occurrences starting in [from, to), in order of their (possibly moved) start.
+ * Open-ended rules are only expanded as far as `limit` needs.
+ */
+function expandOccurrences(eventDetails, { from = null, to = null, limit = 50 } = {}) {
+  const { exceptions = [], overrides = {} } = eventDetails.recurrence;
+  const excluded = new Set(exceptions);
+  const inRange = (date) => (!from || date >= from) && (!to || date < to);
+
+  const occurrences = [];
+  for (const start of generateStarts(eventDetails, from)) {
+    if ((to && start >= to) || occurrences.length >= limit) break;
+
+    const key = occurrenceKey(start);
+    if (!excluded.has(key) && !overrides[key]) occurrences.push(toOccurrence(eventDetails, start));
+  }
+
+  // Overridden occurrences can have moved into (or out of) the range
+  for (const key of Object.keys(overrides)) {
+    const start = new Date(key);
+    if (excluded.has(key) || !isGeneratedStart(eventDetails, start)) continue;
+
+    const occurrence = toOccurrence(eventDetails, start);
+    if (inRange(occurrence.startDate)) occurrences.push(occurrence);
+  }
+
+  return occurrences
+    .sort((a, b) => a.startDate - b.startDate || a.occurrenceStart - b.occurrenceStart)
+    .slice(0, limit);
+}
+
+// Accepts either the occurrence start or the date an occurrence was moved to; null for
+// dates the rule doesn't produce and for excluded dates
+function findOccurrence(eventDetails, date) {
+  const target = new Date(date);
+  if (Number.isNaN(target.getTime())) return null;
+
+  const excluded = new Set(eventDetails.recurrence.exceptions || []);
+  if (isGeneratedStart(eventDetails, target) && !excluded.has(occurrenceKey(target))) {
+    return toOccurrence(eventDetails, target);
+  }
+
+  return Object.keys(eventDetails.recurrence.overrides || {})
+    .filter((key) => !excluded.has(key) && isGeneratedStart(eventDetails, new Date(key)))
+    .map((key) => toOccurrence(eventDetails, new Date(key)))
+    .find((occurrence) => occurrence.startDate.getTime() === target.getTime()) || null;
+}
+
+// Number of starts the rule generated before `date`, used to carry COUNT over when a series is split
+function countStartsBefore(eventDetails, date) {
+  let generated = 0;
+  for (const start of generateStarts(eventDetails)) {
+    if (start >= date) break;
+    generated += 1;
+  }
+  return generated;
+}
+
+/**
+ * RRULE value for a rule, e.g. "FREQ=WEEKLY;INTERVAL=2;UNTIL=20261231T180000Z".
+ * Exceptions and overrides are not part of the rule (EXDATE and RECURRENCE-ID carry them).
+ */
+function toRRule(recurrence, formatDate) {
+  return [
+    `FREQ=${recurrence.frequency}`,
+    recurrence.interval > 1 && `INTERVAL=${recurrence.interval}`,
+    recurrence.until && `UNTIL=${formatDate(recurrence.until)}`,
+    recurrence.count && `COUNT=${recurrence.count}`
+  ].filter(Boolean).join(';');
+}
+
+module.exports = {
+  occurrenceKey,
+  isRecurring,
+  getDuration,
+  generateStarts,
+  isGeneratedStart,
+  expandOccurrences,
+  findOccurrence,
+  countStartsBefore,
+  toRRule
+};
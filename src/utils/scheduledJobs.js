@@ -0,0 +1,64 @@
+const jobScheduler = require('../services/jobScheduler');
+const accountService = require('../services/accountService');
+const communityService = require('../services/communityService');
+const dataExportService = require('../services/dataExportService');
+const eventReminderService = require('../services/eventReminderService');
+const paymentService = require('../services/paymentService');
+const expireOldPaymentSessions = require('./expirePaymentSessions');
+const purgeExpiredOtps = require('./purgeExpiredOtps');
+const purgeInactiveSessions = require('./purgeInactiveSessions');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function registerScheduledJobs() {
+  jobScheduler.register({
+    name: 'expire-payment-sessions',
+    intervalMs: 5 * MINUTE,
+    handler: expireOldPaymentSessions
+  });
+  jobScheduler.register({
+    name: 'retry-payment-refunds',
+    intervalMs: 15 * MINUTE,
+    handler: () => paymentService.retryPendingRefunds()
+  });
+  jobScheduler.register({
+    name: 'send-event-reminders',
+    intervalMs: MINUTE,
+    handler: () => eventReminderService.sendDueReminders()
+  });
+  jobScheduler.register({
+    name: 'schedule-recurring-event-reminders',
+    intervalMs: HOUR,
+    handler: () => eventReminderService.scheduleRecurringReminders()
+  });
+  jobScheduler.register({
+    name: 'expire-waitlist-offers',
+    intervalMs: MINUTE,
+    handler: () => communityService.expireWaitlistOffers()
+  });
+  jobScheduler.register({
+    name: 'purge-expired-otps',
+    intervalMs: HOUR,
+    handler: purgeExpiredOtps
+  });
+  jobScheduler.register({
+    name: 'purge-inactive-sessions',
+    intervalMs: 6 * HOUR,
+    handler: purgeInactiveSessions
+  });
+  jobScheduler.register({
+    name: 'purge-deleted-accounts',
+    intervalMs: HOUR,
+    handler: () => accountService.purgeExpiredAccounts()
+  });
+  jobScheduler.register({
+    name: 'purge-data-exports',
+    intervalMs: HOUR,
+    handler: () => dataExportService.purgeExpiredExports()
+  });
+
+  return jobScheduler;
+}
+
+module.exports = registerScheduledJobs;
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+const TICKET_VERSION = 'XT1';
+const SIGNATURE_BYTES = 16;
+// Codes issued before tickets were signed: two Math.random() base-36 strings
+const LEGACY_CODE_PATTERN = /^[0-9a-z]{2,26}$/;
+
+function getSecret() {
+  const secret = process.env.TICKET_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('TICKET_SIGNING_SECRET is not configured');
+  }
+  return secret;
+}
+
+function sign(body) {
+  return crypto.createHmac('sha256', getSecret()).update(body).digest().subarray(0, SIGNATURE_BYTES).toString('base64url');
+}
+
+/**
+ * Builds the ticket code rendered as the attendee's QR code:
+ * "XT1.<registrationId>.<postId>.<signature>", where the signature is a truncated
+ * HMAC-SHA256 of everything before it. Only the server can issue codes, and a code
+ * can't be moved to another registration or event without breaking the signature.
+ */
+function signTicketCode({ registrationId, postId }) {
+  const body = `${TICKET_VERSION}.${registrationId}.${postId}`;
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * @param {string} code - scanned ticket code
+ * @returns {{registrationId: string, postId: string}|null} null for malformed or forged codes
+ */
+function verifyTicketCode(code) {
+  const parts = typeof code === 'string' ? code.trim().split('.') : [];
+  if (parts.length !== 4 || parts[0] !== TICKET_VERSION) return null;
+
+  const [version, registrationId, postId, signature] = parts;
+  const expected = Buffer.from(sign(`${version}.${registrationId}.${postId}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return { registrationId, postId };
+}
+
+// Legacy codes carry nothing to verify; they are only valid if a registration holds that exact code
+function isLegacyTicketCode(code) {
+  return typeof code === 'string' && LEGACY_CODE_PATTERN.test(code.trim());
+}
+
+module.exports = { signTicketCode, verifyTicketCode, isLegacyTicketCode };
@@ -0,0 +1,105 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Wall-clock arithmetic in IANA time zones (e.g. "Europe/Berlin") using Intl, so recurring events
+ * keep their local time across daylight saving changes. A "wall clock" is a Date whose UTC fields
+ * read as the local date and time in the zone. Null and "UTC" mean UTC.
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isUtc(timeZone) {
+  return !timeZone || timeZone === 'UTC';
+}
+
+// Canonical name of a time zone, or null when it isn't one
+function normalizeTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Milliseconds the zone's clocks are ahead of UTC at `time`
+function getOffset(time, timeZone) {
+  if (isUtc(timeZone)) return 0;
+
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(time))) {
+    parts[type] = Number(value);
+  }
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(time / 1000) * 1000;
+}
+
+function toWallClock(date, timeZone) {
+  const time = new Date(date).getTime();
+  return new Date(time + getOffset(time, timeZone));
+}
+
+// As in RFC 5545, a local time that happens twice when clocks go back is the first of the two, and
+// one skipped when they go forward is moved on by the length of the gap
+function fromWallClock(wallClock, timeZone) {
+  const wall = wallClock.getTime();
+  if (isUtc(timeZone)) return new Date(wall);
+
+  const before = getOffset(wall - DAY, timeZone);
+  const after = getOffset(wall + DAY, timeZone);
+  const matches = [wall - before, wall - after].filter((time) => getOffset(time, timeZone) === wall - time);
+  return new Date(matches.length > 0 ? Math.min(...matches) : wall - before);
+}
+
+// Offset changes in [from, to) as { at, offsetFrom, offsetTo }, found day by day and narrowed to the second
+function findTransitions(timeZone, from, to) {
+  const transitions = [];
+  if (isUtc(timeZone)) return transitions;
+
+  let start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  let offset = getOffset(start, timeZone);
+  while (start < end) {
+    const next = Math.min(start + DAY, end);
+    const nextOffset = getOffset(next, timeZone);
+    if (nextOffset !== offset) {
+      let low = start;
+      let high = next;
+      while (high - low > 1000) {
+        const middle = Math.floor((low + high) / 2);
+        if (getOffset(middle, timeZone) === offset) low = middle;
+        else high = middle;
+      }
+      transitions.push({ at: new Date(Math.floor(high / 1000) * 1000), offsetFrom: offset, offsetTo: nextOffset });
+      offset = nextOffset;
+    }
+    start = next;
+  }
+
+  return transitions;
+}
+
+module.exports = {
+  isUtc,
+  normalizeTimeZone,
+  getOffset,
+  toWallClock,
+  fromWallClock,
+  findTransitions
+};
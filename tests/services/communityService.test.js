@@ -0,0 +1,158 @@
+const { Op } = require('sequelize');
+
+process.env.PAYMENT_PROVIDER = 'local';
+process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_test';
+process.env.PAYMENT_CHECKOUT_BASE_URL = 'https://pay.test/checkout';
+
+const mockMembers = [];
+const mockSessions = [];
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/notificationService', () => ({}));
+jest.mock('../../src/services/userService', () => ({}));
+jest.mock('../../src/services/eventReminderService', () => ({}));
+
+// Just enough of Sequelize's where syntax for the queries the reject and ban paths make
+const mockMatches = (row, where) => Object.entries(where).every(([field, condition]) => {
+  if (condition !== null && typeof condition === 'object' && Op.gt in condition) return row[field] > condition[Op.gt];
+  return row[field] === condition;
+});
+
+const mockRecord = (fields) => ({
+  ...fields,
+  update: jest.fn(async function (values) {
+    Object.assign(this, values);
+    return this;
+  }),
+  set: jest.fn(function (values) {
+    Object.assign(this, values);
+  })
+});
+
+jest.mock('../../src/config/dbConfig', () => ({
+  sequelize: {
+    transaction: jest.fn(async () => ({
+      LOCK: { UPDATE: 'UPDATE' },
+      commit: jest.fn(),
+      rollback: jest.fn()
+    }))
+  },
+  CommunityMember: {
+    findOne: jest.fn(async ({ where }) => mockMembers.find((member) => mockMatches(member, where)) || null)
+  },
+  CommunityAuditLog: {
+    create: jest.fn()
+  },
+  PaymentSession: {
+    findOne: jest.fn(async ({ where }) => mockSessions.find((session) => mockMatches(session, where)) || null),
+    findAll: jest.fn(async ({ where }) => mockSessions.filter((session) => mockMatches(session, where))),
+    update: jest.fn(async (values, { where }) => {
+      const matching = mockSessions.filter((session) => mockMatches(session, where));
+      matching.forEach((session) => Object.assign(session, values));
+      return [matching.length];
+    })
+  },
+  Community: {
+    decrement: jest.fn()
+  },
+  User: {
+    decrement: jest.fn()
+  }
+}));
+
+const communityService = require('../../src/services/communityService');
+const paymentService = require('../../src/services/paymentService');
+
+const addPendingRequest = (fields = {}) => {
+  const member = mockRecord({ id: 'member-1', communityId: 'community-1', userId: 'user-1', role: 'MEMBER', status: 'PENDING', ...fields });
+  mockMembers.push(member);
+  return member;
+};
+
+const addPaidSession = (fields = {}) => {
+  const session = mockRecord({
+    id: `ps_${mockSessions.length + 1}`,
+    sessionId: `cs_local_${mockSessions.length + 1}`,
+    purpose: 'COMMUNITY_JOIN',
+    communityId: 'community-1',
+    userId: 'user-1',
+    amount: '10.00',
+    currency: 'USD',
+    status: 'COMPLETED',
+    ...fields
+  });
+  mockSessions.push(session);
+  return session;
+};
+
+describe('CommunityService', () => {
+  beforeEach(() => {
+    mockMembers.length = 0;
+    mockSessions.length = 0;
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    jest.spyOn(communityService, 'notifyUserOfBan').mockResolvedValue();
+  });
+
+  describe('rejectMemberRequest', () => {
+    it('refunds the payment made for a paid join request', async () => {
+      const member = addPendingRequest();
+      const session = addPaidSession();
+      const refund = jest.spyOn(paymentService.provider, 'refund');
+
+      await communityService.rejectMemberRequest('community-1', 'user-1', 'admin-1');
+
+      expect(member.status).toBe('REJECTED');
+      expect(session.status).toBe('REFUNDED');
+      expect(session.failureReason).toBe('REQUEST_REJECTED');
+      expect(session.refundId).toBe(`re_local_${session.id}`);
+      expect(refund).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves the session for the refund job when the refund fails', async () => {
+      addPendingRequest();
+      const session = addPaidSession();
+      jest.spyOn(paymentService.provider, 'refund').mockRejectedValueOnce(new Error('gateway down'));
+
+      await expect(communityService.rejectMemberRequest('community-1', 'user-1', 'admin-1')).resolves.toBe(true);
+
+      expect(session.status).toBe('REFUND_REQUIRED');
+    });
+
+    it('only refunds the requesting user for that community', async () => {
+      addPendingRequest();
+      const otherUser = addPaidSession({ userId: 'user-2' });
+      const otherCommunity = addPaidSession({ communityId: 'community-2' });
+      const refund = jest.spyOn(paymentService.provider, 'refund');
+
+      await communityService.rejectMemberRequest('community-1', 'user-1', 'admin-1');
+
+      expect(refund).not.toHaveBeenCalled();
+      expect(otherUser.status).toBe('COMPLETED');
+      expect(otherCommunity.status).toBe('COMPLETED');
+    });
+  });
+
+  describe('banMember', () => {
+    it('refunds a paid request that is banned while pending', async () => {
+      addPendingRequest();
+      const session = addPaidSession();
+
+      await communityService.banMember('community-1', 'user-1', 'spam', 'admin-1');
+
+      expect(session.status).toBe('REFUNDED');
+      expect(session.failureReason).toBe('MEMBER_BANNED');
+    });
+
+    it('keeps the payment of a member who was already approved', async () => {
+      addPendingRequest({ status: 'APPROVED' });
+      const session = addPaidSession();
+      const refund = jest.spyOn(paymentService.provider, 'refund');
+
+      await communityService.banMember('community-1', 'user-1', 'spam', 'admin-1');
+
+      expect(session.status).toBe('COMPLETED');
+      expect(refund).not.toHaveBeenCalled();
+    });
+  });
+});
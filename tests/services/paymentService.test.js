@@ -0,0 +1,215 @@
+const { GraphQLError } = require('graphql');
+
+process.env.PAYMENT_PROVIDER = 'local';
+process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_test';
+process.env.PAYMENT_CHECKOUT_BASE_URL = 'https://pay.test/checkout';
+
+const mockSessions = new Map();
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+jest.mock('../../src/config/dbConfig', () => ({
+  sequelize: {
+    transaction: jest.fn(async () => ({
+      LOCK: { UPDATE: 'UPDATE' },
+      commit: jest.fn(),
+      rollback: jest.fn()
+    }))
+  },
+  PaymentSession: {
+    findOne: jest.fn(async ({ where }) => mockSessions.get(where.sessionId) || null),
+    update: jest.fn(async (values, { where }) => {
+      const session = [...mockSessions.values()].find((s) => s.id === where.id && s.status === where.status);
+      if (!session) return [0];
+      Object.assign(session, values);
+      return [1];
+    })
+  },
+  Community: {
+    findByPk: jest.fn(async (id) => ({ id }))
+  },
+  CommunityPost: {}
+}));
+
+jest.mock('../../src/services/communityService', () => ({
+  checkCanJoin: jest.fn(),
+  redeemInvite: jest.fn(async () => null),
+  createMembership: jest.fn(async () => ({ status: 'APPROVED' })),
+  notifyAdminsOfNewRequest: jest.fn()
+}));
+
+const communityService = require('../../src/services/communityService');
+const paymentService = require('../../src/services/paymentService');
+
+const createSession = (fields = {}) => {
+  const session = {
+    id: `ps_${mockSessions.size + 1}`,
+    sessionId: `cs_local_${mockSessions.size + 1}`,
+    purpose: 'COMMUNITY_JOIN',
+    communityId: 'community-1',
+    userId: 'user-1',
+    amount: '10.00',
+    currency: 'USD',
+    status: 'CREATED',
+    ...fields,
+    update: jest.fn(async function (values) {
+      Object.assign(this, values);
+      return this;
+    }),
+    set: jest.fn(function (values) {
+      Object.assign(this, values);
+    })
+  };
+  mockSessions.set(session.sessionId, session);
+  return session;
+};
+
+const completedEvent = (session) => ({
+  id: `evt_${session.sessionId}`,
+  type: 'checkout.session.completed',
+  data: { object: { id: session.sessionId, payment_intent: 'pi_123' } }
+});
+
+describe('PaymentService', () => {
+  beforeEach(() => {
+    mockSessions.clear();
+    jest.clearAllMocks();
+    communityService.checkCanJoin.mockResolvedValue(undefined);
+  });
+
+  describe('verifyWebhook', () => {
+    it('returns the event for a correctly signed body', () => {
+      const { body, headers } = paymentService.provider.createSignedEvent('checkout.session.completed', { id: 'cs_1' });
+
+      const event = paymentService.verifyWebhook(Buffer.from(body), headers);
+
+      expect(event.type).toBe('checkout.session.completed');
+      expect(event.data.object.id).toBe('cs_1');
+    });
+
+    it('rejects a body that was changed after signing', () => {
+      const { body, headers } = paymentService.provider.createSignedEvent('checkout.session.completed', { id: 'cs_1' });
+
+      expect(() => paymentService.verifyWebhook(body.replace('cs_1', 'cs_2'), headers)).toThrow('Invalid webhook signature');
+    });
+
+    it('rejects a missing signature header', () => {
+      const { body } = paymentService.provider.createSignedEvent('checkout.session.completed', { id: 'cs_1' });
+
+      expect(() => paymentService.verifyWebhook(body, {})).toThrow('Missing or malformed signature header');
+    });
+
+    it('rejects a signature made with another secret', () => {
+      const LocalPaymentProvider = require('../../src/services/paymentProviders/localPaymentProvider');
+      const other = new LocalPaymentProvider({ webhookSecret: 'whsec_other', checkoutBaseUrl: 'https://pay.test' });
+      const { body, headers } = other.createSignedEvent('checkout.session.completed', { id: 'cs_1' });
+
+      expect(() => paymentService.verifyWebhook(body, headers)).toThrow('Invalid webhook signature');
+    });
+
+    it('rejects a replayed signature outside the tolerance window', () => {
+      const body = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed', data: { object: { id: 'cs_1' } } });
+      const timestamp = Math.floor(Date.now() / 1000) - 600;
+      const headers = { 'x-payment-signature': `t=${timestamp},v1=${paymentService.provider.sign(body, timestamp)}` };
+
+      expect(() => paymentService.verifyWebhook(body, headers)).toThrow('Signature timestamp outside tolerance');
+    });
+  });
+
+  describe('completeSession', () => {
+    it('fulfills a session once when the webhook is delivered twice', async () => {
+      const session = createSession();
+
+      const first = await paymentService.completeSession(session.sessionId, completedEvent(session));
+      const second = await paymentService.completeSession(session.sessionId, completedEvent(session));
+
+      expect(first.session.status).toBe('COMPLETED');
+      expect(second.duplicate).toBe(true);
+      expect(communityService.createMembership).toHaveBeenCalledTimes(1);
+    });
+
+    it('redeems the invite carried on the session when fulfilling a join', async () => {
+      const session = createSession({ inviteCode: 'invite-code' });
+      const invite = { id: 'invite-1', invitedBy: 'user-2' };
+      communityService.redeemInvite.mockResolvedValueOnce(invite);
+
+      await paymentService.completeSession(session.sessionId, completedEvent(session));
+
+      expect(communityService.redeemInvite).toHaveBeenCalledWith('community-1', 'user-1', 'invite-code', expect.anything());
+      expect(communityService.createMembership).toHaveBeenCalledWith({ id: 'community-1' }, 'user-1', expect.anything(), invite);
+    });
+
+    it('refunds a payment whose invite is no longer valid', async () => {
+      const session = createSession({ inviteCode: 'revoked-code' });
+      communityService.redeemInvite.mockRejectedValueOnce(
+        new GraphQLError('This invite is invalid or has expired', { extensions: { code: 'INVALID_INVITE' } })
+      );
+
+      await paymentService.completeSession(session.sessionId, completedEvent(session));
+
+      expect(session.status).toBe('REFUNDED');
+      expect(session.failureReason).toBe('INVALID_INVITE');
+      expect(communityService.createMembership).not.toHaveBeenCalled();
+    });
+
+    it('refunds a captured payment that can no longer be fulfilled, once', async () => {
+      const session = createSession();
+      communityService.checkCanJoin.mockRejectedValue(
+        new GraphQLError('Banned', { extensions: { code: 'USER_BANNED' } })
+      );
+      const refund = jest.spyOn(paymentService.provider, 'refund');
+
+      await paymentService.completeSession(session.sessionId, completedEvent(session));
+      const retry = await paymentService.completeSession(session.sessionId, completedEvent(session));
+
+      expect(session.status).toBe('REFUNDED');
+      expect(session.failureReason).toBe('USER_BANNED');
+      expect(session.refundId).toBe(`re_local_${session.id}`);
+      expect(retry.duplicate).toBe(true);
+      expect(refund).toHaveBeenCalledTimes(1);
+      expect(communityService.createMembership).not.toHaveBeenCalled();
+    });
+
+    it('keeps the session REFUND_REQUIRED when the refund fails', async () => {
+      const session = createSession();
+      communityService.checkCanJoin.mockRejectedValue(
+        new GraphQLError('Full', { extensions: { code: 'COMMUNITY_FULL' } })
+      );
+      jest.spyOn(paymentService.provider, 'refund').mockRejectedValueOnce(new Error('gateway down'));
+
+      await paymentService.completeSession(session.sessionId, completedEvent(session));
+
+      expect(session.status).toBe('REFUND_REQUIRED');
+    });
+
+    it.each(['EXPIRED', 'FAILED'])('refunds instead of fulfilling a payment for a %s session', async (status) => {
+      const session = createSession({ status });
+
+      await paymentService.completeSession(session.sessionId, completedEvent(session));
+      const retry = await paymentService.completeSession(session.sessionId, completedEvent(session));
+
+      expect(session.status).toBe('REFUNDED');
+      expect(session.failureReason).toBe('SESSION_CLOSED');
+      expect(retry.duplicate).toBe(true);
+      expect(communityService.createMembership).not.toHaveBeenCalled();
+    });
+
+    it.each(['COMPLETED', 'REFUND_REQUIRED', 'REFUNDED'])('acknowledges a %s session without changing it', async (status) => {
+      const session = createSession({ status });
+      const refund = jest.spyOn(paymentService.provider, 'refund');
+
+      const result = await paymentService.completeSession(session.sessionId, completedEvent(session));
+
+      expect(result.duplicate).toBe(true);
+      expect(session.status).toBe(status);
+      expect(session.update).not.toHaveBeenCalled();
+      expect(refund).not.toHaveBeenCalled();
+    });
+
+    it('reports webhooks for unknown sessions', async () => {
+      const result = await paymentService.completeSession('cs_missing', completedEvent({ sessionId: 'cs_missing' }));
+
+      expect(result.notFound).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { Op } = require('sequelize');
+
+process.env.PUSH_TRANSPORT = 'recording';
+
+const mockUsers = [];
+const mockSessions = [];
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+// Just enough of Sequelize's where syntax for the queries pushService makes
+const mockMatches = (row, where) => Object.entries(where).every(([field, condition]) => {
+  if (condition !== null && typeof condition === 'object') {
+    if (Op.in in condition) return condition[Op.in].includes(row[field]);
+    if (Op.ne in condition) return row[field] !== condition[Op.ne];
+  }
+  return row[field] === condition;
+});
+
+jest.mock('../../src/config/dbConfig', () => ({
+  User: {
+    findAll: jest.fn(async ({ where }) => mockUsers.filter((user) => mockMatches(user, where)))
+  },
+  AuthSession: {
+    findAll: jest.fn(async ({ where }) => mockSessions.filter((session) => mockMatches(session, where))),
+    update: jest.fn(async (values, { where }) => {
+      const matching = mockSessions.filter((session) => mockMatches(session, where));
+      matching.forEach((session) => Object.assign(session, values));
+      return [matching.length];
+    })
+  }
+}));
+
+const pushService = require('../../src/services/pushService');
+
+const addUser = (id, fields = {}) => {
+  mockUsers.push({
+    id,
+    isActive: true,
+    pushNotificationsEnabled: true,
+    communityUpdatesEnabled: true,
+    eventRemindersEnabled: true,
+    ...fields
+  });
+};
+
+const addSession = (userId, fcmToken, fields = {}) => {
+  mockSessions.push({ userId, fcmToken, isActive: true, ...fields });
+};
+
+const sentTokens = () => pushService.transport.sent.map((message) => message.token).sort();
+
+describe('PushService', () => {
+  beforeEach(() => {
+    mockUsers.length = 0;
+    mockSessions.length = 0;
+    pushService.transport.reset();
+  });
+
+  it('uses the transport selected by PUSH_TRANSPORT', () => {
+    expect(pushService.transport.name).toBe('recording');
+  });
+
+  describe('preference filtering', () => {
+    it('skips users who turned push notifications off', async () => {
+      addUser('u1');
+      addUser('u2', { pushNotificationsEnabled: false });
+      addSession('u1', 'token-1');
+      addSession('u2', 'token-2');
+
+      const result = await pushService.sendToUsers(['u1', 'u2'], { title: 'Hello' });
+
+      expect(result).toEqual({ sent: 1, failed: 0, pruned: 0 });
+      expect(sentTokens()).toEqual(['token-1']);
+    });
+
+    it('skips users who opted out of the notification category', async () => {
+      addUser('u1');
+      addUser('u2', { eventRemindersEnabled: false });
+      addUser('u3', { communityUpdatesEnabled: false });
+      addSession('u1', 'token-1');
+      addSession('u2', 'token-2');
+      addSession('u3', 'token-3');
+
+      await pushService.sendToUsers(['u1', 'u2', 'u3'], { preference: 'EVENT_REMINDERS', title: 'Starts soon' });
+
+      expect(sentTokens()).toEqual(['token-1', 'token-3']);
+    });
+
+    it('skips inactive users and signed-out sessions', async () => {
+      addUser('u1');
+      addUser('u2', { isActive: false });
+      addSession('u1', 'token-1');
+      addSession('u1', 'token-old', { isActive: false });
+      addSession('u2', 'token-2');
+
+      await pushService.sendToUsers(['u1', 'u2'], { title: 'Hello' });
+
+      expect(sentTokens()).toEqual(['token-1']);
+    });
+
+    it('sends nothing for an unknown preference', async () => {
+      addUser('u1');
+      addSession('u1', 'token-1');
+
+      const result = await pushService.sendToUsers('u1', { preference: 'MARKETING', title: 'Hello' });
+
+      expect(result).toEqual({ sent: 0, failed: 0, pruned: 0 });
+      expect(sentTokens()).toEqual([]);
+    });
+  });
+
+  describe('token pruning', () => {
+    it('clears tokens the provider reports as permanently invalid', async () => {
+      addUser('u1');
+      addSession('u1', 'token-live');
+      addSession('u1', 'token-dead');
+      pushService.transport.markInvalid('token-dead');
+
+      const result = await pushService.sendToUsers('u1', { title: 'Hello' });
+
+      expect(result).toEqual({ sent: 1, failed: 1, pruned: 1 });
+      expect(mockSessions.map((session) => session.fcmToken)).toEqual(['token-live', null]);
+    });
+
+    it('keeps tokens after a temporary failure', async () => {
+      addUser('u1');
+      addSession('u1', 'token-1');
+      jest.spyOn(pushService.transport, 'send').mockResolvedValueOnce({ ok: false, invalidToken: false, error: 'UNAVAILABLE' });
+
+      const result = await pushService.sendToUsers('u1', { title: 'Hello' });
+
+      expect(result).toEqual({ sent: 0, failed: 1, pruned: 0 });
+      expect(mockSessions[0].fcmToken).toBe('token-1');
+    });
+  });
+
+  it('sends once per device and adds per-user data', async () => {
+    addUser('u1');
+    addUser('u2');
+    addSession('u1', 'token-1');
+    addSession('u1', 'token-1');
+    addSession('u2', 'token-2');
+
+    await pushService.sendToUsers(['u1', 'u2'], {
+      title: 'Liked',
+      data: { postId: 'p1', count: 2 },
+      dataByUser: { u1: { notificationId: 'n1' }, u2: { notificationId: 'n2' } }
+    });
+
+    expect(pushService.transport.sent.map(({ token, data }) => ({ token, data }))).toEqual([
+      { token: 'token-1', data: { postId: 'p1', count: '2', notificationId: 'n1' } },
+      { token: 'token-2', data: { postId: 'p1', count: '2', notificationId: 'n2' } }
+    ]);
+  });
+});
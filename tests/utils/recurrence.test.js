@@ -0,0 +1,160 @@
+const recurrence = require('../../src/utils/recurrence');
+
+const event = (startDate, rule, endDate = null) => ({
+  startDate,
+  endDate,
+  recurrence: { interval: 1, exceptions: [], overrides: {}, ...rule }
+});
+
+const starts = (eventDetails, from = null) => [...recurrence.generateStarts(eventDetails, from)].map((date) => date.toISOString());
+
+const startDates = (occurrences) => occurrences.map((occurrence) => occurrence.startDate.toISOString());
+
+describe('recurrence', () => {
+  describe('MONTHLY rules', () => {
+    it('skips months without the day of the first date', () => {
+      const details = event('2026-01-31T18:00:00.000Z', { frequency: 'MONTHLY', count: 4 });
+
+      expect(starts(details)).toEqual([
+        '2026-01-31T18:00:00.000Z',
+        '2026-03-31T18:00:00.000Z',
+        '2026-05-31T18:00:00.000Z',
+        '2026-07-31T18:00:00.000Z'
+      ]);
+    });
+
+    it('only repeats Feb 29th in leap years', () => {
+      const details = event('2028-02-29T10:00:00.000Z', { frequency: 'MONTHLY', interval: 12, count: 2 });
+
+      expect(starts(details)).toEqual(['2028-02-29T10:00:00.000Z', '2032-02-29T10:00:00.000Z']);
+    });
+  });
+
+  describe('COUNT', () => {
+    it('counts excluded dates towards the limit', () => {
+      const details = event('2026-03-02T09:00:00.000Z', {
+        frequency: 'WEEKLY',
+        count: 4,
+        exceptions: ['2026-03-09T09:00:00.000Z']
+      });
+
+      const occurrences = recurrence.expandOccurrences(details, { limit: 10 });
+
+      expect(startDates(occurrences)).toEqual([
+        '2026-03-02T09:00:00.000Z',
+        '2026-03-16T09:00:00.000Z',
+        '2026-03-23T09:00:00.000Z'
+      ]);
+    });
+
+    it('keeps counting from the first date when expanding from later on', () => {
+      const details = event('2026-03-01T09:00:00.000Z', { frequency: 'DAILY', count: 5 });
+
+      expect(starts(details, new Date('2026-03-04T00:00:00.000Z'))).toEqual([
+        '2026-03-04T09:00:00.000Z',
+        '2026-03-05T09:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('overrides', () => {
+    const details = event('2026-03-02T09:00:00.000Z', {
+      frequency: 'WEEKLY',
+      count: 3,
+      overrides: { '2026-03-09T09:00:00.000Z': { startDate: '2026-03-20T09:00:00.000Z', agenda: 'Moved' } }
+    }, '2026-03-02T10:00:00.000Z');
+
+    it('lists a moved date in the range it was moved into', () => {
+      const occurrences = recurrence.expandOccurrences(details, {
+        from: new Date('2026-03-17T00:00:00.000Z'),
+        to: new Date('2026-03-21T00:00:00.000Z')
+      });
+
+      expect(startDates(occurrences)).toEqual(['2026-03-20T09:00:00.000Z']);
+      expect(occurrences[0]).toMatchObject({ isModified: true, agenda: 'Moved' });
+      expect(occurrences[0].occurrenceStart.toISOString()).toBe('2026-03-09T09:00:00.000Z');
+      expect(occurrences[0].endDate.toISOString()).toBe('2026-03-20T10:00:00.000Z');
+    });
+
+    it('leaves a moved date out of the range it was moved away from', () => {
+      const occurrences = recurrence.expandOccurrences(details, {
+        from: new Date('2026-03-08T00:00:00.000Z'),
+        to: new Date('2026-03-15T00:00:00.000Z')
+      });
+
+      expect(occurrences).toEqual([]);
+    });
+
+    it('finds a moved date by its original start and by its new one', () => {
+      const original = recurrence.findOccurrence(details, '2026-03-09T09:00:00.000Z');
+      const moved = recurrence.findOccurrence(details, '2026-03-20T09:00:00.000Z');
+
+      expect(original.startDate.toISOString()).toBe('2026-03-20T09:00:00.000Z');
+      expect(moved.occurrenceStart).toEqual(original.occurrenceStart);
+      expect(recurrence.findOccurrence(details, '2026-03-10T09:00:00.000Z')).toBeNull();
+    });
+  });
+
+  describe('series splits', () => {
+    const details = event('2026-03-02T09:00:00.000Z', { frequency: 'WEEKLY', count: 6 });
+    const splitAt = new Date('2026-03-23T09:00:00.000Z');
+
+    it('counts the dates before a split', () => {
+      expect(recurrence.countStartsBefore(details, splitAt)).toBe(3);
+      expect(recurrence.countStartsBefore(details, new Date('2026-03-02T09:00:00.000Z'))).toBe(0);
+      expect(recurrence.countStartsBefore(details, new Date('2027-01-01T00:00:00.000Z'))).toBe(6);
+    });
+
+    it('keeps the remaining dates when the count is carried over to the new series', () => {
+      const before = event(details.startDate, {
+        frequency: 'WEEKLY',
+        until: new Date(splitAt.getTime() - 1000).toISOString()
+      });
+      const after = event(splitAt.toISOString(), {
+        frequency: 'WEEKLY',
+        count: 6 - recurrence.countStartsBefore(details, splitAt)
+      });
+
+      expect([...starts(before), ...starts(after)]).toEqual(starts(details));
+    });
+  });
+
+  describe('time zones', () => {
+    it('keeps the local time of a weekly event when daylight saving time ends', () => {
+      const details = event('2026-10-19T07:00:00.000Z', { frequency: 'WEEKLY', count: 3, timezone: 'Europe/Berlin' });
+
+      // 09:00 in Berlin, first in summer time (UTC+2) and then in winter time (UTC+1)
+      expect(starts(details)).toEqual([
+        '2026-10-19T07:00:00.000Z',
+        '2026-10-26T08:00:00.000Z',
+        '2026-11-02T08:00:00.000Z'
+      ]);
+    });
+
+    it('keeps the local time of a monthly event when daylight saving time starts', () => {
+      const details = event('2026-02-15T23:30:00.000Z', { frequency: 'MONTHLY', count: 2, timezone: 'America/New_York' });
+
+      expect(starts(details)).toEqual(['2026-02-15T23:30:00.000Z', '2026-03-15T22:30:00.000Z']);
+    });
+
+    it('moves a date that falls into the skipped hour on by the length of the gap', () => {
+      // 02:30 doesn't exist in Berlin on 29 March 2026, the date takes place at 03:30 summer time instead
+      const details = event('2026-03-28T01:30:00.000Z', { frequency: 'DAILY', count: 2, timezone: 'Europe/Berlin' });
+
+      expect(starts(details)).toEqual(['2026-03-28T01:30:00.000Z', '2026-03-29T01:30:00.000Z']);
+    });
+
+    it('expands in UTC when no time zone is set', () => {
+      const details = event('2026-10-19T07:00:00.000Z', { frequency: 'WEEKLY', count: 2 });
+
+      expect(starts(details)).toEqual(['2026-10-19T07:00:00.000Z', '2026-10-26T07:00:00.000Z']);
+    });
+
+    it('recognizes dates after a change of offset when expanding from later on', () => {
+      const details = event('2026-03-02T08:00:00.000Z', { frequency: 'DAILY', timezone: 'Europe/Berlin' });
+
+      expect(recurrence.isGeneratedStart(details, new Date('2026-04-01T07:00:00.000Z'))).toBe(true);
+      expect(recurrence.isGeneratedStart(details, new Date('2026-04-01T08:00:00.000Z'))).toBe(false);
+    });
+  });
+});